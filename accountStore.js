@@ -0,0 +1,182 @@
+/**
+ * Account Store
+ * Pluggable storage for user accounts. Usernames are indexed
+ * case-insensitively ("Alice" and "alice" are the same account) while the
+ * account keeps the casing it was created with.
+ *
+ * Backends:
+ *   - memory: plain in-process Map, nothing touches disk (tests)
+ *   - log:    append-only JSON-lines file replayed into memory on startup
+ */
+
+const fs   = require('fs');
+const path = require('path');
+
+function accountKey(username) {
+    return String(username || '').trim().toLowerCase();
+}
+
+// Callers get their own copy so in-place edits only stick once saved
+function cloneAccount(account) {
+    return account ? JSON.parse(JSON.stringify(account)) : null;
+}
+
+class MemoryAccountStore {
+    constructor() {
+        this.accounts = new Map(); // lowercased username -> account
+    }
+
+    /**
+     * Get an account
+     * @param {string} username - Username in any casing
+     * @returns {object|null} Copy of the account or null
+     */
+    get(username) {
+        return cloneAccount(this.accounts.get(accountKey(username)));
+    }
+
+    /**
+     * Check whether a username is taken (case-insensitive)
+     * @param {string} username - Username in any casing
+     * @returns {boolean}
+     */
+    has(username) {
+        return this.accounts.has(accountKey(username));
+    }
+
+    /**
+     * Insert a new account; fails if the username is already taken
+     * @param {object} account - Account data (must include username)
+     * @returns {boolean} True if created
+     */
+    create(account) {
+        if (this.has(account.username)) return false;
+        this.put(account);
+        return true;
+    }
+
+    /**
+     * Insert or replace an account
+     * @param {object} account - Account data (must include username)
+     */
+    put(account) {
+        this.accounts.set(accountKey(account.username), cloneAccount(account));
+    }
+
+    /**
+     * Get every account
+     * @returns {Array} Copies of all accounts
+     */
+    list() {
+        return Array.from(this.accounts.values(), cloneAccount);
+    }
+
+    close() {}
+}
+
+class LogAccountStore extends MemoryAccountStore {
+    /**
+     * @param {string} filePath - Path of the append-only log
+     */
+    constructor(filePath) {
+        super();
+        this.filePath = filePath;
+        this.records  = 0; // lines in the log, including superseded ones
+
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        this.replay();
+
+        // Superseded records pile up with every save; rewrite once they dominate
+        if (this.records > this.accounts.size * 2 + 100) this.compact();
+    }
+
+    replay() {
+        if (!fs.existsSync(this.filePath)) return;
+        const data  = fs.readFileSync(this.filePath, 'utf8');
+        const lines = data.split('\n');
+        lines.forEach((line, i) => {
+            if (!line.trim()) return;
+            try {
+                const record = JSON.parse(line);
+                if (record.account && record.account.username) super.put(record.account);
+                this.records++;
+            } catch (error) {
+                // A crash mid-append can leave a torn last line; everything before it is intact
+                console.warn(`[AccountStore] Skipping unreadable record on line ${i + 1} of ${this.filePath}`);
+            }
+        });
+        // End a torn last line, or the next save would be appended onto it and lost with it
+        if (data && !data.endsWith('\n')) fs.appendFileSync(this.filePath, '\n', 'utf8');
+        console.log(`[AccountStore] Loaded ${this.accounts.size} accounts from ${this.filePath}`);
+    }
+
+    put(account) {
+        fs.appendFileSync(this.filePath, JSON.stringify({ account, at: Date.now() }) + '\n', 'utf8');
+        this.records++;
+        super.put(account);
+    }
+
+    /**
+     * Rewrite the log with one record per account. Written to a temp file
+     * and renamed over the old log so a crash never leaves it half-written.
+     */
+    compact() {
+        const tmpPath = `${this.filePath}.tmp`;
+        const now     = Date.now();
+        const data    = Array.from(this.accounts.values(), account => JSON.stringify({ account, at: now }) + '\n').join('');
+        fs.writeFileSync(tmpPath, data, 'utf8');
+        fs.renameSync(tmpPath, this.filePath);
+        console.log(`[AccountStore] Compacted ${this.records} records into ${this.accounts.size}`);
+        this.records = this.accounts.size;
+    }
+}
+
+/**
+ * Create the configured account store
+ * @param {object} options - { backend: 'log' | 'memory', filePath }
+ * @returns {MemoryAccountStore}
+ */
+function createAccountStore(options = {}) {
+    const backend = options.backend || 'log';
+    if (backend === 'memory') return new MemoryAccountStore();
+    if (backend === 'log')    return new LogAccountStore(options.filePath);
+    throw new Error(`Unknown account store backend: ${backend}`);
+}
+
+/**
+ * One-shot import of the legacy accounts/<username>.json files. Each imported
+ * file is renamed to *.json.migrated so a restart doesn't import it again.
+ * @param {MemoryAccountStore} store - Destination store
+ * @param {string} dir - Legacy accounts directory
+ * @returns {object} { imported, skipped }
+ */
+function migrateJsonAccounts(store, dir) {
+    const result = { imported: 0, skipped: 0 };
+    if (!fs.existsSync(dir)) return result;
+
+    fs.readdirSync(dir).filter(f => f.endsWith('.json')).forEach(file => {
+        const filePath = path.join(dir, file);
+        try {
+            const account = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+            if (!account.username) account.username = path.basename(file, '.json');
+            if (store.create(account)) {
+                result.imported++;
+            } else {
+                // Only possible for names that differ just by case
+                console.warn(`[AccountStore] Not importing ${file}: username "${account.username}" is already taken`);
+                result.skipped++;
+            }
+            fs.renameSync(filePath, `${filePath}.migrated`);
+        } catch (error) {
+            console.error(`[AccountStore] Error migrating ${file}:`, error.message);
+            result.skipped++;
+        }
+    });
+
+    if (result.imported || result.skipped) {
+        console.log(`[AccountStore] Migrated ${result.imported} legacy accounts (${result.skipped} skipped)`);
+    }
+    return result;
+}
+
+module.exports = { MemoryAccountStore, LogAccountStore, createAccountStore, migrateJsonAccounts, accountKey };
@@ -0,0 +1,170 @@
+/**
+ * Bot Strategy
+ * Decides what a server-side bot seat does on its turn. Every function here
+ * only reads the GameRoom; server.js carries the move out through the same
+ * action paths a human socket uses, so bots can never break a rule.
+ *
+ * Difficulties:
+ *   - easy:   plays a random legal card, often forgets to call O,No
+ *   - medium: plays like the offline CPU (wilds, then action cards, then
+ *             numbers), buys a Pay Back skip rather than draw
+ *   - hard:   saves wilds, hits a next player who is close to winning with
+ *             draw/skip cards, escalates Mercy stacks, buys attack cards and
+ *             challenges a Wild +4 played from a big hand
+ *
+ * Easy and medium never challenge a Wild +4; they take the cards.
+ */
+
+const { BANK_COSTS, COLORS } = require('./public/js/rulesEngine.js');
+
+const BOT_DIFFICULTIES = ['easy', 'medium', 'hard'];
+const BOT_NAMES        = ['Ada', 'Bolt', 'Cog', 'Dot', 'Echo', 'Fizz', 'Gizmo', 'Hex', 'Ion', 'Jolt'];
+
+// Chance of catching an opponent who forgot to call O,No (same as the offline CPU)
+const CATCH_CHANCE = { easy: 0.3, medium: 0.5, hard: 0.8 };
+
+// Chance of remembering to call O,No when going down to one card
+const CALL_CHANCE  = { easy: 0.6, medium: 0.9, hard: 1 };
+
+// Hard calls a wild draw card a bluff once its player holds this many cards:
+// the bigger the hand, the likelier it had a card of the colour in play
+const CHALLENGE_MIN_CARDS = 4;
+
+// Cards that stop or punish the next player
+const ATTACK_VALUES = ['Skip', '+2', 'Wild+4', 'WildReverseD4', 'Wild+6', 'Wild+10', '+12', 'SkipAll', 'Roulette', 'BankSkip', 'BankDraw2', 'BankDraw4'];
+
+/**
+ * Name for a new bot seat, avoiding names already at the table
+ * @param {Array} players - Current lobby seats
+ * @returns {string}
+ */
+function botName(players) {
+    const taken = new Set(players.map(p => p.name));
+    const name  = BOT_NAMES.map(n => `🤖 ${n}`).find(n => !taken.has(n));
+    return name || `🤖 Bot ${players.length + 1}`;
+}
+
+/**
+ * Colour the bot holds most of, ignoring one card (the wild being played)
+ * @param {Array} hand - Bot's hand
+ * @param {object} except - Card to leave out of the count
+ * @returns {string}
+ */
+function bestColor(hand, except = null) {
+    const count = Object.fromEntries(COLORS.map(c => [c, 0]));
+    hand.forEach(c => { if (c !== except && count[c.color] !== undefined) count[c.color]++; });
+    return COLORS.reduce((best, c) => (count[c] > count[best] ? c : best), COLORS[0]);
+}
+
+function pick(list, random) {
+    return list[Math.floor(random() * list.length)];
+}
+
+// Higher plays first; mirrors the offline CPU's cardScore for medium
+function cardScore(card, level, ctx) {
+    if (level === 'medium') return card.type === 'wild' ? 3 : card.type === 'action' ? 1 : 0;
+    let score = card.type === 'number' ? 2 : card.type === 'action' ? 1 : -2;
+    if (ctx.threat && ATTACK_VALUES.includes(card.value)) score += 10;
+    if (card.color === ctx.mainColor) score += 0.5;
+    return score;
+}
+
+/**
+ * Pay Back purchase worth making before playing, if any
+ * @returns {string|null} Bank card value
+ */
+function choosePurchase(room, player, level, playable, ctx) {
+    if (level === 'easy' || !room.isPayBack() || room.stackedDrawCount > 0) return null;
+    if (room.bankBoughtThisTurn && room.bankBoughtThisTurn.has(player.id)) return null;
+    const points = room.bankPoints[player.id] || 0;
+    if (level === 'hard' && ctx.threat && points >= BANK_COSTS.BankDraw4) return 'BankDraw4';
+    if (!playable.length && points >= BANK_COSTS.BankSkip) return 'BankSkip';
+    return null;
+}
+
+/**
+ * Decide the bot's move for the current turn
+ * @param {GameRoom} room - Room in which it is this bot's turn
+ * @param {string} playerId - Bot seat ID
+ * @param {string} level - 'easy' | 'medium' | 'hard'
+ * @param {function} random - PRNG returning [0, 1)
+ * @returns {object} { type: 'play', cardIndex, chosenColor, callUno } | { type: 'buy', action } | { type: 'draw' }
+ */
+function chooseMove(room, playerId, level = 'medium', random = Math.random) {
+    const player = room.players.find(p => p.id === playerId);
+    const hand   = player.hand;
+    const next   = room.players[room.getNextPlayerIndex()];
+    const ctx    = { threat: !!next && next.id !== playerId && next.hand.length <= 2, mainColor: bestColor(hand) };
+
+    let playable = hand.map((card, index) => ({ card, index })).filter(({ card }) => room.canPlayCard(card, playerId));
+
+    const purchase = choosePurchase(room, player, level, playable, ctx);
+    if (purchase) return { type: 'buy', action: purchase };
+    if (!playable.length) return { type: 'draw' };
+
+    let choice;
+    if (level === 'easy') {
+        choice = pick(playable, random);
+    } else if (room.stackedDrawCount > 0) {
+        // Mercy / stacking: medium passes the smallest card it can, hard escalates
+        const strength = ({ card }) => room.penaltyOf(card.value);
+        playable = playable.slice().sort((a, b) => strength(a) - strength(b));
+        choice   = level === 'hard' ? playable.at(-1) : playable[0];
+    } else {
+        choice = playable.slice().sort((a, b) => cardScore(b.card, level, ctx) - cardScore(a.card, level, ctx))[0];
+    }
+
+    return {
+        type:        'play',
+        cardIndex:   choice.index,
+        chosenColor: choice.card.type === 'wild' ? (level === 'easy' ? pick(COLORS, random) : bestColor(hand, choice.card)) : null,
+        callUno:     hand.length === 2 && random() < CALL_CHANCE[level]
+    };
+}
+
+/**
+ * Opponent to swap hands with after a 7
+ * @returns {string|null} Target player ID
+ */
+function chooseSwapTarget(room, playerId, level = 'medium', random = Math.random) {
+    const targets = room.swapTargets(playerId);
+    if (!targets.length) return null;
+    if (level === 'easy') return pick(targets, random).id;
+    return targets.reduce((best, p) => (p.hand.length < best.hand.length ? p : best)).id;
+}
+
+/**
+ * Opponent whose hand to look at after a PeekHand
+ * @returns {string|null} Target player ID
+ */
+function choosePeekTarget(room, playerId, level = 'medium', random = Math.random) {
+    const targets = room.activePlayers().filter(p => p.id !== playerId);
+    if (!targets.length) return null;
+    if (level === 'easy') return pick(targets, random).id;
+    return targets.reduce((best, p) => (p.hand.length < best.hand.length ? p : best)).id;
+}
+
+/**
+ * Whether to challenge the wild draw card waiting on this bot
+ * (settings.allowWildChallenge). Hard only goes by what the table shows:
+ * how many cards the player who played it still holds.
+ * @returns {boolean}
+ */
+function chooseChallenge(room, playerId, level = 'medium') {
+    const pending = room.pendingChallenge;
+    if (level !== 'hard' || !pending || pending.victimId !== playerId) return false;
+    const challenged = room.players.find(p => p.id === pending.playerId);
+    return !!challenged && challenged.hand.length >= CHALLENGE_MIN_CARDS;
+}
+
+/**
+ * Opponent the bot catches for not calling O,No, if it notices one
+ * @returns {string|null} Caught player ID
+ */
+function chooseCatchTarget(room, playerId, level = 'medium', random = Math.random) {
+    const exposed = room.activePlayers().filter(p => p.id !== playerId && p.hand.length === 1 && !p.calledUno);
+    if (!exposed.length || random() >= CATCH_CHANCE[level]) return null;
+    return exposed[0].id;
+}
+
+module.exports = { BOT_DIFFICULTIES, botName, bestColor, chooseMove, chooseChallenge, chooseSwapTarget, choosePeekTarget, chooseCatchTarget };
@@ -0,0 +1,127 @@
+/**
+ * Chat
+ * Moderation and history for the text chat of lobbies and game rooms. Every
+ * message is cleaned, capped in length and run through the word filter, and
+ * each socket is rate limited, before server.js delivers it. Also holds the
+ * fixed set of in-game emotes. Server-only.
+ */
+
+const MAX_MESSAGE_LENGTH = 200;
+const HISTORY_LIMIT      = 100;               // messages kept per room
+const RATE_LIMIT         = { messages: 5, windowMs: 10000 };
+
+// Quick reactions sent with sendEmote; nothing else is accepted. The client
+// keeps the same list for its emote tray.
+const EMOTES         = ['😂', '😡', '😱', '😎', '👍', '👏', '🔥', 'GG', 'O,No!'];
+const EMOTE_COOLDOWN = { messages: 1, windowMs: 3000 };
+
+// Replaced by CHAT_BANNED_WORDS (comma-separated) when that is set
+const DEFAULT_BANNED_WORDS = ['fuck', 'shit', 'bitch', 'cunt', 'asshole', 'bastard', 'dick', 'slut', 'whore'];
+
+/**
+ * Tidy user text: no control characters, single spaces, length capped
+ * @param {*} text - Raw message from the client
+ * @returns {string} Cleaned text ('' when nothing is left)
+ */
+function cleanMessage(text) {
+    return String(text == null ? '' : text)
+        .replace(/[\u0000-\u001f\u007f]/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .slice(0, MAX_MESSAGE_LENGTH);
+}
+
+/**
+ * Build a filter that stars out banned words, including longer forms
+ * ("shitty"), in any casing
+ * @param {Array} words - Banned words
+ * @returns {function} text -> filtered text
+ */
+function createWordFilter(words = DEFAULT_BANNED_WORDS) {
+    const list = words.map(w => String(w).trim().toLowerCase()).filter(Boolean);
+    if (!list.length) return text => text;
+    const escaped = list.map(w => w.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    const pattern = new RegExp(`\\b(?:${escaped.join('|')})\\w*`, 'gi');
+    return text => text.replace(pattern, match => '*'.repeat(match.length));
+}
+
+class RateLimiter {
+    /**
+     * @param {object} limit - { messages, windowMs }: at most this many per window
+     * @param {function} now - Clock, default Date.now
+     */
+    constructor(limit = RATE_LIMIT, now = Date.now) {
+        this.limit  = limit;
+        this.now    = now;
+        this.recent = new Map(); // key -> timestamps inside the window
+    }
+
+    /**
+     * Record an attempt and say whether it is allowed
+     * @param {string} key - Usually the socket ID
+     * @returns {boolean}
+     */
+    allow(key) {
+        const now    = this.now();
+        const recent = (this.recent.get(key) || []).filter(at => now - at < this.limit.windowMs);
+        if (recent.length >= this.limit.messages) {
+            this.recent.set(key, recent);
+            return false;
+        }
+        recent.push(now);
+        this.recent.set(key, recent);
+        return true;
+    }
+
+    forget(key) {
+        this.recent.delete(key);
+    }
+}
+
+class ChatLog {
+    /**
+     * @param {number} limit - Messages kept; the oldest are dropped first
+     */
+    constructor(limit = HISTORY_LIMIT) {
+        this.limit    = limit;
+        this.messages = [];
+        this.mutes    = new Map(); // muter key -> Set of muted keys
+        this.nextId   = 1;
+    }
+
+    /**
+     * Append a message and give it an ID
+     * @param {object} message - { text, at, system, fromKey, fromName }
+     * @returns {object} The stored message
+     */
+    add(message) {
+        const stored = { id: this.nextId++, ...message };
+        this.messages.push(stored);
+        if (this.messages.length > this.limit) this.messages.shift();
+        return stored;
+    }
+
+    /**
+     * History as one reader should see it, without players they muted
+     * @param {string} readerKey - Reader's persistent ID
+     * @returns {Array}
+     */
+    visibleTo(readerKey) {
+        return this.messages.filter(m => m.system || !this.isMuted(readerKey, m.fromKey));
+    }
+
+    mute(muterKey, mutedKey, muted = true) {
+        if (!this.mutes.has(muterKey)) this.mutes.set(muterKey, new Set());
+        if (muted) this.mutes.get(muterKey).add(mutedKey);
+        else       this.mutes.get(muterKey).delete(mutedKey);
+    }
+
+    isMuted(muterKey, mutedKey) {
+        return !!(this.mutes.get(muterKey) && this.mutes.get(muterKey).has(mutedKey));
+    }
+}
+
+module.exports = {
+    MAX_MESSAGE_LENGTH, HISTORY_LIMIT, RATE_LIMIT, DEFAULT_BANNED_WORDS, EMOTES, EMOTE_COOLDOWN,
+    cleanMessage, createWordFilter, RateLimiter, ChatLog
+};
@@ -0,0 +1,98 @@
+/**
+ * Deck Builder
+ * House-rule decks. A lobby's settings.deck = { counts, drawValues } lays its
+ * own card counts (coloured values per colour, wilds in total) and draw
+ * penalties over the mode's standard deck, which is also how Mercy or
+ * Glitch cards get shuffled into an Original game. Decks are cleaned and
+ * checked here before a lobby takes them, and accounts keep named presets
+ * of them. Server-only; the RulesEngine builds the deck from the counts.
+ */
+
+const { COLORED_GROUPS, WILD_GROUPS, PENALTY, deckCounts, deckSize } = require('./public/js/rulesEngine.js');
+
+const DECK_VALUES     = [...COLORED_GROUPS.flat(), ...WILD_GROUPS.flat()];
+const MAX_CARD_COUNT  = 10; // copies of one value (per colour for coloured cards)
+const MAX_DRAW_VALUE  = 20;
+const MIN_DRAW_PILE   = 20; // cards left to draw once every seat is dealt
+const MAX_PRESETS     = 10;
+const PRESET_NAME_MAX = 24;
+
+// Whole number in range, or null for anything that isn't a number
+function wholeNumber(value, min, max) {
+    const n = Math.floor(Number(value));
+    if (value === null || value === undefined || value === '' || !Number.isFinite(n)) return null;
+    return Math.min(max, Math.max(min, n));
+}
+
+/**
+ * Clean a deck sent by a client: unknown card values are dropped, counts
+ * and draw values clamped to whole numbers in range
+ * @param {object} deck - { counts: { value: count }, drawValues: { value: cards } }
+ * @returns {object|null} { counts, drawValues }, or null for the standard deck
+ */
+function normalizeDeck(deck) {
+    if (!deck || typeof deck !== 'object') return null;
+    const counts     = {};
+    const drawValues = {};
+    DECK_VALUES.forEach(value => {
+        const count = wholeNumber(deck.counts && deck.counts[value], 0, MAX_CARD_COUNT);
+        if (count !== null) counts[value] = count;
+    });
+    Object.keys(PENALTY).forEach(value => {
+        const cards = wholeNumber(deck.drawValues && deck.drawValues[value], 1, MAX_DRAW_VALUE);
+        if (cards !== null && cards !== PENALTY[value]) drawValues[value] = cards;
+    });
+    if (!Object.keys(counts).length && !Object.keys(drawValues).length) return null;
+    return { counts, drawValues };
+}
+
+/**
+ * Why a lobby can't be dealt from its deck, or null when it can. More number
+ * cards than get dealt means dealCards always finds one to start the
+ * discard pile with.
+ * @param {object} settings - Lobby settings: deck, gameMode, allowPlus12, maxPlayers, startingCards
+ * @returns {string|null}
+ */
+function deckProblem(settings) {
+    if (!settings.deck) return null;
+    const { total, numbers } = deckSize(deckCounts(settings));
+    const seats = settings.maxPlayers || 2;
+    const dealt = seats * (settings.startingCards || 7);
+    if (numbers <= dealt) {
+        return `The deck needs more than ${dealt} number cards so one is left to start the discard pile (it has ${numbers})`;
+    }
+    if (total < dealt + MIN_DRAW_PILE) {
+        return `The deck needs at least ${dealt + MIN_DRAW_PILE} cards for ${seats} players (it has ${total})`;
+    }
+    return null;
+}
+
+/**
+ * Save a deck on an account's preset list, replacing one of the same name
+ * @param {Array} presets - account.deckPresets: [{ name, deck, savedAt }]
+ * @param {string} name
+ * @param {object} deck
+ * @returns {object} { success, presets } or { success: false, error }
+ */
+function savePreset(presets, name, deck) {
+    const label = String(name || '').trim().slice(0, PRESET_NAME_MAX);
+    const clean = normalizeDeck(deck);
+    if (!label) return { success: false, error: 'Give the preset a name' };
+    if (!clean) return { success: false, error: 'That is the standard deck; change a card count or draw value first' };
+    const others = (presets || []).filter(p => p.name.toLowerCase() !== label.toLowerCase());
+    if (others.length >= MAX_PRESETS) return { success: false, error: `You can keep up to ${MAX_PRESETS} presets` };
+    return { success: true, presets: [...others, { name: label, deck: clean, savedAt: Date.now() }] };
+}
+
+/**
+ * @param {Array} presets - account.deckPresets
+ * @param {string} name - Case-insensitive
+ * @returns {Array|null} The list without it, or null if there was no such preset
+ */
+function deletePreset(presets, name) {
+    const list = presets || [];
+    const kept = list.filter(p => p.name.toLowerCase() !== String(name || '').trim().toLowerCase());
+    return kept.length === list.length ? null : kept;
+}
+
+module.exports = { DECK_VALUES, MAX_CARD_COUNT, MAX_DRAW_VALUE, MIN_DRAW_PILE, MAX_PRESETS, normalizeDeck, deckProblem, savePreset, deletePreset };
@@ -0,0 +1,122 @@
+/**
+ * Match Series
+ * Multi-round matches: hands are replayed until someone's running total
+ * reaches the lobby's target. The winner of each hand scores the cards left
+ * in everyone else's hand, by O,No points (the scoreboard's 3 / 2 / 1) or
+ * standard points (face value, 20 per action, 50 per wild). Totals are kept
+ * by persistentId so they survive a rejoin, and the first turn moves one
+ * seat on every round as the deal rotates. Server-only; server.js keeps one
+ * series on each GameRoom and hands it on through the rematch vote.
+ */
+
+const { scoreHand } = require('./public/js/rulesEngine.js');
+
+// Lobby form choices for settings.matchTarget; 0 plays a single hand
+const MATCH_TARGETS  = [0, 50, 100, 200, 300, 500];
+const MATCH_SCORINGS = ['ono', 'standard'];
+
+/**
+ * Points a hand left at the end of a round is worth to the winner
+ * @param {Array} hand - Cards still held
+ * @param {string} scoring - 'ono' or 'standard'
+ * @returns {number}
+ */
+function handPoints(hand, scoring = 'ono') {
+    if (scoring !== 'standard') return -scoreHand(hand);
+    return hand.reduce((sum, card) => {
+        if (card.type === 'wild')   return sum + 50;
+        if (card.type === 'action') return sum + 20;
+        return sum + (parseInt(card.value, 10) || 0);
+    }, 0);
+}
+
+class MatchSeries {
+    /**
+     * @param {object} options
+     * @param {number} options.target - Total that wins the match
+     * @param {string} options.scoring - 'ono' or 'standard'
+     * @param {Array} options.players - [{ persistentId, name }] in seat order
+     */
+    constructor({ target, scoring = 'ono', players }) {
+        this.target  = target;
+        this.scoring = MATCH_SCORINGS.includes(scoring) ? scoring : 'ono';
+        this.round   = 1;
+        this.totals  = new Map(players.map(p => [p.persistentId, 0]));
+        this.names   = new Map(players.map(p => [p.persistentId, p.name]));
+        this.rounds  = []; // { round, winnerKey, points: { key: points scored } }
+    }
+
+    /**
+     * Seat that takes the first turn this round; the dealer sits just before it
+     * @param {number} seatCount
+     * @returns {number}
+     */
+    startingSeat(seatCount) {
+        return (this.round - 1) % seatCount;
+    }
+
+    /**
+     * Score a finished hand and move on to the next round
+     * @param {string} winnerKey - persistentId of the hand's winner
+     * @param {Array} seats - [{ persistentId, name, hand }]
+     * @returns {number} Points the winner scored
+     */
+    recordRound(winnerKey, seats) {
+        const points = {};
+        let won = 0;
+        seats.forEach(s => {
+            this.names.set(s.persistentId, s.name);
+            points[s.persistentId] = 0;
+            if (s.persistentId !== winnerKey) won += handPoints(s.hand, this.scoring);
+        });
+        points[winnerKey] = won;
+        this.totals.set(winnerKey, (this.totals.get(winnerKey) || 0) + won);
+        this.rounds.push({ round: this.round, winnerKey, points });
+        this.round++;
+        return won;
+    }
+
+    /**
+     * @returns {string|null} persistentId of whoever reached the target
+     */
+    winner() {
+        const best = this.standings()[0];
+        return best && best.total >= this.target ? best.persistentId : null;
+    }
+
+    /**
+     * Totals, best first; equal totals share a place
+     * @returns {Array} [{ persistentId, name, total, place }]
+     */
+    standings() {
+        const list = Array.from(this.totals, ([persistentId, total]) => ({ persistentId, name: this.names.get(persistentId), total }))
+            .sort((a, b) => b.total - a.total);
+        list.forEach((s, i) => { s.place = i && list[i - 1].total === s.total ? list[i - 1].place : i + 1; });
+        return list;
+    }
+
+    /**
+     * What clients are sent with each game state and gameOver. persistentIds
+     * double as rejoin keys, so they are swapped for seat IDs first.
+     * @param {function} idOf - persistentId -> ID to send
+     * @returns {object} { target, scoring, round, standings, lastRound, winnerId }
+     */
+    summary(idOf = key => key) {
+        const last = this.rounds.at(-1);
+        const won  = this.winner();
+        return {
+            target:    this.target,
+            scoring:   this.scoring,
+            round:     this.round,
+            standings: this.standings().map(({ persistentId, name, total, place }) => ({ id: idOf(persistentId), name, total, place })),
+            lastRound: last ? {
+                round:    last.round,
+                winnerId: idOf(last.winnerKey),
+                points:   Object.fromEntries(Object.entries(last.points).map(([key, points]) => [idOf(key), points]))
+            } : null,
+            winnerId:  won ? idOf(won) : null
+        };
+    }
+}
+
+module.exports = { MATCH_TARGETS, MATCH_SCORINGS, handPoints, MatchSeries };
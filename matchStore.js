@@ -0,0 +1,154 @@
+/**
+ * Match Store
+ * Keeps a record of every finished online game. Matches never change once
+ * written, so the on-disk backend is a plain append-only JSON-lines log.
+ * Replays (the full action log) are much bigger and only read on demand, so
+ * they are kept one file per match instead of in the log.
+ *
+ * Backends:
+ *   - memory: in-process only (tests)
+ *   - log:    append-only file replayed into memory on startup,
+ *             replays in a "replays" directory next to it
+ */
+
+const fs   = require('fs');
+const path = require('path');
+const { accountKey } = require('./accountStore.js');
+
+class MemoryMatchStore {
+    constructor() {
+        this.matches   = new Map(); // match id -> match
+        this.byUser    = new Map(); // lowercased username -> [match id], oldest first
+        this.rematches = new Map(); // match id -> id of the match played as its rematch
+        this.replays   = new Map(); // match id -> replay
+    }
+
+    index(match) {
+        this.matches.set(match.id, match);
+        if (match.rematchOf) this.rematches.set(match.rematchOf, match.id);
+        match.players.forEach(p => {
+            if (!p.username) return;
+            const key = accountKey(p.username);
+            if (!this.byUser.has(key)) this.byUser.set(key, []);
+            this.byUser.get(key).push(match.id);
+        });
+    }
+
+    /**
+     * Store a finished match
+     * @param {object} match - Match record (must include id and players)
+     */
+    add(match) {
+        this.index(JSON.parse(JSON.stringify(match)));
+    }
+
+    /**
+     * Get a match by ID
+     * @param {string} id - Match ID
+     * @returns {object|null}
+     */
+    get(id) {
+        return this.matches.get(id) || null;
+    }
+
+    /**
+     * Matches a user played in, newest first
+     * @param {string} username - Username in any casing
+     * @param {number} offset - Number of matches to skip
+     * @param {number} limit - Page size
+     * @returns {object} { total, matches }
+     */
+    listForUser(username, offset = 0, limit = 20) {
+        const ids = (this.byUser.get(accountKey(username)) || []).slice().reverse();
+        return { total: ids.length, matches: ids.slice(offset, offset + limit).map(id => this.matches.get(id)) };
+    }
+
+    /**
+     * The match that was a rematch of this one, if any
+     * @param {string} id - Match ID
+     * @returns {object|null}
+     */
+    findRematchOf(id) {
+        return this.get(this.rematches.get(id));
+    }
+
+    /**
+     * Store the replay of a finished match
+     * @param {string} id - Match ID
+     * @param {object} replay - Replay data (see GameRoom.getReplay)
+     */
+    addReplay(id, replay) {
+        this.replays.set(id, JSON.parse(JSON.stringify(replay)));
+    }
+
+    /**
+     * Get the replay of a match
+     * @param {string} id - Match ID
+     * @returns {object|null}
+     */
+    getReplay(id) {
+        return this.replays.get(id) || null;
+    }
+
+    close() {}
+}
+
+class LogMatchStore extends MemoryMatchStore {
+    /**
+     * @param {string} filePath - Path of the append-only log
+     */
+    constructor(filePath) {
+        super();
+        this.filePath  = filePath;
+        this.replayDir = path.join(path.dirname(filePath), 'replays');
+        fs.mkdirSync(this.replayDir, { recursive: true });
+        this.replay();
+    }
+
+    replay() {
+        if (!fs.existsSync(this.filePath)) return;
+        fs.readFileSync(this.filePath, 'utf8').split('\n').forEach((line, i) => {
+            if (!line.trim()) return;
+            try {
+                this.index(JSON.parse(line));
+            } catch (error) {
+                console.warn(`[MatchStore] Skipping unreadable record on line ${i + 1} of ${this.filePath}`);
+            }
+        });
+        console.log(`[MatchStore] Loaded ${this.matches.size} matches from ${this.filePath}`);
+    }
+
+    add(match) {
+        fs.appendFileSync(this.filePath, JSON.stringify(match) + '\n', 'utf8');
+        super.add(match);
+    }
+
+    replayPath(id) {
+        // Match IDs are generated server-side, but never let one escape the directory
+        return path.join(this.replayDir, `${path.basename(String(id))}.json`);
+    }
+
+    addReplay(id, replay) {
+        fs.writeFileSync(this.replayPath(id), JSON.stringify(replay), 'utf8');
+    }
+
+    getReplay(id) {
+        const filePath = this.replayPath(id);
+        if (!fs.existsSync(filePath)) return null;
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    }
+}
+
+/**
+ * Create the configured match store
+ * @param {object} options - { backend: 'log' | 'memory', filePath }
+ * @returns {MemoryMatchStore}
+ */
+function createMatchStore(options = {}) {
+    const backend = options.backend || 'log';
+    if (backend === 'memory') return new MemoryMatchStore();
+    if (backend === 'log')    return new LogMatchStore(options.filePath);
+    throw new Error(`Unknown match store backend: ${backend}`);
+}
+
+module.exports = { MemoryMatchStore, LogMatchStore, createMatchStore };
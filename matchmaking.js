@@ -0,0 +1,127 @@
+/**
+ * Matchmaking
+ * The queue behind "Find Match". Players wait in one pool per game mode and
+ * table size, and a table is made as soon as enough compatible players are
+ * waiting. A player who asks for rating matching only sits with players
+ * whose rating is close to theirs; the allowed gap widens the longer they
+ * wait. Once the oldest player in a pool has waited for the bot wait, the
+ * table is made with whoever is compatible and the rest of the seats are
+ * left for bots. Server-only; server.js turns each match into a GameRoom.
+ */
+
+const TABLE_SIZES         = [2, 3, 4, 5, 6];
+const DEFAULT_BOT_WAIT_MS = 30000;
+
+// Rating gap allowed between two players: starts at base, grows per second waited
+const RATING_WINDOW = { base: 100, perSecond: 10, max: 800 };
+
+class MatchQueue {
+    /**
+     * @param {object} options
+     * @param {number} options.botWaitMs - Wait before filling a table with bots; 0 never does
+     * @param {object} options.ratingWindow - { base, perSecond, max }
+     * @param {function} options.now - Clock, default Date.now
+     */
+    constructor({ botWaitMs = DEFAULT_BOT_WAIT_MS, ratingWindow = RATING_WINDOW, now = Date.now } = {}) {
+        this.botWaitMs    = botWaitMs;
+        this.ratingWindow = ratingWindow;
+        this.now          = now;
+        this.pools        = new Map(); // `${mode}:${size}` -> entries, oldest first
+        this.byId         = new Map(); // player ID -> entry
+    }
+
+    /**
+     * Put a player in the queue, replacing any earlier search of theirs
+     * @param {object} player - { id, mode, size, rating, useRating, ... } - other fields are kept
+     * @returns {object} The queued entry
+     */
+    join(player) {
+        this.leave(player.id);
+        const entry = { ...player, joinedAt: this.now() };
+        const key   = poolKey(entry.mode, entry.size);
+        if (!this.pools.has(key)) this.pools.set(key, []);
+        this.pools.get(key).push(entry);
+        this.byId.set(entry.id, entry);
+        return entry;
+    }
+
+    /**
+     * Take a player out of the queue
+     * @param {string} id - Player ID
+     * @returns {boolean} Whether they were queued
+     */
+    leave(id) {
+        const entry = this.byId.get(id);
+        if (!entry) return false;
+        this.byId.delete(id);
+        const key  = poolKey(entry.mode, entry.size);
+        const pool = this.pools.get(key).filter(e => e !== entry);
+        if (pool.length) this.pools.set(key, pool);
+        else             this.pools.delete(key);
+        return true;
+    }
+
+    get(id) {
+        return this.byId.get(id) || null;
+    }
+
+    /**
+     * Players waiting in the same pool as this player, themselves included
+     * @param {string} id - Player ID
+     * @returns {Array}
+     */
+    poolOf(id) {
+        const entry = this.byId.get(id);
+        return entry ? this.pools.get(poolKey(entry.mode, entry.size)) : [];
+    }
+
+    /**
+     * Rating gap this player accepts right now (Infinity without rating matching)
+     * @param {object} entry - Queued entry
+     * @returns {number}
+     */
+    ratingGap(entry) {
+        if (!entry.useRating) return Infinity;
+        const { base, perSecond, max } = this.ratingWindow;
+        const waited = Math.max(0, this.now() - entry.joinedAt) / 1000;
+        return Math.min(max, base + perSecond * waited);
+    }
+
+    compatible(a, b) {
+        const gap = Math.abs(a.rating - b.rating);
+        return gap <= this.ratingGap(a) && gap <= this.ratingGap(b);
+    }
+
+    /**
+     * Remove and return every table that can be made now
+     * @returns {Array} [{ mode, size, players: [entries], bots }]
+     */
+    takeMatches() {
+        const matches = [];
+        const now     = this.now();
+        Array.from(this.pools.values()).forEach(pool => {
+            let waiting = pool.slice();
+            for (let i = 0; i < waiting.length; i++) {
+                const anchor = waiting[i];
+                const group  = [anchor];
+                waiting.slice(i + 1).forEach(e => {
+                    if (group.length < anchor.size && group.every(g => this.compatible(g, e))) group.push(e);
+                });
+                const full     = group.length === anchor.size;
+                const timedOut = this.botWaitMs > 0 && now - anchor.joinedAt >= this.botWaitMs;
+                if (!full && !timedOut) continue;
+                matches.push({ mode: anchor.mode, size: anchor.size, players: group, bots: anchor.size - group.length });
+                group.forEach(e => this.leave(e.id));
+                waiting = waiting.filter(e => !group.includes(e));
+                i--;
+            }
+        });
+        return matches;
+    }
+}
+
+function poolKey(mode, size) {
+    return `${mode}:${size}`;
+}
+
+module.exports = { TABLE_SIZES, DEFAULT_BOT_WAIT_MS, RATING_WINDOW, MatchQueue };
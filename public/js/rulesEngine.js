@@ -0,0 +1,1155 @@
+/**
+ * O,No Rules Engine
+ * Single card-rules state machine shared by the online GameRoom (server.js)
+ * and the offline CPU game (offline.html), so a rule fix lands in both modes
+ */
+
+const COLORS  = ['red', 'blue', 'green', 'yellow'];
+const NUMBERS = ['0', '1', '2', '3', '4', '5', '6', '7', '8', '9'];
+const ACTIONS = ['Skip', 'Reverse', '+2'];
+
+// Draw strength used for Mercy stacking (equal-or-higher may be stacked)
+const DRAW_VALUES = { '+2': 2, 'Wild+4': 4, 'WildReverseD4': 4, 'Wild+6': 6, 'Wild+10': 10 };
+
+// Cards the next player draws for each penalty card
+const PENALTY = { '+2': 2, 'Wild+4': 4, '+12': 12, 'WildReverseD4': 4, 'Wild+6': 6, 'Wild+10': 10 };
+
+// Wild draw cards the victim may challenge as a bluff (settings.allowWildChallenge)
+const CHALLENGEABLE = ['Wild+4', 'WildReverseD4'];
+
+// Wild cards that normally only come in the Mercy / Glitch decks
+const MERCY_CARDS  = ['Wild+6', 'Wild+10', 'DiscardAll', 'WildReverseD4', 'SkipAll', 'Roulette'];
+const GLITCH_CARDS = ['RandDraw', 'PopupAd', 'PeekHand', 'ScrambleCard', 'GlitchedOut'];
+
+// Card values a deck is built from, grouped in the order createDeck lays them
+// out: each group deals its first copy of every value, then the second, ...
+// Coloured groups are laid out once per colour and counted per colour.
+const COLORED_GROUPS = [['0'], [...NUMBERS.slice(1), ...ACTIONS]];
+const WILD_GROUPS    = [['Wild', 'Wild+4'], ['+12'], GLITCH_CARDS.slice(0, -1), ['GlitchedOut'], MERCY_CARDS];
+
+// Pay Back store prices
+const BANK_COSTS = { BankSkip: 2, BankDraw2: 3, BankDraw4: 5, BankReverse: 2, BankShield: 4, BankStrike: 6 };
+
+const MAX_DRAW             = 50; // safety cap for draw-until-match loops
+const MERCY_KNOCKOUT_CARDS = 25; // Mercy: holding this many cards knocks you out
+const GLITCH_OUT_MIN_DRAWS = 85; // Glitch: GlitchedOut stays buried until this many draws
+
+/**
+ * Seeded PRNG (mulberry32). Any string or number works as a seed; the same
+ * seed always yields the same sequence, which makes a game reproducible.
+ * @param {string|number} seed
+ * @returns {function} Returns a float in [0, 1) on each call, like Math.random
+ */
+function createRng(seed) {
+    // FNV-1a hash of the seed text -> 32-bit state
+    const text = String(seed);
+    let state = 2166136261;
+    for (let i = 0; i < text.length; i++) {
+        state ^= text.charCodeAt(i);
+        state = Math.imul(state, 16777619);
+    }
+    state >>>= 0;
+    return function () {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Fresh random seed for a game that didn't ask for a specific one
+ * @returns {string}
+ */
+function randomSeed() {
+    return Math.random().toString(36).slice(2, 10);
+}
+
+/**
+ * Card counts of the standard deck for a game mode: coloured values per
+ * colour, wilds in total
+ * @param {Object} settings - gameMode, allowPlus12
+ * @returns {Object} value -> count
+ */
+function defaultDeckCounts(settings = {}) {
+    const counts = {};
+    COLORED_GROUPS.flat().forEach(value => { counts[value] = value === '0' ? 1 : 2; });
+    WILD_GROUPS.flat().forEach(value => { counts[value] = 0; });
+    counts.Wild      = 4;
+    counts['Wild+4'] = 4;
+    if (settings.allowPlus12) counts['+12'] = 2;
+    if (settings.gameMode === 'glitch') {
+        GLITCH_CARDS.forEach(value => { counts[value] = 2; });
+        counts.GlitchedOut = 1;
+    }
+    if (settings.gameMode === 'mercy') MERCY_CARDS.forEach(value => { counts[value] = 2; });
+    return counts;
+}
+
+/**
+ * Card counts a game deals from: the mode's standard deck with a lobby's
+ * custom counts (settings.deck.counts) laid over it
+ * @param {Object} settings
+ * @returns {Object} value -> count
+ */
+function deckCounts(settings = {}) {
+    return Object.assign(defaultDeckCounts(settings), settings.deck && settings.deck.counts);
+}
+
+/**
+ * @param {Object} counts - value -> count, as from deckCounts
+ * @returns {Object} { total, numbers }: cards in the deck, and how many are number cards
+ */
+function deckSize(counts) {
+    const sum = values => values.reduce((total, value) => total + (counts[value] || 0), 0);
+    return {
+        total:   sum(COLORED_GROUPS.flat()) * COLORS.length + sum(WILD_GROUPS.flat()),
+        numbers: sum(NUMBERS) * COLORS.length
+    };
+}
+
+/**
+ * Score a hand left at game end (wild -1, action -2, number -3)
+ * @param {Array} hand - Cards still held
+ * @returns {number} Score (0 for an empty hand)
+ */
+function scoreHand(hand) {
+    return hand.reduce((sum, card) => {
+        if (card.type === 'wild')   return sum - 1;
+        if (card.type === 'action') return sum - 2;
+        return sum - 3;
+    }, 0);
+}
+
+class RulesEngine {
+    /**
+     * @param {Array} players - [{ id, name, ... }] in seat order; extra fields are kept
+     * @param {Object} settings - Lobby / offline settings (gameMode, allowStacking, ...)
+     * @param {Object} options - { rng, now }: randomness and clock, default Math.random / Date.now.
+     *                           Pass createRng(seed) to make the game reproducible.
+     */
+    constructor(players, settings, options = {}) {
+        this.players          = players.map(p => ({ ...p, hand: [], calledUno: false }));
+        this.deck             = [];
+        this.discardPile      = [];
+        this.currentPlayer    = 0;
+        this.currentColor     = null;
+        this.currentValue     = null;
+        this.direction        = 1;
+        this.stackedDrawCount = 0;
+        this.hasDrawnThisTurn = false;
+        this.drawnPlayable    = null; // the drawn card a player kept the turn to play
+        this.settings         = settings || {};
+        this.pendingSwap7     = null;
+        this.pendingPeek      = null;
+        this.pendingChallenge = null; // { playerId, victimId, cardValue, color, bluffed } while a wild draw may be challenged
+        this._lastSwapEvent   = null;
+        this.knockedOut       = [];   // player ids eliminated in mercy mode
+        this.glitchSpectators = [];
+        this.glitchScrambled  = [];
+        this.glitchTotalDraws = 0;
+        this.reshuffles       = 0;    // times the discard pile was turned back into the deck
+        // ── PAY BACK: Bank Card system ──────────────────────
+        this.bankPoints         = {};        // { playerId: number }
+        this.bankShields        = {};        // { playerId: true }
+        this.bankBoughtThisTurn = new Set(); // playerIds who already bought this turn
+        // ── Teams: players carry a team number (settings.teamMode) ──
+        this.teamTrades = new Set(); // teams that have swapped a card this hand
+        // All randomness and time goes through these so tests/replays can pin them
+        this.random = options.rng || Math.random;
+        this.now    = options.now || Date.now;
+    }
+
+    isMercy()   { return this.settings.gameMode === 'mercy'; }
+    isGlitch()  { return this.settings.gameMode === 'glitch'; }
+    isPayBack() { return this.settings.gameMode === 'payback'; }
+
+    /**
+     * Whether draw cards may be stacked onto an active draw penalty
+     */
+    isStacking() { return !!this.settings.allowStacking || this.isMercy(); }
+
+    /**
+     * Whether the 0 (rotate all hands) and 7 (swap with a player) rules apply
+     */
+    isSpecial07() { return !!this.settings.allowSpecial07 || this.isMercy(); }
+
+    /**
+     * Whether the 4 (skip the next player) and 8 (reverse direction) rules apply
+     */
+    isSpecial48() { return !!this.settings.allow48; }
+
+    /**
+     * Whether the victim of a Wild+4 / WildReverseD4 may challenge it as a bluff
+     */
+    isWildChallenge() { return !!this.settings.allowWildChallenge; }
+
+    /**
+     * Whether a draw card's penalty waits on the next player (to stack, or to
+     * challenge it) instead of landing at once
+     */
+    defersPenalty(card) {
+        return this.isStacking() || (this.isWildChallenge() && CHALLENGEABLE.includes(card.value));
+    }
+
+    /**
+     * Whether players play in two teams; any member going out wins for the team
+     */
+    isTeams() { return !!this.settings.teamMode; }
+
+    isTeammate(a, b) {
+        if (!this.isTeams() || !a || a === b) return false;
+        const pa = this.players.find(p => p.id === a);
+        const pb = this.players.find(p => p.id === b);
+        return !!pa && !!pb && pa.team != null && pa.team === pb.team;
+    }
+
+    /**
+     * Cards a draw card makes the next player take: PENALTY, unless the
+     * lobby's deck (settings.deck.drawValues) sets its own
+     * @param {string} value - Card value
+     * @returns {number} 0 for cards without a penalty
+     */
+    penaltyOf(value) {
+        const custom = this.settings.deck && this.settings.deck.drawValues;
+        return (custom && custom[value]) || PENALTY[value] || 0;
+    }
+
+    /**
+     * Seat the penalty of a draw card played from a seat lands on
+     * (WildReverseD4 turns play round before it hits)
+     * @param {Object} card - A card with a PENALTY
+     * @param {number} fromIndex - Seat playing it
+     * @returns {number}
+     */
+    penaltyVictimIndex(card, fromIndex) {
+        const direction = card.value === 'WildReverseD4' ? -this.direction : this.direction;
+        return this.getNextPlayerIndex(fromIndex, direction);
+    }
+
+    createDeck() {
+        const counts = deckCounts(this.settings);
+        const layOut = (groups, make) => groups.forEach(group => {
+            const most = Math.max(...group.map(value => counts[value] || 0));
+            for (let i = 0; i < most; i++) {
+                group.forEach(value => { if (i < (counts[value] || 0)) this.deck.push(make(value)); });
+            }
+        });
+        this.deck = [];
+        for (const color of COLORS) {
+            layOut(COLORED_GROUPS, value => ({ color, value, type: NUMBERS.includes(value) ? 'number' : 'action' }));
+        }
+        layOut(WILD_GROUPS, value => {
+            const card = { color: 'wild', value, type: 'wild' };
+            if (GLITCH_CARDS.includes(value)) card.glitch = true;
+            if (value === 'GlitchedOut')      card.rare   = true;
+            return card;
+        });
+        // PAY BACK: bank cards are purchased from the store, not drawn from deck
+        this.shuffleDeck();
+        // Bury GlitchedOut near the bottom of the deck
+        const buried = this.deck.filter(d => d.value === 'GlitchedOut');
+        if (buried.length) {
+            this.deck = this.deck.filter(d => d.value !== 'GlitchedOut');
+            this.deck.splice(Math.floor(this.deck.length * 0.12), 0, ...buried);
+        }
+    }
+
+    shuffleDeck() {
+        for (let i = this.deck.length - 1; i > 0; i--) {
+            const j = Math.floor(this.random() * (i + 1));
+            [this.deck[i], this.deck[j]] = [this.deck[j], this.deck[i]];
+        }
+    }
+
+    dealCards(count = 7) {
+        for (const p of this.players) {
+            p.hand = [];
+            for (let i = 0; i < count; i++) p.hand.push(this.deck.pop());
+            // Initialize every player's bank balance at 0 in Pay Back mode
+            if (this.isPayBack()) this.bankPoints[p.id] = 0;
+        }
+        let start;
+        do { start = this.deck.pop(); } while (start.type !== 'number');
+        this.discardPile  = [start];
+        this.currentColor = start.color;
+        this.currentValue = start.value;
+    }
+
+    /**
+     * Whether a card matches the top of the discard pile, ignoring whose turn it is
+     * @param {Object} card - Card to test
+     * @returns {boolean}
+     */
+    matchesDiscard(card) {
+        if (!card) return false;
+        if (card.type === 'wild') return true;
+        return card.color === this.currentColor || card.value === this.currentValue;
+    }
+
+    canPlayCard(card, playerId = null, isJumpIn = false) {
+        if (!card) return false;
+
+        const playerIndex   = this.players.findIndex(p => p.id === playerId);
+        const isPlayersTurn = (playerIndex === this.currentPlayer);
+
+        // Teams: a draw penalty, fresh or stacked, may never be passed to a teammate
+        if (PENALTY[card.value] && playerIndex !== -1 && this.isTeams()) {
+            const victim = this.players[this.penaltyVictimIndex(card, playerIndex)];
+            if (victim && this.isTeammate(playerId, victim.id)) return false;
+        }
+
+        // ─────────────────────────────────────────────────
+        // STACK MODE: Must match stack card
+        // ─────────────────────────────────────────────────
+        // Without stacking, a wild draw waiting on a challenge can only be drawn or challenged
+        if (this.pendingChallenge && this.stackedDrawCount > 0 && !this.isStacking()) return false;
+        if (this.isStacking() && this.stackedDrawCount > 0) {
+            if (this.isMercy()) {
+                if (!DRAW_VALUES[card.value]) return false;
+                const cardVal = this.penaltyOf(card.value);
+                const topCard = this.discardPile.at(-1);
+                const topVal  = topCard && DRAW_VALUES[topCard.value] ? this.penaltyOf(topCard.value) : 0;
+                return cardVal >= topVal;
+            }
+            // Original mode: match exact type
+            return !!DRAW_VALUES[card.value] && card.value === this.currentValue;
+        }
+
+        // ─────────────────────────────────────────────────
+        // Jump-in validation (NOT during stack)
+        // ─────────────────────────────────────────────────
+        if (isJumpIn && this.settings.allowJumpIn && this.stackedDrawCount === 0) {
+            // Wild+4: ONLY jump-in on another Wild+4
+            if (card.value === 'Wild+4') {
+                return this.currentValue === 'Wild+4';
+            }
+            // +2: Jump-in on same COLOR
+            if (card.value === '+2') {
+                return card.color === this.currentColor;
+            }
+            // Number cards: EXACT match (color + value)
+            if (card.type === 'number') {
+                return card.color === this.currentColor && card.value === this.currentValue;
+            }
+            // Skip/Reverse: Same COLOR
+            if (card.type === 'action' && (card.value === 'Skip' || card.value === 'Reverse')) {
+                return card.color === this.currentColor;
+            }
+            return false;
+        }
+
+        // Must be player's turn (unless jump-in)
+        if (!isPlayersTurn) return false;
+
+        // Can't play if already drew this turn (unless stack active), except the card just drawn
+        if (this.hasDrawnThisTurn && this.stackedDrawCount === 0 && card !== this.drawnPlayable) return false;
+
+        // Wild cards are always playable on your turn, otherwise match color OR value
+        return this.matchesDiscard(card);
+    }
+
+    playCard(playerId, cardIndex, chosenColor, isJumpIn = false) {
+        this._lastSwapEvent = null;
+        const playerIndex = this.players.findIndex(p => p.id === playerId);
+        if (playerIndex === -1) return { success: false, error: 'Player not found' };
+
+        const player = this.players[playerIndex];
+        const card   = player.hand[cardIndex];
+        if (!card) return { success: false, error: 'Invalid card' };
+
+        // Check if player is eliminated
+        if (this.glitchSpectators.includes(playerId)) {
+            return { success: false, error: 'You are a spectator' };
+        }
+        if (this.knockedOut.includes(playerId)) {
+            return { success: false, error: 'You are knocked out' };
+        }
+
+        // Ensure currentPlayer is valid (not eliminated)
+        if (this.isEliminated(this.players[this.currentPlayer]?.id)) {
+            this.currentPlayer = this.getNextPlayerIndex();
+        }
+
+        // ─────────────────────────────────────────────────
+        // TURN VALIDATION WITH JUMP-IN + STACK
+        // ─────────────────────────────────────────────────
+        if (playerIndex !== this.currentPlayer) {
+            // CASE 1: Stack Jump-In (during active stack)
+            if (this.isStacking() && this.stackedDrawCount > 0) {
+                if (!this.settings.allowJumpIn) {
+                    return {
+                        success: false,
+                        error: 'Jump-in not allowed - must wait for your turn to stack or draw'
+                    };
+                }
+                if (!this.canPlayCard(card, playerId, false)) {
+                    return {
+                        success: false,
+                        error: 'Cannot stack with that card',
+                        debug: {
+                            cardValue: card.value,
+                            stackedDrawCount: this.stackedDrawCount,
+                            currentValue: this.currentValue
+                        }
+                    };
+                }
+                // Valid stack jump-in: the stack passes on from the jump-in player
+                this.currentPlayer    = playerIndex;
+                this.hasDrawnThisTurn = false;
+            }
+            // CASE 2: Normal Jump-In (no stack)
+            else if (this.settings.allowJumpIn && isJumpIn) {
+                if (!this.canPlayCard(card, playerId, true)) {
+                    return {
+                        success: false,
+                        error: 'Invalid jump-in card',
+                        debug: {
+                            cardValue: card.value,
+                            cardColor: card.color,
+                            currentValue: this.currentValue,
+                            currentColor: this.currentColor
+                        }
+                    };
+                }
+                this.hasDrawnThisTurn = false;
+                this.currentPlayer    = playerIndex;
+            }
+            // CASE 3: Not your turn, no valid jump-in
+            else {
+                return {
+                    success: false,
+                    error: 'Not your turn',
+                    debug: {
+                        currentPlayer: this.currentPlayer,
+                        currentPlayerName: this.players[this.currentPlayer]?.name,
+                        yourIndex: playerIndex,
+                        isJumpIn: isJumpIn,
+                        stackedDrawCount: this.stackedDrawCount
+                    }
+                };
+            }
+        }
+
+        // Validate card playability
+        if (!this.canPlayCard(card, playerId, isJumpIn)) {
+            return { success: false, error: "Can't play that card" };
+        }
+
+        // A wild draw is a bluff when the player held a card of the colour in play
+        const bluffed     = player.hand.some((c, i) => i !== cardIndex && c.color === this.currentColor);
+        const colorBefore = this.currentColor;
+        // Playing on top of a challengeable card (stacking) lets it stand
+        this.pendingChallenge = null;
+
+        player.hand.splice(cardIndex, 1);
+        this.discardPile.push(card);
+        this.currentColor = card.type === 'wild' ? (chosenColor || 'red') : card.color;
+        this.currentValue = card.value;
+
+        // ── PAY BACK: award +1 bank point for regular cards (not bank cards) ──
+        if (this.isPayBack() && !card.bank) {
+            if (this.bankPoints[player.id] === undefined) this.bankPoints[player.id] = 0;
+            this.bankPoints[player.id] += 1;
+        }
+
+        const effectResult = this.handleCardEffect(card, playerIndex);
+        if (effectResult === 'needSwapTarget') {
+            return { success: true, needSwapTarget: true, winner: null, drawAnimation: null };
+        }
+        if (effectResult === 'needPeekTarget') {
+            return { success: true, needPeekTarget: true, winner: null, drawAnimation: null };
+        }
+
+        this.checkUnoAfterPlay(playerIndex);
+
+        if (this.isWildChallenge() && CHALLENGEABLE.includes(card.value)) {
+            this.pendingChallenge = {
+                playerId:  player.id,
+                victimId:  this.players[this.currentPlayer].id,
+                cardValue: card.value,
+                color:     colorBefore,
+                bluffed
+            };
+        }
+
+        let drawAnimation = null;
+        if (PENALTY[card.value]) {
+            const nextIdx = this.getNextPlayerIndex(playerIndex);
+            drawAnimation = {
+                victimId:   this.players[nextIdx]?.id,
+                victimName: this.players[nextIdx]?.name,
+                playerId:   player.id,
+                playerName: player.name,
+                count:      this.penaltyOf(card.value),
+                cardValue:  card.value,
+                stacking:   card.value !== '+12' && this.isStacking(),
+                // The penalty waits for the victim to challenge or draw
+                challenge:  !!this.pendingChallenge
+            };
+        }
+
+        let newlyKnocked = [];
+        if (this.isMercy()) newlyKnocked = this.checkMercyKnockouts();
+
+        let winner = null;
+        if (player.hand.length === 0) {
+            winner = playerIndex;
+        } else {
+            const active = this.activePlayers();
+            if (active.length === 1) {
+                winner = this.players.findIndex(p => p.id === active[0].id);
+            } else if (active.length === 0) {
+                winner = playerIndex;
+            }
+        }
+
+        return {
+            success:       true,
+            winner,
+            swapHappened:  this._lastSwapEvent || null,
+            drawAnimation,
+            newlyKnocked
+        };
+    }
+
+    /**
+     * Apply a played card's effect and move the turn on
+     * @returns {string|undefined} 'needSwapTarget' / 'needPeekTarget' when the player must pick a target
+     */
+    handleCardEffect(card, playerIndex) {
+        const player = this.players[playerIndex];
+        switch (card.value) {
+            case 'Skip':
+                this.skipNextPlayer();
+                break;
+
+            case 'Reverse':
+                this.reverseDirection();
+                break;
+
+            case '+2':
+            case 'Wild+4':
+            case 'Wild+6':
+            case 'Wild+10':
+                if (this.defersPenalty(card)) {
+                    this.stackedDrawCount += this.penaltyOf(card.value);
+                    this.advanceTurn();
+                } else {
+                    this.drawCards(this.getNextPlayerIndex(), this.penaltyOf(card.value));
+                    this.skipNextPlayer();
+                }
+                break;
+
+            case 'WildReverseD4':
+                this.direction *= -1;
+                if (this.defersPenalty(card)) {
+                    this.stackedDrawCount += this.penaltyOf(card.value);
+                    this.advanceTurn();
+                } else {
+                    this.drawCards(this.getNextPlayerIndex(), this.penaltyOf(card.value));
+                    this.skipNextPlayer();
+                }
+                break;
+
+            case 'DiscardAll': {
+                const before = player.hand.length;
+                player.hand = player.hand.filter(c => c.color !== this.currentColor);
+                this._discardAllRemoved = before - player.hand.length;
+                this.advanceTurn();
+                break;
+            }
+
+            case 'SkipAll':
+                // Everyone else is skipped, so the same player goes again
+                this.hasDrawnThisTurn   = false;
+                this.bankBoughtThisTurn = new Set();
+                break;
+
+            case 'Roulette': {
+                const targetColor = this.currentColor;
+                const nextIdx = this.getNextPlayerIndex(playerIndex);
+                let drawn = 0;
+                let found = false;
+                while (drawn < MAX_DRAW && !found) {
+                    this.drawCards(nextIdx, 1);
+                    drawn++;
+                    const lastCard = this.players[nextIdx].hand.at(-1);
+                    if (lastCard && (lastCard.color === targetColor || lastCard.type === 'wild')) found = true;
+                }
+                // Knockouts are checked by playCard once the turn has moved on
+                this.skipNextPlayer();
+                break;
+            }
+
+            case '0':
+                if (this.isSpecial07()) {
+                    if (player.hand.length === 0) { this.advanceTurn(); break; }
+                    const active0 = this.activePlayers();
+                    if (active0.length > 1) {
+                        const savedHands = active0.map(p => p.hand);
+                        if (this.direction === 1) {
+                            active0[0].hand = savedHands[savedHands.length - 1];
+                            for (let i = 1; i < active0.length; i++) active0[i].hand = savedHands[i - 1];
+                        } else {
+                            active0[active0.length - 1].hand = savedHands[0];
+                            for (let i = 0; i < active0.length - 1; i++) active0[i].hand = savedHands[i + 1];
+                        }
+                        active0.forEach(p => { p.calledUno = false; });
+                        this._lastSwapEvent = { type: '0', rotateAll: true };
+                    }
+                }
+                this.advanceTurn();
+                break;
+
+            case '7':
+                if (this.isSpecial07()) {
+                    if (player.hand.length === 0 || this.swapTargets(player.id).length === 0) { this.advanceTurn(); break; }
+                    this.pendingSwap7 = { playerId: player.id };
+                    return 'needSwapTarget';
+                }
+                this.advanceTurn();
+                break;
+
+            case '4':
+                if (this.isSpecial48()) {
+                    this._special48 = '4';
+                    this.skipNextPlayer();
+                } else {
+                    this.advanceTurn();
+                }
+                break;
+
+            case '8':
+                if (this.isSpecial48()) {
+                    this._special48 = '8';
+                    this.reverseDirection();
+                } else {
+                    this.advanceTurn();
+                }
+                break;
+
+            case '+12':
+                this.drawCards(this.getNextPlayerIndex(playerIndex), this.penaltyOf(card.value));
+                this.skipNextPlayer();
+                break;
+
+            case 'RandDraw': {
+                const n = Math.floor(this.random() * 10) + 1;
+                const nextIdx = this.getNextPlayerIndex(playerIndex);
+                this.drawCards(nextIdx, n);
+                this.skipNextPlayer();
+                this._glitchRandDrawCount = n;
+                break;
+            }
+
+            case 'PopupAd': {
+                const popupTargetIdx = this.getNextPlayerIndex(playerIndex);
+                this._glitchPopupAdTargetId = this.players[popupTargetIdx]?.id;
+                this._glitchPopupAdCount    = Math.floor(this.random() * 11) + 5;
+                this.advanceTurn();
+                break;
+            }
+
+            case 'PeekHand':
+                this.pendingPeek = { playerId: player.id };
+                return 'needPeekTarget';
+
+            case 'ScrambleCard': {
+                const nextP = this.players[this.getNextPlayerIndex(playerIndex)];
+                if (nextP) {
+                    this.glitchScrambled = this.glitchScrambled.filter(e => e.playerId !== nextP.id);
+                    this.glitchScrambled.push({ playerId: nextP.id, expiresAt: this.now() + 90000 });
+                    this._glitchScrambleTargetId = nextP.id;
+                }
+                this.advanceTurn();
+                break;
+            }
+
+            case 'GlitchedOut': {
+                const nextSpectIdx = this.getNextPlayerIndex(playerIndex);
+                const nextSpectId  = this.players[nextSpectIdx]?.id;
+                this._glitchedOutTargetId = nextSpectId;
+                if (nextSpectId && !this.glitchSpectators.includes(nextSpectId)) {
+                    this.glitchSpectators = [...this.glitchSpectators, nextSpectId];
+                }
+                if (nextSpectIdx !== -1) this.players[nextSpectIdx].hand = [];
+                this.advanceTurn();
+                break;
+            }
+
+            // ── PAY BACK: Bank card effects (played from hand after purchase) ──
+            case 'BankSkip':
+                this.skipNextPlayer();
+                this._bankActionUsed = { action: 'BankSkip', cost: 0 };
+                break;
+            case 'BankDraw2':
+                this.drawCards(this.getNextPlayerIndex(playerIndex), 2);
+                this.skipNextPlayer();
+                this._bankActionUsed = { action: 'BankDraw2', cost: 0 };
+                break;
+            case 'BankDraw4':
+                this.drawCards(this.getNextPlayerIndex(playerIndex), 4);
+                this.skipNextPlayer();
+                this._bankActionUsed = { action: 'BankDraw4', cost: 0 };
+                break;
+            case 'BankReverse':
+                this.direction *= -1;
+                this.advanceTurn();
+                this._bankActionUsed = { action: 'BankReverse', cost: 0 };
+                break;
+            case 'BankShield':
+                this.bankShields[player.id] = true;
+                this.advanceTurn();
+                this._bankActionUsed = { action: 'BankShield', cost: 0 };
+                break;
+            case 'BankStrike':
+                for (const p of this.players) {
+                    if (p.id !== player.id) {
+                        this.bankPoints[p.id] = Math.max(0, (this.bankPoints[p.id] || 0) - 3);
+                    }
+                }
+                this.advanceTurn();
+                this._bankActionUsed = { action: 'BankStrike', cost: 0 };
+                break;
+
+            default:
+                this.advanceTurn();
+        }
+    }
+
+    isGlitchScrambledFor(playerId) {
+        if (!playerId) return false;
+        const now = this.now();
+        this.glitchScrambled = this.glitchScrambled.filter(e => e.expiresAt > now);
+        return this.glitchScrambled.some(e => e.playerId === playerId);
+    }
+
+    skipNextPlayer() { this.advanceTurn(); this.advanceTurn(); }
+
+    reverseDirection() {
+        this.direction *= -1;
+        // With two players left, a reverse acts like Skip
+        if (this.activePlayers().length === 2) this.skipNextPlayer();
+        else this.advanceTurn();
+    }
+
+    advanceTurn() {
+        this.currentPlayer    = this.getNextPlayerIndex();
+        this.hasDrawnThisTurn = false;
+        this.drawnPlayable    = null;
+        // Reset per-turn bank purchase tracker
+        this.bankBoughtThisTurn = new Set();
+    }
+
+    getNextPlayerIndex(fromIndex = null, direction = this.direction) {
+        const index = fromIndex !== null ? fromIndex : this.currentPlayer;
+        let next  = (index + direction + this.players.length) % this.players.length;
+        let guard = 0;
+
+        // Skip eliminated players (Mercy knockout or Glitch spectator)
+        while (this.isEliminated(this.players[next]?.id) && guard++ < this.players.length) {
+            next = (next + direction + this.players.length) % this.players.length;
+        }
+
+        // If all players are eliminated, fall back to the first active (or current) player
+        if (guard >= this.players.length) {
+            const active = this.activePlayers();
+            next = active.length > 0
+                ? this.players.findIndex(p => p.id === active[0].id)
+                : this.currentPlayer;
+        }
+
+        return next;
+    }
+
+    swapHands(a, b) {
+        [this.players[a].hand, this.players[b].hand] = [this.players[b].hand, this.players[a].hand];
+    }
+
+    /**
+     * Players a 7 may swap with: everyone still in the game except the swapper
+     * @param {string} playerId - Player who played the 7
+     * @returns {Array} Player objects
+     */
+    swapTargets(playerId) {
+        return this.activePlayers().filter(p => p.id !== playerId);
+    }
+
+    chooseSwapTarget(playerId, targetId) {
+        if (!this.pendingSwap7)                      return { success: false, error: 'No swap pending' };
+        if (this.pendingSwap7.playerId !== playerId) return { success: false, error: 'Not your swap' };
+        const pi = this.players.findIndex(p => p.id === playerId);
+        const ti = this.players.findIndex(p => p.id === targetId);
+        if (pi === -1 || ti === -1)      return { success: false, error: 'Player not found' };
+        if (pi === ti)                   return { success: false, error: 'Cannot swap with yourself' };
+        if (this.isEliminated(targetId)) return { success: false, error: 'That player is out of the game' };
+        this.swapHands(pi, ti);
+        this.players[pi].calledUno = false;
+        this.players[ti].calledUno = false;
+        this.pendingSwap7 = null;
+        this.advanceTurn();
+        return { success: true, swapperName: this.players[pi].name, targetName: this.players[ti].name };
+    }
+
+    choosePeekTarget(playerId, targetId) {
+        if (!this.pendingPeek)                      return { success: false, error: 'No peek pending' };
+        if (this.pendingPeek.playerId !== playerId) return { success: false, error: 'Not your peek' };
+        const ti = this.players.findIndex(p => p.id === targetId);
+        if (ti === -1) return { success: false, error: 'Target player not found' };
+        const targetHand = this.players[ti].hand;
+        const targetName = this.players[ti].name;
+        this.pendingPeek = null;
+        this.advanceTurn();
+        return { success: true, hand: targetHand, playerName: targetName };
+    }
+
+    drawCards(playerIndex, count) {
+        const hand = this.players[playerIndex].hand;
+        for (let i = 0; i < count; i++) {
+            if (this.deck.length === 0) this.reshuffleDeck();
+            if (this.deck.length === 0) break;
+            this.glitchTotalDraws++;
+            const topCard = this.deck[this.deck.length - 1];
+            if (topCard && topCard.value === 'GlitchedOut') {
+                if (this.glitchTotalDraws < GLITCH_OUT_MIN_DRAWS && this.deck.length > 1) {
+                    const go = this.deck.pop();
+                    const insertAt = Math.floor(this.random() * Math.max(1, this.deck.length - 10));
+                    this.deck.splice(insertAt, 0, go);
+                }
+            }
+            hand.push(this.deck.pop());
+        }
+    }
+
+    /**
+     * Draw from the deck one card at a time until a card matching the discard comes up
+     * @returns {number} Cards drawn
+     */
+    drawUntilMatch(playerIndex) {
+        let drawn = 0;
+        let found = false;
+        while (!found && drawn < MAX_DRAW) {
+            const before = this.players[playerIndex].hand.length;
+            this.drawCards(playerIndex, 1);
+            if (this.players[playerIndex].hand.length === before) break; // deck exhausted
+            drawn++;
+            found = this.matchesDiscard(this.players[playerIndex].hand.at(-1));
+        }
+        return drawn;
+    }
+
+    drawCard(playerId) {
+        const pi = this.players.findIndex(p => p.id === playerId);
+        if (this.glitchSpectators.includes(playerId)) return { success: false, error: 'You are a spectator' };
+        if (pi === -1 || pi !== this.currentPlayer)   return { success: false, error: 'Not your turn' };
+        if (this.hasDrawnThisTurn)                    return { success: false, error: 'You can only draw once per turn' };
+        const player = this.players[pi];
+
+        if (this.stackedDrawCount > 0) {
+            const count = this.stackedDrawCount;
+            this.drawCards(pi, count);
+            this.stackedDrawCount = 0;
+            this.pendingChallenge = null;
+            player.calledUno = false;
+            this.advanceTurn();
+            const newlyKnocked = this.checkMercyKnockouts();
+            return { success: true, drewStacked: true, stackCount: count, newlyKnocked };
+        }
+
+        if (this.isGlitch()) {
+            const n = Math.floor(this.random() * 10) + 1;
+            let drawn = 0;
+            let glitchedOut = false;
+            while (drawn < n) {
+                const before = player.hand.length;
+                this.drawCards(pi, 1);
+                if (player.hand.length === before) break;
+                drawn++;
+                if (player.hand.at(-1).value === 'GlitchedOut') { glitchedOut = true; break; }
+            }
+            player.calledUno = false;
+            this.hasDrawnThisTurn = true;
+            if (glitchedOut) {
+                // Drawing the cursed card turns the drawer into a spectator
+                player.hand = [];
+                if (!this.glitchSpectators.includes(player.id)) {
+                    this.glitchSpectators = [...this.glitchSpectators, player.id];
+                }
+            }
+            this.advanceTurn();
+            return { success: true, cardsDrawn: drawn, glitchRandDraw: true, glitchedOut };
+        }
+
+        // Mercy always draws until a playable card turns up; other modes only when enabled
+        const untilMatch       = this.isMercy() || !!this.settings.drawUntilMatch;
+        const reshufflesBefore = this.reshuffles;
+        let drawn;
+        if (untilMatch) {
+            drawn = this.drawUntilMatch(pi);
+        } else {
+            const before = player.hand.length;
+            this.drawCards(pi, 1);
+            drawn = player.hand.length - before;
+        }
+        // Read the sequence before a knockout can empty the hand
+        const drawnCards = drawn > 0 ? player.hand.slice(-drawn) : [];
+        if (player.hand.length > 1) player.calledUno = false;
+        // A playable last card keeps the turn so it can be played; otherwise the turn passes
+        const lastDrawn = drawnCards.at(-1);
+        const canPlay   = this.canPlayCard(lastDrawn, playerId);
+        if (canPlay) {
+            this.hasDrawnThisTurn = true;
+            this.drawnPlayable    = lastDrawn;
+        } else {
+            this.advanceTurn();
+        }
+        const newlyKnocked = this.checkMercyKnockouts();
+        return {
+            success:      true,
+            canPlayDrawn: canPlay && this.currentPlayer === pi,
+            cardsDrawn:   drawn,
+            drawnCards,
+            untilMatch,
+            reshuffled:   this.reshuffles > reshufflesBefore,
+            newlyKnocked
+        };
+    }
+
+    /**
+     * settings.allowWildChallenge: the player a Wild+4 / WildReverseD4 lands
+     * on calls it a bluff instead of drawing. If its player held a card of the
+     * colour in play, they draw the penalty (the whole stack, when stacked)
+     * and the challenger takes their turn as normal; otherwise the challenger
+     * draws the penalty plus 2 and loses the turn.
+     * @param {string} playerId - Challenger
+     * @returns {Object} { success, bluffed, challengerName, challengedId, challengedName, hand, color, drawerId, count, newlyKnocked }
+     */
+    challengeWild(playerId) {
+        const pending = this.pendingChallenge;
+        if (!pending)                      return { success: false, error: 'There is no wild draw card to challenge' };
+        if (pending.victimId !== playerId) return { success: false, error: 'Only the player it hits can challenge' };
+        const ci         = this.players.findIndex(p => p.id === playerId);
+        const bi         = this.players.findIndex(p => p.id === pending.playerId);
+        const challenged = this.players[bi];
+        // The challenger sees the hand the card came from, before any penalty lands
+        const hand       = challenged.hand.map(c => ({ ...c }));
+        const penalty    = this.stackedDrawCount;
+        this.stackedDrawCount = 0;
+        this.pendingChallenge = null;
+
+        const drawer = pending.bluffed ? bi : ci;
+        const count  = pending.bluffed ? penalty : penalty + 2;
+        this.drawCards(drawer, count);
+        this.players[drawer].calledUno = false;
+        if (pending.bluffed) this.hasDrawnThisTurn = false;
+        else                 this.advanceTurn();
+        return {
+            success:        true,
+            bluffed:        pending.bluffed,
+            challengerName: this.players[ci].name,
+            challengedId:   challenged.id,
+            challengedName: challenged.name,
+            hand,
+            color:          pending.color,
+            drawerId:       this.players[drawer].id,
+            count,
+            newlyKnocked:   this.checkMercyKnockouts()
+        };
+    }
+
+    /**
+     * Buy a Pay Back bank card; the card is added to the buyer's hand
+     * @param {string} playerId - Buyer
+     * @param {string} action - Bank card value (see BANK_COSTS)
+     */
+    buyBankAction(playerId, action) {
+        const player = this.players.find(p => p.id === playerId);
+        if (!player || !this.isPayBack()) return { success: false, error: 'Player not found' };
+
+        const cost = BANK_COSTS[action];
+        if (!cost) return { success: false, error: 'Unknown bank action' };
+
+        const pts = this.bankPoints[player.id] || 0;
+        if (pts < cost) {
+            return { success: false, reason: 'insufficient_points', cost, have: pts };
+        }
+        // Enforce once-per-turn rule
+        if (this.bankBoughtThisTurn.has(player.id)) {
+            return { success: false, reason: 'already_bought', cost, have: pts };
+        }
+
+        this.bankBoughtThisTurn.add(player.id);
+        this.bankPoints[player.id] -= cost;
+        const bankCard = { color: 'wild', value: action, type: 'wild', bank: true, cost };
+        player.hand.push(bankCard);
+        return { success: true, card: bankCard, cost, playerName: player.name };
+    }
+
+    checkMercyKnockouts() {
+        if (!this.isMercy()) return [];
+        const newlyKnocked = [];
+        this.players.forEach(p => {
+            if (!this.isEliminated(p.id) && p.hand.length >= MERCY_KNOCKOUT_CARDS) {
+                this.knockedOut.push(p.id);
+                newlyKnocked.push({ id: p.id, name: p.name });
+                p.hand = [];
+            }
+        });
+        let guard = 0;
+        while (this.isEliminated(this.players[this.currentPlayer]?.id) && guard++ < this.players.length) {
+            this.advanceTurn();
+        }
+        return newlyKnocked;
+    }
+
+    isEliminated(playerId) {
+        if (!playerId) return false;
+        return this.knockedOut.includes(playerId) || this.glitchSpectators.includes(playerId);
+    }
+
+    activePlayers() {
+        return this.players.filter(p => !this.isEliminated(p.id));
+    }
+
+    /**
+     * Give a seat a new player id (a reconnect on a new socket), carrying over
+     * everything kept by id: knockouts, Pay Back points and shields, glitch
+     * states and a swap, peek or challenge waiting on the player
+     * @param {string} oldId
+     * @param {string} newId
+     * @returns {boolean} Whether a seat had oldId
+     */
+    renamePlayer(oldId, newId) {
+        const player = this.players.find(p => p.id === oldId);
+        if (!player) return false;
+        const swap = id => (id === oldId ? newId : id);
+        player.id = newId;
+        this.knockedOut         = this.knockedOut.map(swap);
+        this.glitchSpectators   = this.glitchSpectators.map(swap);
+        this.glitchScrambled    = this.glitchScrambled.map(e => ({ ...e, playerId: swap(e.playerId) }));
+        this.bankBoughtThisTurn = new Set([...this.bankBoughtThisTurn].map(swap));
+        [this.bankPoints, this.bankShields].forEach(byId => {
+            if (!(oldId in byId)) return;
+            byId[newId] = byId[oldId];
+            delete byId[oldId];
+        });
+        if (this.pendingSwap7) this.pendingSwap7.playerId = swap(this.pendingSwap7.playerId);
+        if (this.pendingPeek)  this.pendingPeek.playerId  = swap(this.pendingPeek.playerId);
+        if (this.pendingChallenge) {
+            this.pendingChallenge.playerId = swap(this.pendingChallenge.playerId);
+            this.pendingChallenge.victimId = swap(this.pendingChallenge.victimId);
+        }
+        return true;
+    }
+
+    /**
+     * Teams with settings.teamTrade: two teammates swap one card each, once
+     * per team per hand. Works out of turn; hand sizes don't change.
+     * @param {string} fromId - Player who offered a card
+     * @param {number} fromIndex - Index of that card in their hand
+     * @param {string} toId - Teammate who accepted
+     * @param {number} toIndex - Index of the card they give back
+     * @returns {Object} { success, error }
+     */
+    tradeCards(fromId, fromIndex, toId, toIndex) {
+        if (!this.isTeams() || !this.settings.teamTrade)          return { success: false, error: 'Card trades are off in this game' };
+        if (!this.isTeammate(fromId, toId))                       return { success: false, error: 'You can only trade with a teammate' };
+        if (this.isEliminated(fromId) || this.isEliminated(toId)) return { success: false, error: 'That player is out of the game' };
+        const from = this.players.find(p => p.id === fromId);
+        const to   = this.players.find(p => p.id === toId);
+        if (this.teamTrades.has(from.team)) return { success: false, error: 'Your team has already traded this hand' };
+        if (!from.hand[fromIndex] || !to.hand[toIndex]) return { success: false, error: 'Invalid card' };
+        [from.hand[fromIndex], to.hand[toIndex]] = [to.hand[toIndex], from.hand[fromIndex]];
+        this.teamTrades.add(from.team);
+        return { success: true, fromName: from.name, toName: to.name };
+    }
+
+    callUno(playerId) {
+        const player = this.players.find(p => p.id === playerId);
+        if (!player)                  return { success: false, error: 'Player not found' };
+        if (player.hand.length !== 1) return { success: false, error: 'Can only call O,No when you have 1 card' };
+        player.calledUno = true;
+        return { success: true, playerName: player.name };
+    }
+
+    catchUnoViolation(catcherId, caughtId) {
+        const ci  = this.players.findIndex(p => p.id === catcherId);
+        const cui = this.players.findIndex(p => p.id === caughtId);
+        if (ci === -1 || cui === -1) return { success: false, error: 'Player not found' };
+        const caught = this.players[cui];
+        if (caught.hand.length !== 1 || caught.calledUno) return { success: false, error: 'No O,no violation detected' };
+        this.drawCards(cui, 2);
+        caught.calledUno = false;
+        return { success: true, catcherName: this.players[ci].name, caughtName: caught.name, penaltyApplied: true };
+    }
+
+    checkUnoAfterPlay(playerIndex) {
+        if (this.players[playerIndex].hand.length !== 1) this.players[playerIndex].calledUno = false;
+    }
+
+    reshuffleDeck() {
+        if (this.discardPile.length <= 1) return;
+        const top = this.discardPile.pop();
+        this.deck = [...this.discardPile];
+        this.discardPile = [top];
+        this.shuffleDeck();
+        this.reshuffles++;
+    }
+
+    /**
+     * Final scores for every seat, winners (empty hands) first
+     * @returns {Array} [{ name, id, score, hand }]
+     */
+    computeScores() {
+        return this.players
+            .map(p => ({ name: p.name, id: p.id, score: scoreHand(p.hand), hand: p.hand }))
+            .sort((a, b) => b.score - a.score);
+    }
+
+    /**
+     * Placings for a finished game: the winner, then the other survivors by
+     * hand score, then eliminated players (knocked out / glitched out) with the
+     * last one eliminated ranked highest. Equal scores share a place.
+     * @param {string} winnerId - Socket ID of the winner
+     * @returns {Array} [{ id, name, place }] best first
+     */
+    finishOrder(winnerId) {
+        // Teams finish together: the winner's team shares first place
+        if (this.isTeams()) {
+            return this.players.map(p => ({
+                id: p.id, name: p.name, place: p.id === winnerId || this.isTeammate(p.id, winnerId) ? 1 : 2
+            })).sort((a, b) => a.place - b.place);
+        }
+        const eliminated = [...this.knockedOut, ...this.glitchSpectators];
+        const survivors  = this.players
+            .filter(p => p.id !== winnerId && !eliminated.includes(p.id))
+            .map(p => ({ id: p.id, name: p.name, score: scoreHand(p.hand) }))
+            .sort((a, b) => b.score - a.score);
+
+        const order  = [];
+        const winner = this.players.find(p => p.id === winnerId);
+        if (winner) order.push({ id: winner.id, name: winner.name, place: 1 });
+        survivors.forEach((p, i) => {
+            const prev  = survivors[i - 1];
+            const place = prev && prev.score === p.score ? order[order.length - 1].place : order.length + 1;
+            order.push({ id: p.id, name: p.name, place });
+        });
+        eliminated.slice().reverse().forEach(id => {
+            const p = this.players.find(pl => pl.id === id);
+            if (p && p.id !== winnerId) order.push({ id: p.id, name: p.name, place: order.length + 1 });
+        });
+        return order;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        RulesEngine, scoreHand, createRng, randomSeed, defaultDeckCounts, deckCounts, deckSize,
+        COLORS, NUMBERS, ACTIONS, DRAW_VALUES, PENALTY, CHALLENGEABLE, BANK_COSTS,
+        MERCY_CARDS, GLITCH_CARDS, COLORED_GROUPS, WILD_GROUPS,
+        MAX_DRAW, MERCY_KNOCKOUT_CARDS, GLITCH_OUT_MIN_DRAWS
+    };
+}
@@ -0,0 +1,49 @@
+/**
+ * Multiplayer Elo Rating
+ * A finished game is scored as every pairwise matchup between its players:
+ * each player "beat" everyone who finished below them and drew with anyone
+ * they tied with. The per-pair Elo deltas are averaged over the N-1
+ * opponents, so a 6-player game moves ratings about as much as a 1v1.
+ */
+
+const INITIAL_RATING  = 1000;
+const K_FACTOR        = 32;
+const PROVISIONAL_K   = 48;  // first games settle a new player's rating faster
+const PROVISIONAL_GAMES = 10;
+
+function emptyRating() {
+    return { rating: INITIAL_RATING, games: 0 };
+}
+
+function expectedScore(rating, opponentRating) {
+    return 1 / (1 + Math.pow(10, (opponentRating - rating) / 400));
+}
+
+/**
+ * Compute rating changes for one game
+ * @param {Array} standings - [{ key, rating, games, place, bot }] where place 1 is the
+ *                            winner; equal places count as a draw. Bots are
+ *                            left out: they neither get nor give rating.
+ * @returns {Map} key -> { rating, games, delta }
+ */
+function computeRatingChanges(standings) {
+    const results = new Map();
+    const rated   = standings.filter(p => !p.bot);
+    const n       = rated.length;
+    if (n < 2) return results;
+
+    rated.forEach(p => {
+        let sum = 0;
+        rated.forEach(o => {
+            if (o === p) return;
+            const actual = p.place < o.place ? 1 : p.place > o.place ? 0 : 0.5;
+            sum += actual - expectedScore(p.rating, o.rating);
+        });
+        const k     = p.games < PROVISIONAL_GAMES ? PROVISIONAL_K : K_FACTOR;
+        const delta = Math.round(k * sum / (n - 1));
+        results.set(p.key, { rating: p.rating + delta, games: p.games + 1, delta });
+    });
+    return results;
+}
+
+module.exports = { computeRatingChanges, emptyRating, expectedScore, INITIAL_RATING };
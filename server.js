@@ -2,9 +2,19 @@ const express  = require('express');
 const http     = require('http');
 const socketIO = require('socket.io');
 const path     = require('path');
-const fs       = require('fs');
+const crypto   = require('crypto');
 const bcrypt   = require('bcryptjs');
 const { PlayerPresenceManager, PlayerState } = require('./public/js/playerPresence.js');
+const { RulesEngine, createRng, randomSeed } = require('./public/js/rulesEngine.js');
+const { createAccountStore, migrateJsonAccounts } = require('./accountStore.js');
+const { computeRatingChanges, emptyRating } = require('./rating.js');
+const { createMatchStore } = require('./matchStore.js');
+const bots = require('./bots.js');
+const { MatchQueue, TABLE_SIZES, DEFAULT_BOT_WAIT_MS } = require('./matchmaking.js');
+const { cleanMessage, createWordFilter, RateLimiter, ChatLog, DEFAULT_BANNED_WORDS, EMOTES, EMOTE_COOLDOWN } = require('./chat.js');
+const { MATCH_TARGETS, MATCH_SCORINGS, MatchSeries } = require('./matchSeries.js');
+const { Tournament, TOURNAMENT_FORMATS, TOURNAMENT_TABLE_SIZES, MIN_ENTRANTS, MAX_ENTRANTS } = require('./tournament.js');
+const { normalizeDeck, deckProblem, savePreset, deletePreset } = require('./deckBuilder.js');
 
 const app    = express();
 const server = http.createServer(app);
@@ -12,38 +22,36 @@ const io     = socketIO(server, { cors: { origin: '*', methods: ['GET', 'POST']
 const PORT   = process.env.PORT || 3000;
 
 /* -- ACCOUNT MANAGEMENT ---------------------------------------- */
-const ACCOUNTS_DIR = path.join(__dirname, 'accounts');
+const DATA_DIR            = process.env.DATA_DIR || path.join(__dirname, 'data');
+const LEGACY_ACCOUNTS_DIR = path.join(__dirname, 'accounts');
 
-// Create accounts directory if it doesn't exist
-if (!fs.existsSync(ACCOUNTS_DIR)) {
-    fs.mkdirSync(ACCOUNTS_DIR, { recursive: true });
-    console.log('[Auth] Created accounts directory');
-}
+// ACCOUNT_STORE=memory keeps everything in RAM (tests); default is the on-disk log
+const accountStore = createAccountStore({
+    backend:  process.env.ACCOUNT_STORE || 'log',
+    filePath: path.join(DATA_DIR, 'accounts.log')
+});
+migrateJsonAccounts(accountStore, LEGACY_ACCOUNTS_DIR);
 
-// Get account file path
-function getAccountPath(username) {
-    return path.join(ACCOUNTS_DIR, `${username}.json`);
-}
+// Finished games, for match history
+const matchStore = createMatchStore({
+    backend:  process.env.MATCH_STORE || process.env.ACCOUNT_STORE || 'log',
+    filePath: path.join(DATA_DIR, 'matches.log')
+});
 
-// Load account from file
+// Load account (username lookup is case-insensitive)
 function loadAccount(username) {
     try {
-        const filePath = getAccountPath(username);
-        if (fs.existsSync(filePath)) {
-            const data = fs.readFileSync(filePath, 'utf8');
-            return JSON.parse(data);
-        }
+        return accountStore.get(username);
     } catch (error) {
         console.error(`[Auth] Error loading account ${username}:`, error.message);
     }
     return null;
 }
 
-// Save account to file
+// Save account
 function saveAccount(username, accountData) {
     try {
-        const filePath = getAccountPath(username);
-        fs.writeFileSync(filePath, JSON.stringify(accountData, null, 2), 'utf8');
+        accountStore.put(accountData);
         return true;
     } catch (error) {
         console.error(`[Auth] Error saving account ${username}:`, error.message);
@@ -51,6 +59,33 @@ function saveAccount(username, accountData) {
     }
 }
 
+// Per-mode W/L buckets; wins/losses on the account stay as all-mode totals
+const GAME_MODES = ['original', 'mercy', 'glitch', 'payback'];
+
+function emptyModeStats() {
+    const stats = {};
+    GAME_MODES.forEach(mode => { stats[mode] = { wins: 0, losses: 0 }; });
+    return stats;
+}
+
+function emptyModeRatings() {
+    const ratings = {};
+    GAME_MODES.forEach(mode => { ratings[mode] = emptyRating(); });
+    return ratings;
+}
+
+// Fields of an account that are safe to send to clients
+function publicUser(account) {
+    return {
+        username:  account.username,
+        nickname:  account.nickname,
+        wins:      account.wins || 0,
+        losses:    account.losses || 0,
+        modeStats: Object.assign(emptyModeStats(), account.modeStats),
+        ratings:   Object.assign(emptyModeRatings(), account.ratings)
+    };
+}
+
 // Hash password
 async function hashPassword(password) {
     try {
@@ -71,6 +106,91 @@ async function comparePassword(password, hash) {
     }
 }
 
+/* -- SESSIONS ---------------------------------------- */
+// Login/signup issue an HMAC-signed token "<payload>.<signature>". The payload
+// carries the username, a session id and the expiry; the session id must still
+// be listed in the account's `sessions` map, so logout (and refresh, which
+// rotates the id) revoke a token before it expires.
+const SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const SESSION_SECRET = process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex');
+
+if (!process.env.SESSION_SECRET) {
+    console.warn('[Auth] SESSION_SECRET not set - sessions will not survive a server restart');
+}
+
+function base64UrlEncode(buf) {
+    return buf.toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+function base64UrlDecode(str) {
+    return Buffer.from(str.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+}
+
+function signSessionPayload(payload) {
+    return base64UrlEncode(crypto.createHmac('sha256', SESSION_SECRET).update(payload).digest());
+}
+
+// Create a new session on the account (caller saves it) and return its token
+function issueSession(account) {
+    const now = Date.now();
+    const sid = crypto.randomBytes(16).toString('hex');
+    const expiresAt = now + SESSION_TTL_MS;
+
+    // Drop expired sessions so the account file doesn't grow forever
+    const sessions = {};
+    Object.entries(account.sessions || {}).forEach(([id, exp]) => {
+        if (exp > now) sessions[id] = exp;
+    });
+    sessions[sid] = expiresAt;
+    account.sessions = sessions;
+
+    const payload = base64UrlEncode(Buffer.from(JSON.stringify({ u: account.username, sid, exp: expiresAt })));
+    return { token: `${payload}.${signSessionPayload(payload)}`, expiresAt };
+}
+
+// Returns { account, sid } for a valid, unexpired, unrevoked token, else null
+function verifySessionToken(token) {
+    if (typeof token !== 'string') return null;
+    const [payload, signature] = token.split('.');
+    if (!payload || !signature) return null;
+
+    const expected = Buffer.from(signSessionPayload(payload));
+    const given    = Buffer.from(signature);
+    if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+
+    let data;
+    try {
+        data = JSON.parse(base64UrlDecode(payload).toString('utf8'));
+    } catch (error) {
+        return null;
+    }
+    if (!data || typeof data.u !== 'string' || !data.sid || !(data.exp > Date.now())) return null;
+
+    const account = loadAccount(data.u);
+    if (!account || !account.sessions || !(account.sessions[data.sid] > Date.now())) return null;
+    return { account, sid: data.sid };
+}
+
+function revokeSession(account, sid) {
+    if (account.sessions) delete account.sessions[sid];
+}
+
+function getBearerToken(req) {
+    const header = req.headers.authorization || '';
+    return header.startsWith('Bearer ') ? header.slice(7).trim() : null;
+}
+
+// Express middleware for routes that act on the logged-in account
+function requireSession(req, res, next) {
+    const session = verifySessionToken(getBearerToken(req));
+    if (!session) {
+        return res.status(401).json({ success: false, message: 'Session expired. Please log in again.' });
+    }
+    req.account   = session.account;
+    req.sessionId = session.sid;
+    next();
+}
+
 // Middleware
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
@@ -99,8 +219,8 @@ app.post('/api/auth/signup', async (req, res) => {
             return res.status(400).json({ success: false, message: 'Passwords do not match' });
         }
 
-        // Check if account already exists
-        if (loadAccount(username)) {
+        // Check if account already exists (any casing)
+        if (accountStore.has(username)) {
             return res.status(409).json({ success: false, message: 'Username already exists' });
         }
 
@@ -116,24 +236,31 @@ app.post('/api/auth/signup', async (req, res) => {
             nickname: '',
             wins: 0,
             losses: 0,
+            modeStats: emptyModeStats(),
             createdAt: new Date().toISOString()
         };
-
-        if (saveAccount(username, newAccount)) {
-            console.log(`[Auth] New account created: ${username}`);
-            res.json({ 
-                success: true, 
-                message: 'Account created successfully',
-                user: {
-                    username: newAccount.username,
-                    nickname: newAccount.nickname,
-                    wins: newAccount.wins,
-                    losses: newAccount.losses
-                }
-            });
-        } else {
-            res.status(500).json({ success: false, message: 'Error saving account' });
+        const session = issueSession(newAccount);
+
+        // Re-checked on insert: another signup may have taken the name while hashing
+        let created;
+        try {
+            created = accountStore.create(newAccount);
+        } catch (error) {
+            console.error(`[Auth] Error saving account ${username}:`, error.message);
+            return res.status(500).json({ success: false, message: 'Error saving account' });
         }
+        if (!created) {
+            return res.status(409).json({ success: false, message: 'Username already exists' });
+        }
+
+        console.log(`[Auth] New account created: ${username}`);
+        res.json({ 
+            success: true, 
+            message: 'Account created successfully',
+            token: session.token,
+            expiresAt: session.expiresAt,
+            user: publicUser(newAccount)
+        });
     } catch (error) {
         console.error('[Auth] Signup error:', error);
         res.status(500).json({ success: false, message: 'Server error' });
@@ -159,16 +286,18 @@ app.post('/api/auth/login', async (req, res) => {
             return res.status(401).json({ success: false, message: 'Incorrect password' });
         }
 
+        const session = issueSession(account);
+        if (!saveAccount(username, account)) {
+            return res.status(500).json({ success: false, message: 'Error starting session' });
+        }
+
         console.log(`[Auth] Login successful: ${username}`);
         res.json({
             success: true,
             message: 'Login successful',
-            user: {
-                username: account.username,
-                nickname: account.nickname,
-                wins: account.wins,
-                losses: account.losses
-            }
+            token: session.token,
+            expiresAt: session.expiresAt,
+            user: publicUser(account)
         });
     } catch (error) {
         console.error('[Auth] Login error:', error);
@@ -177,18 +306,11 @@ app.post('/api/auth/login', async (req, res) => {
 });
 
 // Update nickname
-app.post('/api/auth/nickname', (req, res) => {
+app.post('/api/auth/nickname', requireSession, (req, res) => {
     try {
-        const { username, nickname } = req.body;
-
-        if (!username) {
-            return res.status(400).json({ success: false, message: 'Username required' });
-        }
-
-        const account = loadAccount(username);
-        if (!account) {
-            return res.status(404).json({ success: false, message: 'Account not found' });
-        }
+        const { nickname } = req.body;
+        const account  = req.account;
+        const username = account.username;
 
         if (nickname && nickname.length > 20) {
             return res.status(400).json({ success: false, message: 'Nickname too long (max 20 chars)' });
@@ -200,12 +322,7 @@ app.post('/api/auth/nickname', (req, res) => {
             res.json({
                 success: true,
                 message: 'Nickname updated',
-                user: {
-                    username: account.username,
-                    nickname: account.nickname,
-                    wins: account.wins,
-                    losses: account.losses
-                }
+                user: publicUser(account)
             });
         } else {
             res.status(500).json({ success: false, message: 'Error updating nickname' });
@@ -216,43 +333,43 @@ app.post('/api/auth/nickname', (req, res) => {
     }
 });
 
-// Update stats (wins/losses)
-app.post('/api/auth/stats', (req, res) => {
+// Refresh - Swap a valid session token for a fresh one
+app.post('/api/auth/refresh', requireSession, (req, res) => {
     try {
-        const { username, isWinner } = req.body;
+        const account = req.account;
+        revokeSession(account, req.sessionId);
+        const session = issueSession(account);
 
-        if (!username) {
-            return res.status(400).json({ success: false, message: 'Username required' });
+        if (!saveAccount(account.username, account)) {
+            return res.status(500).json({ success: false, message: 'Error refreshing session' });
         }
 
-        const account = loadAccount(username);
-        if (!account) {
-            return res.status(404).json({ success: false, message: 'Account not found' });
-        }
+        res.json({
+            success: true,
+            token: session.token,
+            expiresAt: session.expiresAt,
+            user: publicUser(account)
+        });
+    } catch (error) {
+        console.error('[Auth] Refresh error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
 
-        if (isWinner) {
-            account.wins = (account.wins || 0) + 1;
-        } else {
-            account.losses = (account.losses || 0) + 1;
-        }
+// Logout - Revoke the current session token
+app.post('/api/auth/logout', requireSession, (req, res) => {
+    try {
+        const account = req.account;
+        revokeSession(account, req.sessionId);
 
-        if (saveAccount(username, account)) {
-            console.log(`[Auth] Stats updated for ${username}: ${account.wins}W-${account.losses}L`);
-            res.json({
-                success: true,
-                message: 'Stats updated',
-                user: {
-                    username: account.username,
-                    nickname: account.nickname,
-                    wins: account.wins,
-                    losses: account.losses
-                }
-            });
-        } else {
-            res.status(500).json({ success: false, message: 'Error updating stats' });
+        if (!saveAccount(account.username, account)) {
+            return res.status(500).json({ success: false, message: 'Error ending session' });
         }
+
+        console.log(`[Auth] Logout: ${account.username}`);
+        res.json({ success: true, message: 'Logged out' });
     } catch (error) {
-        console.error('[Auth] Stats update error:', error);
+        console.error('[Auth] Logout error:', error);
         res.status(500).json({ success: false, message: 'Server error' });
     }
 });
@@ -269,12 +386,7 @@ app.get('/api/auth/user/:username', (req, res) => {
 
         res.json({
             success: true,
-            user: {
-                username: account.username,
-                nickname: account.nickname,
-                wins: account.wins,
-                losses: account.losses
-            }
+            user: publicUser(account)
         });
     } catch (error) {
         console.error('[Auth] Get user error:', error);
@@ -282,10 +394,163 @@ app.get('/api/auth/user/:username', (req, res) => {
     }
 });
 
+/* -- DECK PRESETS ---------------------------------------- */
+// Named house-rule decks (deckBuilder.js) kept on the account, for the lobby form
+app.get('/api/decks', requireSession, (req, res) => {
+    try {
+        res.json({ success: true, presets: req.account.deckPresets || [] });
+    } catch (error) {
+        console.error('[Decks] List error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+// Save a preset; one with the same name is replaced
+app.post('/api/decks', requireSession, (req, res) => {
+    try {
+        const account = req.account;
+        const result  = savePreset(account.deckPresets, req.body.name, req.body.deck);
+        if (!result.success) {
+            return res.status(400).json({ success: false, message: result.error });
+        }
+        account.deckPresets = result.presets;
+        if (!saveAccount(account.username, account)) {
+            return res.status(500).json({ success: false, message: 'Error saving preset' });
+        }
+        res.json({ success: true, presets: account.deckPresets });
+    } catch (error) {
+        console.error('[Decks] Save error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+app.delete('/api/decks/:name', requireSession, (req, res) => {
+    try {
+        const account = req.account;
+        const presets = deletePreset(account.deckPresets, req.params.name);
+        if (!presets) {
+            return res.status(404).json({ success: false, message: 'Preset not found' });
+        }
+        account.deckPresets = presets;
+        if (!saveAccount(account.username, account)) {
+            return res.status(500).json({ success: false, message: 'Error deleting preset' });
+        }
+        res.json({ success: true, presets });
+    } catch (error) {
+        console.error('[Decks] Delete error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+/* -- MATCH HISTORY ---------------------------------------- */
+const MATCH_PAGE_SIZE = 20;
+
+// Finished games a user played in, newest first
+app.get('/api/users/:username/matches', (req, res) => {
+    try {
+        const account = loadAccount(req.params.username);
+        if (!account) {
+            return res.status(404).json({ success: false, message: 'User not found' });
+        }
+        const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+        const { total, matches } = matchStore.listForUser(account.username, (page - 1) * MATCH_PAGE_SIZE, MATCH_PAGE_SIZE);
+
+        res.json({
+            success:  true,
+            username: account.username,
+            page,
+            pageSize: MATCH_PAGE_SIZE,
+            total,
+            pages:    Math.max(1, Math.ceil(total / MATCH_PAGE_SIZE)),
+            matches:  matches.map(m => {
+                const rematch = matchStore.findRematchOf(m.id);
+                return Object.assign({}, m, { rematchedBy: rematch ? rematch.id : null });
+            })
+        });
+    } catch (error) {
+        console.error('[Match] History error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+// Full action log of a finished match, all hands revealed
+app.get('/api/matches/:id/replay', (req, res) => {
+    try {
+        const match  = matchStore.get(req.params.id);
+        const replay = match && matchStore.getReplay(match.id);
+        if (!replay) {
+            return res.status(404).json({ success: false, message: 'Replay not found' });
+        }
+        res.json({ success: true, match, replay });
+    } catch (error) {
+        console.error('[Match] Replay error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+/* -- LEADERBOARD ---------------------------------------- */
+const LEADERBOARD_PAGE_SIZE = 20;
+
+// Rated players for one mode, best first. Only accounts that have finished
+// at least one game in that mode are listed.
+app.get('/api/leaderboard', (req, res) => {
+    try {
+        const mode = req.query.mode || 'original';
+        if (!GAME_MODES.includes(mode)) {
+            return res.status(400).json({ success: false, message: `Unknown mode (expected ${GAME_MODES.join(', ')})` });
+        }
+        const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+
+        const ranked = accountStore.list()
+            .filter(a => a.ratings && a.ratings[mode] && a.ratings[mode].games > 0)
+            .sort((a, b) => b.ratings[mode].rating - a.ratings[mode].rating
+                         || b.ratings[mode].games - a.ratings[mode].games
+                         || a.username.localeCompare(b.username));
+
+        const start   = (page - 1) * LEADERBOARD_PAGE_SIZE;
+        const entries = ranked.slice(start, start + LEADERBOARD_PAGE_SIZE).map((a, i) => {
+            const stats = (a.modeStats && a.modeStats[mode]) || { wins: 0, losses: 0 };
+            return {
+                rank:     start + i + 1,
+                username: a.username,
+                nickname: a.nickname,
+                rating:   a.ratings[mode].rating,
+                games:    a.ratings[mode].games,
+                wins:     stats.wins,
+                losses:   stats.losses
+            };
+        });
+
+        res.json({
+            success: true,
+            mode,
+            page,
+            pageSize: LEADERBOARD_PAGE_SIZE,
+            total:    ranked.length,
+            pages:    Math.max(1, Math.ceil(ranked.length / LEADERBOARD_PAGE_SIZE)),
+            entries
+        });
+    } catch (error) {
+        console.error('[Leaderboard] Error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+/* -- TOURNAMENT RESULTS ---------------------------------------- */
+// Bracket, tables and standings of a tournament, live or finished
+app.get('/api/tournaments/:id', (req, res) => {
+    const tournament = tournaments.get(req.params.id);
+    if (!tournament) {
+        return res.status(404).json({ success: false, message: 'Tournament not found' });
+    }
+    res.json({ success: true, tournament: tournament.summary() });
+});
 
 /* -- STATIC FILES ---------------------------------------- */
 app.use(express.static(path.join(__dirname, 'public')));
 app.get('/', (_, res) => res.sendFile(path.join(__dirname, 'public', 'index.html')));
+// Invite links open the normal page, which reads the code from the path and joins
+app.get('/join/:code', (_, res) => res.sendFile(path.join(__dirname, 'public', 'index.html')));
 app.get('/health', (_, res) => res.json({ status: 'ok', rooms: rooms.size, lobbies: Object.keys(lobbies).length }));
 app.get('*', (req, res) => req.url.includes('.')
     ? res.status(404).send('File not found')
@@ -296,6 +561,7 @@ const rooms   = new Map();
 const lobbies = {};
 const lobbyPresenceManagers = new Map();
 const rematchQueues = new Map(); // roomId -> { players, settings, votes: Set, total }
+const tournaments   = new Map(); // tournamentId -> Tournament
 
 // Rejoin registry: persistentId -> { roomId, playerName, expiresAt, rejoinTimer }
 // Persists for 5 minutes after disconnect so a page-refresh can reconnect
@@ -324,119 +590,257 @@ function clearRejoin(persistentId) {
 }
 
 /* -- GAME ROOM ---------------------------------------- */
-class GameRoom {
-    constructor(roomId, players, settings) {
-        this.roomId           = roomId;
+// Card rules live in the shared RulesEngine (public/js/rulesEngine.js) so the
+// offline CPU game plays by exactly the same rules; GameRoom adds the room
+// identity, the per-player state sent to each socket, and an action log:
+// every successful action is appended with a full snapshot of the table so a
+// finished game can be replayed turn by turn with all hands revealed.
+//
+// Every room draws its randomness from a seeded PRNG. The seed comes from
+// options.seed, else the lobby's settings.seed ("seeded challenge"), else a
+// fresh random one; two rooms with the same seed and the same actions end in
+// identical states. options.rng / options.now inject the generator and clock.
+class GameRoom extends RulesEngine {
+    constructor(roomId, players, settings, options = {}) {
+        const seed = options.seed != null ? String(options.seed) : (settings && settings.seed) || randomSeed();
         // players array now carries persistentId
-        this.players          = players.map(p => ({
+        super(players.map(p => ({
             id:           p.id,
             persistentId: p.persistentId || p.id,  // stable across reconnects
+            username:     p.username || null,      // logged-in account, for server-side stats
             name:         p.name,
-            hand:         [],
-            calledUno:    false
-        }));
-        this.deck             = [];
-        this.discardPile      = [];
-        this.currentPlayer    = 0;
-        this.currentColor     = null;
-        this.currentValue     = null;
-        this.direction        = 1;
-        this.stackedDrawCount = 0;
-        this.hasDrawnThisTurn = false;
-        this.settings         = settings || {};
-        this.gameStarted      = false;
-        this.pendingSwap7     = null;
-        this.pendingPeek      = null;
-        this._lastSwapEvent   = null;
-        this.knockedOut       = [];   // player ids eliminated in mercy mode
-        this.pendingRoulette  = null;
-        this.glitchSpectators  = [];
-        this.glitchScrambled   = [];
-        this.glitchTotalDraws  = 0;
-        // ── PAY BACK: Bank Card system ──────────────────────
-        this.bankPoints        = {};   // { playerId: number }
-        this.pendingBankAction = null; // { playerId, action, cost }
-        this.bankBoughtThisTurn = new Set(); // playerIds who already bought this turn
-    }
-
-    isMercy()   { return this.settings.gameMode === 'mercy'; }
-    isGlitch()  { return this.settings.gameMode === 'glitch'; }
-    isPayBack() { return this.settings.gameMode === 'payback'; }
-
-    createDeck() {
-        const COLORS  = ['red', 'blue', 'green', 'yellow'];
-        const NUMBERS = ['0', '1', '2', '3', '4', '5', '6', '7', '8', '9'];
-        const ACTIONS = ['Skip', 'Reverse', '+2'];
-        this.deck = [];
-        for (const color of COLORS) {
-            this.deck.push({ color, value: '0', type: 'number' });
-            for (let i = 0; i < 2; i++) {
-                for (const n of NUMBERS.slice(1)) this.deck.push({ color, value: n, type: 'number' });
-                for (const a of ACTIONS)           this.deck.push({ color, value: a, type: 'action' });
-            }
-        }
-        for (let i = 0; i < 4; i++) {
-            this.deck.push({ color: 'wild', value: 'Wild',   type: 'wild' });
-            this.deck.push({ color: 'wild', value: 'Wild+4', type: 'wild' });
-        }
-        if (this.settings.allowPlus12) {
-            this.deck.push({ color: 'wild', value: '+12', type: 'wild' });
-            this.deck.push({ color: 'wild', value: '+12', type: 'wild' });
+            bot:          p.bot || null,           // bot difficulty for a server-played seat
+            team:         p.team ?? null           // side in a settings.teamMode game
+        })), settings, { rng: options.rng || createRng(seed), now: options.now });
+        this.roomId        = roomId;
+        this.seed          = seed;
+        this.gameStarted   = false;
+        this.actionLog     = { seed, deck: [], events: [] };
+        this.turnTimeoutMs = (Number(this.settings.turnTimer) || 0) * 1000;
+        this.turnDeadline  = null;
+        this.turnTimer     = null;
+        this.onTurnExpired = options.onTurnExpired || null;
+        this.onTurnChanged = options.onTurnChanged || null;
+        // Bots draw from their own stream so their choices never shift the deck
+        this.botRandom     = createRng(`${seed}:bots`);
+        this.botTimer      = null;
+        this.spectators    = new Map(); // socket ID -> { id, name }
+        this.spectatorFeed = [];        // { at, state } kept for settings.spectatorDelay
+        this.lobbyName     = options.lobbyName || null;
+        this.isPrivate     = !!options.isPrivate;
+        this.series        = null;      // MatchSeries when the lobby plays to a target score
+        this.tradeOffers   = new Map(); // team -> { fromId, toId, card } waiting for the teammate
+    }
+
+    /* -- Turn clock -- */
+    // settings.turnTimer is the seconds allowed per turn (0 = no limit). Every
+    // turn change restarts the clock; when it runs out the room plays the turn
+    // for the idle player and reports it through options.onTurnExpired.
+    restartTurnClock() {
+        this.stopTurnClock();
+        if (!this.turnTimeoutMs || !this.gameStarted) return;
+        this.turnDeadline = this.now() + this.turnTimeoutMs;
+        this.turnTimer    = setTimeout(() => this.expireTurn(), this.turnTimeoutMs);
+    }
+
+    stopTurnClock() {
+        if (this.turnTimer) clearTimeout(this.turnTimer);
+        this.turnTimer    = null;
+        this.turnDeadline = null;
+    }
+
+    /**
+     * Milliseconds left on the current turn
+     * @returns {number|null} null when there is no turn timer
+     */
+    turnTimeLeft() {
+        return this.turnDeadline === null ? null : Math.max(0, this.turnDeadline - this.now());
+    }
+
+    /**
+     * Play out the current turn for a player who ran out of time: a pending 7
+     * swap or peek goes to the next player, otherwise they draw (taking any
+     * stacked penalty) and the turn moves on.
+     * @returns {object} { playerId, playerName, action: 'swap'|'peek'|'draw'|'pass', result }
+     */
+    expireTurn() {
+        const player = this.players[this.currentPlayer];
+        this.logAction('timeout', player.id);
+
+        let action, result;
+        if (this.pendingSwap7) {
+            action = 'swap';
+            result = this.chooseSwapTarget(player.id, this.players[this.getNextPlayerIndex()].id);
+        } else if (this.pendingPeek) {
+            action = 'peek';
+            result = this.choosePeekTarget(player.id, this.players[this.getNextPlayerIndex()].id);
+        } else {
+            result = this.drawCard(player.id);
+            action = result.success ? 'draw' : 'pass';
+            // Out of time, so a playable drawn card is kept rather than played
+            if (!result.success || result.canPlayDrawn) this.advanceTurn();
         }
-        if (this.isGlitch()) {
-            for (let i = 0; i < 2; i++) {
-                this.deck.push({ color: 'wild', value: 'RandDraw',     type: 'wild', glitch: true });
-                this.deck.push({ color: 'wild', value: 'PopupAd',      type: 'wild', glitch: true });
-                this.deck.push({ color: 'wild', value: 'PeekHand',     type: 'wild', glitch: true });
-                this.deck.push({ color: 'wild', value: 'ScrambleCard', type: 'wild', glitch: true });
-            }
-            this.deck.push({ color: 'wild', value: 'GlitchedOut', type: 'wild', glitch: true, rare: true });
-            this.shuffleDeck();
-            const goIdx = this.deck.findIndex(d => d.value === 'GlitchedOut');
-            if (goIdx !== -1) {
-                const [go] = this.deck.splice(goIdx, 1);
-                const pos  = Math.floor(this.deck.length * 0.12);
-                this.deck.splice(pos, 0, go);
-            }
+
+        const expired = { playerId: player.id, playerName: player.name, action, result };
+        if (this.onTurnExpired) this.onTurnExpired(this, expired);
+        return expired;
+    }
+
+    advanceTurn() {
+        super.advanceTurn();
+        this.turnChanged();
+    }
+
+    // Fresh clock for the new turn, then let the server know (it schedules bot moves)
+    turnChanged() {
+        this.restartTurnClock();
+        if (this.onTurnChanged && this.gameStarted) this.onTurnChanged(this);
+    }
+
+    /* -- Action log -- */
+    snapshot() {
+        return {
+            hands:            this.players.map(p => p.hand.map(c => ({ ...c }))),
+            discardTop:       this.discardPile.at(-1) || null,
+            currentPlayer:    this.currentPlayer,
+            currentColor:     this.currentColor,
+            currentValue:     this.currentValue,
+            direction:        this.direction,
+            stackedDrawCount: this.stackedDrawCount,
+            deckCount:        this.deck.length,
+            // Per seat rather than by socket ID, which changes on rejoin
+            eliminated:       this.players.map(p => this.isEliminated(p.id)),
+            bankPoints:       this.isPayBack() ? this.players.map(p => this.bankPoints[p.id] || 0) : null
+        };
+    }
+
+    logAction(type, playerId, data = {}) {
+        const pi = this.players.findIndex(p => p.id === playerId);
+        this.actionLog.events.push({
+            seq:         this.actionLog.events.length,
+            at:          Date.now(),
+            type,
+            playerIndex: pi === -1 ? null : pi,
+            data,
+            state:       this.snapshot()
+        });
+    }
+
+    // Keep the deck exactly as shuffled, before the deal takes cards off it
+    dealCards(count = 7) {
+        this.actionLog.deck = this.deck.map(c => ({ ...c }));
+        super.dealCards(count);
+        this.logAction('deal', null, { startingCards: count });
+    }
+
+    playCard(playerId, cardIndex, chosenColor, isJumpIn = false) {
+        const player = this.players.find(p => p.id === playerId);
+        const card   = player && player.hand[cardIndex] ? { ...player.hand[cardIndex] } : null;
+        const result = super.playCard(playerId, cardIndex, chosenColor, isJumpIn);
+        if (result.success) {
+            this.logAction(isJumpIn ? 'jumpIn' : 'play', playerId, { card, chosenColor: card && card.type === 'wild' ? chosenColor : null });
+            // A SkipAll or pending swap/peek keeps the turn, which still earns a fresh clock
+            this.turnChanged();
         }
-        if (this.isMercy()) {
-            for (let i = 0; i < 2; i++) {
-                this.deck.push({ color: 'wild', value: 'Wild+6',        type: 'wild' });
-                this.deck.push({ color: 'wild', value: 'Wild+10',       type: 'wild' });
-                this.deck.push({ color: 'wild', value: 'DiscardAll',    type: 'wild' });
-                this.deck.push({ color: 'wild', value: 'WildReverseD4', type: 'wild' });
-                this.deck.push({ color: 'wild', value: 'SkipAll',       type: 'wild' });
-                this.deck.push({ color: 'wild', value: 'Roulette',      type: 'wild' });
-            }
+        return result;
+    }
+
+    drawCard(playerId) {
+        const result = super.drawCard(playerId);
+        if (result.success) {
+            this.logAction('draw', playerId, {
+                count:       result.drewStacked ? result.stackCount : result.cardsDrawn,
+                stacked:     !!result.drewStacked,
+                glitchedOut: !!result.glitchedOut,
+                reshuffled:  !!result.reshuffled
+            });
         }
-        // PAY BACK: bank cards are purchased from the store, not drawn from deck
-        this.shuffleDeck();
+        return result;
+    }
+
+    chooseSwapTarget(playerId, targetId) {
+        const result = super.chooseSwapTarget(playerId, targetId);
+        if (result.success) this.logAction('swapTarget', playerId, { targetIndex: this.players.findIndex(p => p.id === targetId) });
+        return result;
+    }
+
+    choosePeekTarget(playerId, targetId) {
+        const result = super.choosePeekTarget(playerId, targetId);
+        if (result.success) this.logAction('peekTarget', playerId, { targetIndex: this.players.findIndex(p => p.id === targetId) });
+        return result;
+    }
+
+    buyBankAction(playerId, action) {
+        const result = super.buyBankAction(playerId, action);
+        if (result.success) this.logAction('bankPurchase', playerId, { action, cost: result.cost });
+        return result;
+    }
+
+    callUno(playerId) {
+        const result = super.callUno(playerId);
+        if (result.success) this.logAction('callUno', playerId);
+        return result;
     }
 
-    shuffleDeck() {
-        for (let i = this.deck.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
-            [this.deck[i], this.deck[j]] = [this.deck[j], this.deck[i]];
+    challengeWild(playerId) {
+        const result = super.challengeWild(playerId);
+        if (result.success) {
+            this.logAction('challenge', playerId, {
+                targetIndex: this.players.findIndex(p => p.id === result.challengedId),
+                bluffed:     result.bluffed,
+                count:       result.count
+            });
+            // A caught bluff leaves the challenger on turn, with a fresh clock
+            if (result.bluffed) this.turnChanged();
         }
+        return result;
     }
 
-    dealCards(count = 7) {
-        for (const p of this.players) {
-            p.hand = [];
-            for (let i = 0; i < count; i++) p.hand.push(this.deck.pop());
-            // Initialize every player's bank balance at 0 in Pay Back mode
-            if (this.isPayBack()) this.bankPoints[p.id] = 0;
+    tradeCards(fromId, fromIndex, toId, toIndex) {
+        const result = super.tradeCards(fromId, fromIndex, toId, toIndex);
+        if (result.success) this.logAction('trade', fromId, { targetIndex: this.players.findIndex(p => p.id === toId) });
+        return result;
+    }
+
+    renamePlayer(oldId, newId) {
+        if (!super.renamePlayer(oldId, newId)) return false;
+        this.tradeOffers.forEach(offer => {
+            if (offer.fromId === oldId) offer.fromId = newId;
+            if (offer.toId === oldId)   offer.toId   = newId;
+        });
+        return true;
+    }
+
+    catchUnoViolation(catcherId, caughtId) {
+        const result = super.catchUnoViolation(catcherId, caughtId);
+        if (result.success) {
+            this.logAction('catch', catcherId, {
+                targetIndex:    this.players.findIndex(p => p.id === caughtId),
+                penaltyApplied: !!result.penaltyApplied
+            });
         }
-        let start;
-        do { start = this.deck.pop(); } while (start.type !== 'number');
-        this.discardPile  = [start];
-        this.currentColor = start.color;
-        this.currentValue = start.value;
+        return result;
+    }
+
+    /**
+     * Everything a replay viewer needs: seats, the shuffled deck and every event
+     * @returns {object}
+     */
+    getReplay() {
+        return {
+            seed:     this.seed,
+            players:  this.players.map(p => ({ name: p.name, username: p.username })),
+            settings: this.settings,
+            deck:     this.actionLog.deck,
+            events:   this.actionLog.events
+        };
     }
 
     getGameState(playerId) {
-        const index = this.players.findIndex(p => p.id === playerId);
-        const cur   = this.currentPlayer;
+        const index      = this.players.findIndex(p => p.id === playerId);
+        const cur        = this.currentPlayer;
+        const shareHands = this.isTeams() && !!this.settings.teamShareHands;
+        const team       = this.players[index]?.team ?? null;
         return {
             roomId:            this.roomId,
             yourHand:          this.players[index].hand,
@@ -445,12 +849,18 @@ class GameRoom {
             allPlayers:        this.players.map((p, i) => ({
                 id: p.id, name: p.name, cardCount: p.hand.length,
                 isYou: i === index, isCurrent: i === cur, calledUno: p.calledUno,
-                knockedOut: this.knockedOut.includes(p.id)
+                knockedOut: this.knockedOut.includes(p.id), isBot: !!p.bot,
+                autoPlaying: !!p.autoPlaying, team: p.team,
+                // Teammates' cards, face up, with settings.teamShareHands
+                ...(shareHands && this.isTeammate(playerId, p.id) ? { hand: p.hand.map(c => ({ ...c })) } : {})
             })),
             knockedOut:        this.knockedOut,
             currentPlayer:     cur,
             currentPlayerName: this.players[cur]?.name || 'Unknown',
             isYourTurn:        index === cur,
+            // ── Teams ──
+            yourTeam:          this.isTeams() ? team : null,
+            canTrade:          this.isTeams() && !!this.settings.teamTrade && !this.teamTrades.has(team) && !this.tradeOffers.has(team),
             discardPile:       this.discardPile.at(-1),
             currentColor:      this.currentColor,
             currentValue:      this.currentValue,
@@ -458,7 +868,10 @@ class GameRoom {
             direction:         this.direction,
             settings:          this.settings,
             stackedDrawCount:  this.stackedDrawCount,
+            wildChallenge:     this.publicChallenge(),
             hasDrawnThisTurn:  this.hasDrawnThisTurn,
+            // Index of the drawn card the current player kept the turn to play, or -1
+            drawnCardIndex:    index === cur && this.drawnPlayable ? this.players[index].hand.indexOf(this.drawnPlayable) : -1,
             // Send back persistentId so client can confirm their stable ID
             persistentId:      this.players[index]?.persistentId || null,
             glitchSpectators:  this.glitchSpectators || [],
@@ -469,722 +882,1211 @@ class GameRoom {
             bankPoints:        this.isPayBack() ? { ...this.bankPoints } : null,
             myBankPoints:      this.isPayBack() ? (this.bankPoints[this.players[index]?.id] || 0) : null,
             bankShields:       this.isPayBack() ? { ...(this.bankShields || {}) } : null,
+            // ── Turn timer ──
+            turnTimeLeftMs:    this.turnTimeLeft(),
+            spectatorCount:    this.spectators.size,
+            match:             this.matchSummary(),
         };
     }
 
-    canPlayCard(card, playerId = null, isJumpIn = false) {
-    if (!card) return false;
-    
-    const playerIndex = this.players.findIndex(p => p.id === playerId);
-    const isPlayersTurn = (playerIndex === this.currentPlayer);
-    const mercy = this.isMercy();
-    const stacking = this.settings.allowStacking || mercy;
-
-    // ─────────────────────────────────────────────────
-    // STACK MODE: Must match stack card
-    // ─────────────────────────────────────────────────
-    if (stacking && this.stackedDrawCount > 0) {
-        if (mercy) {
-            const DRAW_VALUES = { '+2': 2, 'Wild+4': 4, 'WildReverseD4': 4, 'Wild+6': 6, 'Wild+10': 10 };
-            const cardVal = DRAW_VALUES[card.value];
-            if (!cardVal) return false;
-            const topCard = this.discardPile.at(-1);
-            const topVal  = topCard ? (DRAW_VALUES[topCard.value] || 0) : 0;
-            return cardVal >= topVal;
-        }
-        // Original mode: match exact type
-        if (this.currentValue === '+2'     && card.value === '+2')     return true;
-        if (this.currentValue === 'Wild+4' && card.value === 'Wild+4') return true;
-        return false;
+    /* -- Match series -- */
+    // Running match totals keyed by seat ID, or null for a single hand
+    matchSummary() {
+        if (!this.series) return null;
+        return this.series.summary(key => this.players.find(p => p.persistentId === key)?.id || null);
     }
 
-    // ─────────────────────────────────────────────────
-    // Jump-in validation (NOT during stack)
-    // ─────────────────────────────────────────────────
-    if (isJumpIn && this.settings.allowJumpIn && this.stackedDrawCount === 0) {
-        // Wild+4: ONLY jump-in on another Wild+4
-        if (card.value === 'Wild+4') {
-            return this.currentValue === 'Wild+4';
-        }
-        // +2: Jump-in on same COLOR
-        if (card.value === '+2') {
-            return card.color === this.currentColor;
-        }
-        // Number cards: EXACT match (color + value)
-        if (card.type === 'number') {
-            return card.color === this.currentColor && card.value === this.currentValue;
-        }
-        // Skip/Reverse: Same COLOR
-        if (card.type === 'action' && (card.value === 'Skip' || card.value === 'Reverse')) {
-            return card.color === this.currentColor;
-        }
-        return false;
+    /**
+     * The wild draw card waiting on a challenge, without saying whether it
+     * was a bluff
+     * @returns {object|null} { fromId, fromName, victimId, cardValue }
+     */
+    publicChallenge() {
+        const pending = this.pendingChallenge;
+        if (!pending) return null;
+        const from = this.players.find(p => p.id === pending.playerId);
+        return { fromId: pending.playerId, fromName: from ? from.name : null, victimId: pending.victimId, cardValue: pending.cardValue };
     }
 
-    // ─────────────────────────────────────────────────
-    // Must be player's turn (unless jump-in)
-    // ─────────────────────────────────────────────────
-    if (!isPlayersTurn) {
-        return false;
+    /* -- Spectators -- */
+    addSpectator(id, name) {
+        this.spectators.set(id, { id, name });
     }
 
-    // ─────────────────────────────────────────────────
-    // Can't play if already drew this turn (unless stack active)
-    // ─────────────────────────────────────────────────
-    if (this.hasDrawnThisTurn && this.stackedDrawCount === 0) {
-        return false;
+    removeSpectator(id) {
+        return this.spectators.delete(id);
     }
 
-    // ─────────────────────────────────────────────────
-    // WILD CARDS: ALWAYS PLAYABLE on your turn!
-    // ─────────────────────────────────────────────────
-    if (card.type === 'wild') {
-        return true;
+    /**
+     * The table as a spectator sees it: card counts only, unless the lobby
+     * turned on settings.spectatorOpenHands, in which case every hand is shown
+     * @returns {object} Same shape as getGameState, with no seat of your own
+     */
+    getSpectatorState() {
+        const cur       = this.currentPlayer;
+        const openHands = !!this.settings.spectatorOpenHands;
+        return {
+            roomId:            this.roomId,
+            lobbyName:         this.lobbyName,
+            spectating:        true,
+            yourHand:          [],
+            yourName:          null,
+            yourIndex:         -1,
+            allPlayers:        this.players.map((p, i) => ({
+                id: p.id, name: p.name, cardCount: p.hand.length,
+                isYou: false, isCurrent: i === cur, calledUno: p.calledUno,
+                knockedOut: this.knockedOut.includes(p.id), isBot: !!p.bot,
+                autoPlaying: !!p.autoPlaying, team: p.team,
+                ...(openHands ? { hand: p.hand.map(c => ({ ...c })) } : {})
+            })),
+            knockedOut:        this.knockedOut,
+            currentPlayer:     cur,
+            currentPlayerName: this.players[cur]?.name || 'Unknown',
+            isYourTurn:        false,
+            discardPile:       this.discardPile.at(-1),
+            currentColor:      this.currentColor,
+            currentValue:      this.currentValue,
+            deckCount:         this.deck.length,
+            direction:         this.direction,
+            settings:          this.settings,
+            stackedDrawCount:  this.stackedDrawCount,
+            wildChallenge:     this.publicChallenge(),
+            glitchSpectators:  this.glitchSpectators || [],
+            isSpectator:       true,
+            bankPoints:        this.isPayBack() ? { ...this.bankPoints } : null,
+            bankShields:       this.isPayBack() ? { ...(this.bankShields || {}) } : null,
+            turnTimeLeftMs:    this.turnTimeLeft(),
+            spectatorCount:    this.spectators.size,
+            match:             this.matchSummary(),
+        };
     }
-    
-    // ─────────────────────────────────────────────────
-    // Normal cards: Match color OR value
-    // ─────────────────────────────────────────────────
-    return card.color === this.currentColor || card.value === this.currentValue;
 }
 
+/* -- HELPERS ---------------------------------------- */
+function broadcastGameState(room) {
+    room.players.forEach(p => io.to(p.id).emit('gameState', room.getGameState(p.id)));
+    updateSpectators(room);
+}
 
+// Credit a finished game to every logged-in player's account. The winner is
+// decided here on the server; clients only hear about it via 'statsUpdated'.
+// Guests take part in the rating maths at the default rating but aren't stored.
+function recordGameResults(room, winnerId, placings) {
+    const mode     = GAME_MODES.includes(room.settings.gameMode) ? room.settings.gameMode : 'original';
+    const accounts = new Map();
+    room.players.forEach(p => {
+        const account = p.username ? loadAccount(p.username) : null;
+        if (account) accounts.set(p.id, account);
+    });
 
-
-
-    playCard(playerId, cardIndex, chosenColor, isJumpIn = false) {
-    this._lastSwapEvent = null;
-    const playerIndex = this.players.findIndex(p => p.id === playerId);
-    if (playerIndex === -1) return { success: false, error: 'Player not found' };
-
-    const player = this.players[playerIndex];
-    const card   = player.hand[cardIndex];
-    if (!card) return { success: false, error: 'Invalid card' };
-    
-    // Check if player is eliminated
-    if ((this.glitchSpectators||[]).includes(playerId)) {
-        return { success: false, error: 'You are a spectator' };
-    }
-    if (this.knockedOut.includes(playerId)) {
-        return { success: false, error: 'You are knocked out' };
-    }
-    
-    // Ensure currentPlayer is valid (not eliminated)
-    if (this.isEliminated(this.players[this.currentPlayer]?.id)) {
-        this.currentPlayer = this.getNextPlayerIndex();
-    }
-
-    // ─────────────────────────────────────────────────
-    // TURN VALIDATION WITH JUMP-IN + STACK
-    // ─────────────────────────────────────────────────
-    if (playerIndex !== this.currentPlayer) {
-        const stacking = this.settings.allowStacking || this.isMercy();
-        
-        // ─────────────────────────────────────────────────
-        // CASE 1: Stack Jump-In (during active stack)
-        // ─────────────────────────────────────────────────
-        if (stacking && this.stackedDrawCount > 0) {
-            if (!this.settings.allowJumpIn) {
-                return { 
-                    success: false, 
-                    error: 'Jump-in not allowed - must wait for your turn to stack or draw'
-                };
-            }
-            
-            // Validate stack card
-            if (!this.canPlayCard(card, playerId, false)) {
-                return {
-                    success: false,
-                    error: 'Cannot stack with that card',
-                    debug: {
-                        cardValue: card.value,
-                        stackedDrawCount: this.stackedDrawCount,
-                        currentValue: this.currentValue
-                    }
-                };
-            }
-            
-            // ✅ Valid stack jump-in!
-            // Add to stack and pass to NEXT player after jump-in player
-            this.currentPlayer = playerIndex;
-            this.hasDrawnThisTurn = false;
-            // Stack count already increased by handleCardEffect
+    // Bot seats aren't rated, so only the people at the table move each other's rating
+    const botIds  = new Set(room.players.filter(p => p.bot).map(p => p.id));
+    const changes = computeRatingChanges(placings.map(({ id, place }) => {
+        const account = accounts.get(id);
+        const current = (account && account.ratings && account.ratings[mode]) || emptyRating();
+        return { key: id, rating: current.rating, games: current.games, place, bot: botIds.has(id) };
+    }));
+
+    accounts.forEach((account, playerId) => {
+        const key = playerId === winnerId || room.isTeammate(playerId, winnerId) ? 'wins' : 'losses';
+        account[key] = (account[key] || 0) + 1;
+        account.modeStats = Object.assign(emptyModeStats(), account.modeStats);
+        account.modeStats[mode] = Object.assign({ wins: 0, losses: 0 }, account.modeStats[mode]);
+        account.modeStats[mode][key]++;
+
+        const change = changes.get(playerId);
+        if (change) {
+            account.ratings = Object.assign(emptyModeRatings(), account.ratings);
+            account.ratings[mode] = { rating: change.rating, games: change.games };
         }
-        // ─────────────────────────────────────────────────
-        // CASE 2: Normal Jump-In (no stack)
-        // ─────────────────────────────────────────────────
-        else if (this.settings.allowJumpIn && isJumpIn) {
-            if (!this.canPlayCard(card, playerId, true)) {
-                return {
-                    success: false,
-                    error: 'Invalid jump-in card',
-                    debug: {
-                        cardValue: card.value,
-                        cardColor: card.color,
-                        currentValue: this.currentValue,
-                        currentColor: this.currentColor
-                    }
-                };
-            }
-            
-            this.hasDrawnThisTurn = false;
-            this.currentPlayer = playerIndex;
+
+        if (saveAccount(account.username, account)) {
+            console.log(`[Auth] Stats updated for ${account.username} (${mode}): ${account.wins}W-${account.losses}L, rating ${change ? change.rating : '-'}`);
+            io.to(playerId).emit('statsUpdated', { user: publicUser(account), ratingDelta: change ? change.delta : 0, mode });
         }
-        // ─────────────────────────────────────────────────
-        // CASE 3: Not your turn, no valid jump-in
-        // ─────────────────────────────────────────────────
-        else {
-            return { 
-                success: false, 
-                error: 'Not your turn',
-                debug: {
-                    currentPlayer: this.currentPlayer,
-                    currentPlayerName: this.players[this.currentPlayer]?.name,
-                    yourIndex: playerIndex,
-                    isJumpIn: isJumpIn,
-                    stackedDrawCount: this.stackedDrawCount
-                }
-            };
+    });
+}
+
+// Announce a successful draw (by the player or by the turn timer) and end the
+// game if it knocked out everyone but one player
+function announceDraw(room, playerId, result) {
+    const roomId = room.roomId;
+    const drawer = room.players.find(p => p.id === playerId);
+
+    if (result.glitchedOut) {
+        io.to(playerId).emit('glitchedOutDrawn');
+        io.to(roomId).emit('glitchedOutAnnounce', { targetId: playerId, targetName: drawer?.name, drawn: true });
+        const alive = room.activePlayers();
+        if (alive.length === 1) {
+            endGame(room, alive[0], 'glitched-out');
+            return;
         }
     }
 
-    // Validate card playability
-    if (!this.canPlayCard(card, playerId, isJumpIn)) {
-        return { success: false, error: "Can't play that card" };
+    if (result.drewStacked) {
+        io.to(roomId).emit('drawAnimation', { victimId: playerId, victimName: drawer?.name, playerId: null, count: result.stackCount, cardValue: 'stack' });
+    }
+    if (result.newlyKnocked && result.newlyKnocked.length > 0) {
+        result.newlyKnocked.forEach(p => io.to(roomId).emit('playerKnockedOut', { playerId: p.id, playerName: p.name }));
+        const active = room.activePlayers();
+        if (active.length === 1) {
+            endGame(room, active[0], 'last-standing');
+            return;
+        }
     }
 
-    // ... rest of playCard method (card removal, discard, etc.) ...
-    
-    player.hand.splice(cardIndex, 1);
-    this.discardPile.push(card);
-    if (card.type === 'wild') {
-        this.currentColor = chosenColor || 'red';
-        this.currentValue = card.value;
-    } else {
-        this.currentColor = card.color;
-        this.currentValue = card.value;
-    }
+    // Everyone sees how many cards were drawn; only the drawer sees which
+    const drawInfo = {
+        cardsDrawn: result.cardsDrawn,
+        playerId,
+        playerName: drawer?.name,
+        untilMatch: !!result.untilMatch,
+        reshuffled: !!result.reshuffled
+    };
+    room.players.forEach(p => {
+        const state = room.getGameState(p.id);
+        if (result.cardsDrawn) {
+            state.lastDrawInfo = p.id === playerId ? { ...drawInfo, cards: result.drawnCards } : drawInfo;
+        }
+        io.to(p.id).emit('gameState', state);
+    });
+    updateSpectators(room);
+}
+
+// A 7 swap or a 0 rotation happened; the toast and the chat feed both hear about it
+function announceSwap(room, swap) {
+    io.to(room.roomId).emit('swapHappened', swap);
+    postSystemMessage(room.roomId, swap.type === '7'
+        ? `🔄 ${swap.swapperName} swapped hands with ${swap.targetName}`
+        : '🔄 0 played: every hand was passed along');
+}
 
-    // ── PAY BACK: award +1 bank point for regular cards (not bank cards) ──
-    if (this.isPayBack() && !card.bank) {
-        if (this.bankPoints[player.id] === undefined) this.bankPoints[player.id] = 0;
-        this.bankPoints[player.id] += 1;
+// GameRoom's turn clock ran out and it played the turn; tell the table
+function onTurnExpired(room, { playerId, playerName, action, result }) {
+    if (!rooms.has(room.roomId)) return;
+    io.to(room.roomId).emit('turnTimedOut', { playerId, playerName, action });
+    if (action === 'draw') {
+        announceDraw(room, playerId, result);
+        return;
     }
+    if (action === 'swap' && result.success) {
+        announceSwap(room, { swapperName: result.swapperName, targetName: result.targetName, type: '7' });
+    }
+    broadcastGameState(room);
+}
 
-    const effectResult = this.handleCardEffect(card, playerIndex);
-    if (effectResult === 'needSwapTarget') {
-        return { success: true, needSwapTarget: true, winner: null, drawAnimation: null };
+// Write the finished game to match history; returns the new match ID
+function recordMatch(room, winner, reason, scores, placings) {
+    const endedAt = Date.now();
+    const seat    = id => room.players.find(p => p.id === id);
+    const match   = {
+        id:          `match_${endedAt}_${Math.random().toString(36).slice(2, 8)}`,
+        roomId:      room.roomId,
+        mode:        GAME_MODES.includes(room.settings.gameMode) ? room.settings.gameMode : 'original',
+        settings:    room.settings,
+        players:     room.players.map(p => ({ persistentId: p.persistentId, username: p.username, name: p.name })),
+        finishOrder: placings.map(({ id, place }) => {
+            const p = seat(id);
+            const s = scores.find(sc => sc.id === id);
+            return { persistentId: p.persistentId, username: p.username, name: p.name, place, score: s ? s.score : 0 };
+        }),
+        winner:      { persistentId: winner.persistentId, username: winner.username, name: winner.name },
+        reason:      reason || 'normal',
+        startedAt:   room.startedAt || null,
+        endedAt,
+        durationMs:  room.startedAt ? endedAt - room.startedAt : null,
+        rematchOf:   room.rematchOf || null,
+        seed:        room.seed
+    };
+    try {
+        matchStore.add(match);
+        matchStore.addReplay(match.id, room.getReplay());
+    } catch (error) {
+        console.error(`[Match] Error saving match for room ${room.roomId}:`, error.message);
+        return null;
     }
-    if (effectResult === 'needPeekTarget') {
-        return { success: true, needPeekTarget: true, winner: null, drawAnimation: null };
+    return match.id;
+}
+
+// Single exit for every way a game can end: announce it, record stats and
+// history, and hold the seats open for a rematch vote before dropping the room.
+//
+// In a multi-round match the hand is scored into room.series, and stats and
+// ratings wait for the hand that takes someone to the target; only the match
+// is rated, never its hands. A match abandoned between hands is settled on
+// its standings so far (abandonSeries).
+function endGame(room, winner, reason) {
+    const roomId   = room.roomId;
+    const scores   = room.computeScores();
+    const placings = room.finishOrder(winner.id);
+    const series   = room.series;
+    if (series) series.recordRound(winner.persistentId, room.players);
+    const seriesOver = !series || !!series.winner();
+    const match      = room.matchSummary(); // totals after this hand
+    room.stopTurnClock();
+    clearBotTurn(room);
+    const teams      = teamScores(room, winner.id, scores);
+    const tournamentId = room.tournament ? room.tournament.id : null;
+    io.to(roomId).emit('gameOver', { winner: winner.name, winnerId: winner.id, scores, reason, match, teams, tournamentId });
+    endSpectating(room, { winner: winner.name, scores, reason, match, teams });
+    if (!series)         recordGameResults(room, winner.id, placings);
+    else if (seriesOver) recordGameResults(room, match.winnerId, match.standings);
+    const matchId = recordMatch(room, winner, reason, scores, placings);
+    room.players.forEach(p => clearRejoin(p.persistentId));
+    const pm = lobbyPresenceManagers.get(roomId);
+    if (pm) { pm.destroy(); lobbyPresenceManagers.delete(roomId); }
+    clearRematch(roomId);
+    if (room.tournament) {
+        // Tournament tables don't rematch; the bracket decides who plays next
+        rooms.delete(roomId);
+        closeChat(roomId);
+        finishTournamentTable(room, placings);
+        broadcastLobbyList();
+        return;
     }
+    // Bots keep their seats for the rematch; only the humans vote
+    rematchQueues.set(roomId, {
+        players:     room.players.map(p => ({ id: p.id, persistentId: p.persistentId, name: p.name, username: p.username, bot: p.bot, team: p.team })),
+        settings:    room.settings,
+        matchId,
+        votes:       new Set(),
+        total:       room.players.filter(p => !p.bot).length,
+        lobbyName:   room.lobbyName,
+        isPrivate:   room.isPrivate,
+        series:      seriesOver ? null : series, // the next hand continues the match
+        lastHand:    room,
+        expiryTimer: setTimeout(() => { abandonSeries(rematchQueues.get(roomId)); rematchQueues.delete(roomId); closeChat(roomId); }, 60000)
+    });
+    rooms.delete(roomId);
+    broadcastLobbyList();
+}
+
+function clearRematch(roomId) {
+    const q = rematchQueues.get(roomId);
+    if (q && q.expiryTimer) clearTimeout(q.expiryTimer);
+    rematchQueues.delete(roomId);
+}
+
+/* -- MATCH SERIES ---------------------------------------- */
+// A lobby with settings.matchTarget plays a MatchSeries (matchSeries.js).
+// Every hand is its own GameRoom; the series rides along the rematch vote
+// from one hand to the next, and a vote after the match starts a new one.
+function normalizeMatchSettings(settings) {
+    const target = Number(settings.matchTarget);
+    settings.matchTarget  = MATCH_TARGETS.includes(target) ? target : 0;
+    settings.matchScoring = MATCH_SCORINGS.includes(settings.matchScoring) ? settings.matchScoring : 'ono';
+}
+
+function newSeries(settings, players) {
+    if (!settings.matchTarget) return null;
+    return new MatchSeries({ target: settings.matchTarget, scoring: settings.matchScoring, players });
+}
+
+// A seeded match still deals each round differently, and round 1 like a seeded single hand
+function seriesSeed(settings, series) {
+    return series && series.round > 1 && settings.seed ? `${settings.seed}:${series.round}` : undefined;
+}
+
+// The rematch vote that would carry a match on to its next hand failed (a
+// decline, a disconnect or the vote timing out): rate the match on the
+// totals so far, with the leader as its winner, so leaving can't dodge a loss
+function abandonSeries(q) {
+    if (!q || !q.series) return;
+    const match = q.lastHand.matchSummary();
+    console.log(`[Match] Series in room ${q.lastHand.roomId} abandoned after round ${q.series.round - 1}`);
+    recordGameResults(q.lastHand, match.standings[0].id, match.standings);
+}
+
+// Call after dealCards: the first turn moves one seat round the table each hand
+function attachSeries(room, series) {
+    if (!series) return;
+    room.series        = series;
+    room.currentPlayer = series.startingSeat(room.players.length);
+}
 
-    this.checkUnoAfterPlay(playerIndex);
+/* -- TEAMS ---------------------------------------- */
+// settings.teamMode splits a lobby into two teams (lobby player .team 0 or
+// 1). Players pick a side in the lobby; the game needs 4 or 6 seats split
+// evenly, which are then seated alternately so every turn passes to the
+// other team. The rules side (teammates never take each other's draw
+// penalties, shared first place, card trades) lives in the RulesEngine.
+const TEAM_TABLE_SIZES = [4, 6];
+
+function normalizeTeamSettings(settings) {
+    settings.teamMode       = !!settings.teamMode;
+    settings.teamShareHands = settings.teamMode && !!settings.teamShareHands;
+    settings.teamTrade      = settings.teamMode && !!settings.teamTrade;
+}
+
+// Why the team settings don't go with the rest, or null when they do.
+// Match totals are per player, so a team game is always a single hand.
+function teamSettingsProblem(settings) {
+    if (settings.teamMode && settings.matchTarget) return 'Team games are a single hand; choose Single hand as the match length';
+    return null;
+}
+
+// Team a newcomer joins: the smaller one, or team 0 on a tie
+function openTeam(lobby) {
+    const onTeam1 = lobby.players.filter(p => p.team === 1).length;
+    return onTeam1 < lobby.players.length - onTeam1 ? 1 : 0;
+}
+
+// Why a team lobby can't start yet, or null when it can
+function teamProblem(lobby) {
+    if (!lobby.settings.teamMode) return null;
+    const count   = lobby.players.length;
+    const onTeam1 = lobby.players.filter(p => p.team === 1).length;
+    if (!TEAM_TABLE_SIZES.includes(count)) return `Team games need ${TEAM_TABLE_SIZES.join(' or ')} players (currently ${count})`;
+    if (onTeam1 * 2 !== count)             return 'Both teams need the same number of players';
+    return null;
+}
 
-    const PENALTY = { '+2': 2, 'Wild+4': 4, '+12': 12, 'WildReverseD4': 4, 'Wild+6': 6, 'Wild+10': 10 };
-    let drawAnimation = null;
-    if (PENALTY[card.value]) {
-        const nextIdx = this.getNextPlayerIndex(playerIndex);
-        drawAnimation = {
-            victimId:   this.players[nextIdx]?.id,
-            victimName: this.players[nextIdx]?.name,
-            playerId:   player.id,
-            playerName: player.name,
-            count:      PENALTY[card.value],
-            cardValue:  card.value,
-            stacking:   card.value !== '+12' && !!this.settings.allowStacking
+// Seat order for the game: team 0, team 1, team 0, ... keeping join order within a team
+function seatTeams(players) {
+    const sides = [players.filter(p => p.team !== 1), players.filter(p => p.team === 1)];
+    return sides[0].flatMap((p, i) => [p, sides[1][i]]).filter(Boolean);
+}
+
+// Hand scores added up per team for gameOver (null outside team games)
+function teamScores(room, winnerId, scores) {
+    if (!room.isTeams()) return null;
+    const winningTeam = room.players.find(p => p.id === winnerId)?.team;
+    return [0, 1].map(team => {
+        const members = room.players.filter(p => p.team === team).map(p => p.id);
+        return {
+            team,
+            players: members,
+            score:   scores.filter(s => members.includes(s.id)).reduce((sum, s) => sum + s.score, 0),
+            won:     team === winningTeam
         };
+    });
+}
+
+// Lobby-chosen seed for "seeded challenge" games; blank means a random shuffle
+function normalizeSeed(seed) {
+    if (seed === undefined || seed === null) return null;
+    const text = String(seed).trim().slice(0, 32);
+    return text || null;
+}
+
+/* -- SPECTATORS ---------------------------------------- */
+// Spectators sit in their own socket.io room ("<roomId>:spectators") and only
+// ever get getSpectatorState(), never the players' events. With
+// settings.spectatorDelay every update reaches them that many seconds late so
+// they can't relay anything useful to a player; room.spectatorFeed keeps the
+// recent updates so someone who starts watching is shown an equally old table.
+const SPECTATOR_DELAY_OPTIONS = [0, 5, 10, 30];
+const spectatorTimers = new Set();
+
+function normalizeSpectatorDelay(seconds) {
+    const value = Number(seconds);
+    return SPECTATOR_DELAY_OPTIONS.includes(value) ? value : 0;
+}
+
+function spectatorChannel(roomId) {
+    return `${roomId}:spectators`;
+}
+
+function sendToSpectators(room, event, payload, then = null) {
+    const channel = spectatorChannel(room.roomId);
+    const delayMs = (room.settings.spectatorDelay || 0) * 1000;
+    const send    = () => { io.to(channel).emit(event, payload); if (then) then(channel); };
+    if (!delayMs) { send(); return; }
+    const timer = setTimeout(() => { spectatorTimers.delete(timer); send(); }, delayMs);
+    spectatorTimers.add(timer);
+}
+
+function updateSpectators(room) {
+    const delayMs = (room.settings.spectatorDelay || 0) * 1000;
+    // Without a delay there is nothing to buffer and no one to send to yet
+    if (!delayMs && !room.spectators.size) return;
+    const state = room.getSpectatorState();
+    if (delayMs) {
+        const now = Date.now();
+        room.spectatorFeed.push({ at: now, state });
+        // Keep the newest update that is already old enough, and everything after it
+        const ready = room.spectatorFeed.filter(e => e.at <= now - delayMs).length;
+        if (ready > 1) room.spectatorFeed.splice(0, ready - 1);
     }
+    sendToSpectators(room, 'spectatorState', state);
+}
+
+// What a new spectator may see right now (null until the delay has passed once)
+function currentSpectatorState(room) {
+    const delayMs = (room.settings.spectatorDelay || 0) * 1000;
+    if (!delayMs) return room.getSpectatorState();
+    const ready = room.spectatorFeed.filter(e => e.at <= Date.now() - delayMs);
+    return ready.length ? ready.at(-1).state : null;
+}
 
-    let newlyKnocked = [];
-    if (this.isMercy()) newlyKnocked = this.checkMercyKnockouts();
+// The game is over: tell the spectators (as late as everything else) and let them go
+function endSpectating(room, result) {
+    room.spectators.clear();
+    room.spectatorFeed = [];
+    sendToSpectators(room, 'spectateEnded', result, channel => io.in(channel).socketsLeave(channel));
+}
+
+// Seconds per turn; anything not on the lobby form's list means no timer
+const TURN_TIMER_OPTIONS = [0, 15, 30, 45, 60, 90];
 
-    let winner = null;
-    if (player.hand.length === 0) {
-        winner = playerIndex;
+function normalizeTurnTimer(seconds) {
+    const value = Number(seconds);
+    return TURN_TIMER_OPTIONS.includes(value) ? value : 0;
+}
+
+function cleanupPlayerFromLobby(socketId, roomId) {
+    const lobby = lobbies[roomId];
+    if (!lobby || !lobby.players.some(p => p.id === socketId)) return;
+    const wasHost = lobbyHost(lobby)?.id === socketId;
+    lobby.players = lobby.players.filter(p => p.id !== socketId);
+    const pm = lobbyPresenceManagers.get(roomId);
+    if (!lobby.players.some(p => !p.bot)) {
+        delete lobbies[roomId];
+        if (pm) { pm.destroy(); lobbyPresenceManagers.delete(roomId); }
+        closeChat(roomId);
+        console.log(`Lobby ${roomId} deleted (all players left)`);
     } else {
-        const active = this.activePlayers();
-        if (active.length === 1) {
-            winner = this.players.findIndex(p => p.id === active[0].id);
-        } else if (active.length === 0) {
-            winner = playerIndex;
+        if (pm) pm.removePlayer(socketId);
+        // The host's crown passes to the longest-seated human left
+        if (wasHost) {
+            const next = lobby.players.find(p => !p.bot);
+            lobby.hostId = next.id;
+            postSystemMessage(roomId, `👑 ${next.name} is now the host`);
+        }
+        emitLobbyUpdate(lobby);
+    }
+    broadcastLobbyList();
+}
+
+// The lobby's creator, until they hand the role on or leave. Lobbies made by
+// matchmaking have no hostId and fall back to the first human seat.
+function lobbyHost(lobby) {
+    return lobby.players.find(p => p.id === lobby.hostId) || lobby.players.find(p => !p.bot) || null;
+}
+
+// Everything the waiting-lobby screen draws; settingsChanged makes clients ready up again
+function emitLobbyUpdate(lobby, extra = {}) {
+    io.to(lobby.id).emit('lobbyUpdate', {
+        roomId:     lobby.id,
+        lobbyName:  lobby.name,
+        settings:   lobby.settings,
+        players:    lobby.players,
+        minPlayers: lobby.minPlayers || 2,
+        hostId:     lobbyHost(lobby)?.id || null,
+        inviteCode: lobby.inviteCode || null,
+        unlisted:   !!lobby.unlisted,
+        ...extra
+    });
+}
+
+// Invite codes for /join/:code links. No 0/O or 1/I/L, so a code can be
+// read out loud; a link skips the passcode, so it only reaches people
+// someone in the lobby shared it with.
+const INVITE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const INVITE_LENGTH   = 6;
+
+function newInviteCode() {
+    let code;
+    do {
+        code = Array.from(crypto.randomBytes(INVITE_LENGTH), b => INVITE_ALPHABET[b % INVITE_ALPHABET.length]).join('');
+    } while (findLobbyByInvite(code));
+    return code;
+}
+
+function findLobbyByInvite(code) {
+    const wanted = String(code || '').trim().toUpperCase();
+    return (wanted && Object.values(lobbies).find(l => l.inviteCode === wanted)) || null;
+}
+
+// Settings as a lobby stores them, from createLobby or updateLobbySettings
+function normalizeLobbySettings(settings) {
+    settings.seed               = normalizeSeed(settings.seed);
+    settings.turnTimer          = normalizeTurnTimer(settings.turnTimer);
+    settings.botTakeover        = !!settings.botTakeover;
+    settings.spectatorDelay     = normalizeSpectatorDelay(settings.spectatorDelay);
+    settings.spectatorOpenHands = !!settings.spectatorOpenHands;
+    settings.deck               = normalizeDeck(settings.deck);
+    normalizeMatchSettings(settings);
+    normalizeTeamSettings(settings);
+    return settings;
+}
+
+// Every seat is still connected and answering heartbeats; tells the lobby why not
+function lobbyPlayersPresent(lobby) {
+    const roomId    = lobby.id;
+    const connected = lobby.players.filter(p => p.bot || !!io.sockets.sockets.get(p.id));
+    if (connected.length !== lobby.players.length) {
+        lobby.players = connected;
+        emitLobbyUpdate(lobby);
+        io.to(roomId).emit('error', 'Some players disconnected before game start. Please ready up again.');
+        return false;
+    }
+    const pm = lobbyPresenceManagers.get(roomId);
+    if (pm) {
+        const check = pm.finalPresenceCheck();
+        if (!check.success) {
+            const names = check.missingPlayers.map(p => p.name).join(', ');
+            io.to(roomId).emit('error', `Cannot start: Players not responding: ${names}`);
+            return false;
         }
     }
+    return true;
+}
+
+// Open lobbies, then public games in progress (inProgress: true) that can be
+// watched. Unlisted lobbies and their games are only reachable by invite.
+function broadcastLobbyList() {
+    const open = Object.values(lobbies).filter(l => !l.unlisted).map(l => ({
+        id: l.id, name: l.name, settings: l.settings,
+        players: l.players.length, minPlayers: l.minPlayers, isPrivate: l.isPrivate
+    }));
+    const live = Array.from(rooms.values()).filter(r => r.gameStarted && !r.isPrivate).map(r => ({
+        id: r.roomId, name: r.lobbyName || r.roomId, settings: r.settings,
+        players: r.players.length, isPrivate: false, inProgress: true, spectators: r.spectators.size
+    }));
+    io.emit('lobbyList', open.concat(live));
+}
 
+/* -- CHAT ---------------------------------------- */
+// One chat per lobby ID; the game started from a lobby keeps its ID, so the
+// lobby conversation carries on into the game, the rematch vote and any
+// rematch. Only seated humans post. Messages are keyed by persistentId, so
+// mutes and history both survive a rejoin. Table events (O,No calls,
+// catches, swaps) are written into the same feed as system messages.
+const chatLogs     = new Map(); // roomId -> ChatLog
+const chatLimiter  = new RateLimiter();
+const emoteLimiter = new RateLimiter(EMOTE_COOLDOWN);
+const chatFilter   = createWordFilter(process.env.CHAT_BANNED_WORDS ? process.env.CHAT_BANNED_WORDS.split(',') : DEFAULT_BANNED_WORDS);
+
+function chatLog(roomId) {
+    if (!chatLogs.has(roomId)) chatLogs.set(roomId, new ChatLog());
+    return chatLogs.get(roomId);
+}
+
+// Human seats of the lobby, game or rematch vote behind a chat
+function chatSeats(roomId) {
+    const room  = rooms.get(roomId);
+    const lobby = lobbies[roomId];
+    const queue = rematchQueues.get(roomId);
+    const seats = room ? room.players : lobby ? lobby.players : queue ? queue.players : [];
+    return seats.filter(p => !p.bot);
+}
+
+// A stored message as clients see it; the sender is named by their current socket ID
+function publicChatMessage(roomId, message) {
+    const sender = !message.system && chatSeats(roomId).find(p => p.persistentId === message.fromKey);
     return {
-        success:       true,
-        winner,
-        swapHappened:  this._lastSwapEvent || null,
-        drawAnimation,
-        newlyKnocked
+        id:     message.id,
+        roomId,
+        system: !!message.system,
+        from:   message.system ? null : { id: sender ? sender.id : null, name: message.fromName },
+        text:   message.text,
+        at:     message.at
     };
 }
 
+function deliverChat(roomId, message) {
+    const log    = chatLog(roomId);
+    const stored = log.add(message);
+    const sent   = publicChatMessage(roomId, stored);
+    chatSeats(roomId).forEach(p => {
+        if (!stored.system && log.isMuted(p.persistentId, stored.fromKey)) return;
+        io.to(p.id).emit('chatMessage', sent);
+    });
+}
 
+function postSystemMessage(roomId, text) {
+    deliverChat(roomId, { system: true, text, at: Date.now() });
+}
 
-    handleCardEffect(card, playerIndex) {
-        const player  = this.players[playerIndex];
-        const mercy   = this.isMercy();
-        const stacking = this.settings.allowStacking || mercy;
-        switch (card.value) {
-            case 'Skip':
-                this.skipNextPlayer();
-                break;
+function sendChatHistory(socketId, roomId, readerKey) {
+    const log = chatLogs.get(roomId);
+    if (!log) return;
+    io.to(socketId).emit('chatHistory', { roomId, messages: log.visibleTo(readerKey).map(m => publicChatMessage(roomId, m)) });
+}
 
-           case 'Reverse':
-    this.direction *= -1;
-    if (this.players.length === 2) {
-        // ⚠️ CRITICAL FIX: In 2-player, Reverse acts like Skip
-        this.hasDrawnThisTurn = false;
-        this.advanceTurn(); // Skip to next player
-    } else {
-        this.advanceTurn();
-    }
-    break;
-
-
-            case '+2':
-    if (stacking) { 
-        this.stackedDrawCount += 2; 
-        this.advanceTurn(); 
-    } else { 
-        this.drawCards(this.getNextPlayerIndex(), 2); 
-        this.skipNextPlayer(); 
-    }
-    break;
-
-case 'Wild+4':
-    // ⚠️ CRITICAL: Wild+4 works exactly like +2 but draws 4
-    if (stacking) { 
-        this.stackedDrawCount += 4; 
-        this.advanceTurn(); 
-    } else { 
-        this.drawCards(this.getNextPlayerIndex(), 4); 
-        this.skipNextPlayer(); 
-    }
-    break;
-
-
-case 'Wild+6':
-    if (stacking) { 
-        this.stackedDrawCount += 6; 
-        this.advanceTurn(); 
-    } else { 
-        this.drawCards(this.getNextPlayerIndex(), 6); 
-        this.skipNextPlayer(); 
-    }
-    break;
-
-case 'Wild+10':
-    if (stacking) { 
-        this.stackedDrawCount += 10; 
-        this.advanceTurn(); 
-    } else { 
-        this.drawCards(this.getNextPlayerIndex(), 10); 
-        this.skipNextPlayer(); 
-    }
-    break;
-
-            case 'DiscardAll': {
-                const chosenCol = this.currentColor;
-                const before = player.hand.length;
-                player.hand = player.hand.filter(c => c.color !== chosenCol);
-                const removed = before - player.hand.length;
-                this._discardAllRemoved = removed;
-                this.advanceTurn();
-                break;
-            }
+function closeChat(roomId) {
+    chatLogs.delete(roomId);
+}
 
-           case 'WildReverseD4':
-    this.direction *= -1;
-    if (stacking) { 
-        this.stackedDrawCount += 4; 
-        this.advanceTurn(); 
-    } else { 
-        this.drawCards(this.getNextPlayerIndex(), 4); 
-        this.skipNextPlayer(); 
-    }
-    break;
-
-            case 'SkipAll':
-    // ⚠️ CRITICAL FIX: Reset hasDrawnThisTurn for ALL players
-                this.players.forEach(p => p.hand); // Trigger state refresh
-                this.hasDrawnThisTurn = false;
-                 this.advanceTurn();
-                break;
-
-
-            case 'Roulette': {
-                const targetColor = this.currentColor;
-                const nextIdx = this.getNextPlayerIndex(playerIndex);
-                let drawn = 0;
-                let found = false;
-                while (drawn < 50 && !found) {
-                    this.drawCards(nextIdx, 1);
-                    drawn++;
-                    const lastCard = this.players[nextIdx].hand.at(-1);
-                    if (lastCard && (lastCard.color === targetColor || lastCard.type === 'wild')) found = true;
-                }
-                if (mercy) this.checkMercyKnockouts();
-                this.skipNextPlayer();
-                break;
-            }
+/* -- GAME ACTIONS ---------------------------------------- */
+// One function per in-game action, shared by the socket handlers and the bot
+// runner. Each carries out the action for playerId, tells the table and
+// returns the engine result; errors go to that player only.
+function handlePlayCard(room, playerId, { cardIndex, chosenColor, isJumpIn }) {
+    const roomId = room.roomId;
+    const player = room.players.find(p => p.id === playerId);
+    const isStackJumpIn = room.stackedDrawCount > 0 && isJumpIn;
+    console.log(`[PlayCard] ${player?.name} playing card ${cardIndex} (jump-in: ${!!isJumpIn}, stack: ${room.stackedDrawCount})`);
 
-            case '0':
-                if (this.settings.allowSpecial07 || this.isMercy()) {
-                    if (player.hand.length === 0) { this.advanceTurn(); break; }
-                    const active0 = this.activePlayers();
-                    if (active0.length > 1) {
-                        const savedHands = active0.map(p => p.hand);
-                        if (this.direction === 1) {
-                            active0[0].hand = savedHands[savedHands.length - 1];
-                            for (let i = 1; i < active0.length; i++) active0[i].hand = savedHands[i - 1];
-                        } else {
-                            active0[active0.length - 1].hand = savedHands[0];
-                            for (let i = 0; i < active0.length - 1; i++) active0[i].hand = savedHands[i + 1];
-                        }
-                        active0.forEach(p => { p.calledUno = false; });
-                        this._lastSwapEvent = { type: '0', rotateAll: true };
-                    }
-                }
-                this.advanceTurn();
-                break;
-
-            case '7':
-                if (this.settings.allowSpecial07 || this.isMercy()) {
-                    if (player.hand.length === 0) { this.advanceTurn(); break; }
-                    this.pendingSwap7 = { playerId: player.id };
-                    return 'needSwapTarget';
-                }
-                this.advanceTurn();
-                break;
-
-            case '+12':
-                this.drawCards(this.getNextPlayerIndex(playerIndex), 12);
-                this.skipNextPlayer();
-                break;
-
-            case 'RandDraw': {
-                const n = Math.floor(Math.random() * 10) + 1;
-                const nextIdx = this.getNextPlayerIndex(playerIndex);
-                this.drawCards(nextIdx, n);
-                this.skipNextPlayer();
-                this._glitchRandDrawCount = n;
-                break;
-            }
+    const result = room.playCard(playerId, cardIndex, chosenColor, isJumpIn || false);
 
-            case 'PopupAd': {
-                const popupTargetIdx = this.getNextPlayerIndex(playerIndex);
-                const popupTargetId  = this.players[popupTargetIdx]?.id;
-                this._glitchPopupAdTargetId = popupTargetId;
-                this._glitchPopupAdCount    = Math.floor(Math.random() * 11) + 5;
-                this.advanceTurn();
-                break;
-            }
+    if (!result.success) {
+        console.warn(`[PlayCard] Failed: ${result.error}`, result.debug);
+        io.to(playerId).emit('error', result.error);
+        return result;
+    }
 
-            case 'PeekHand': {
-                this.pendingPeek = { playerId: player.id };
-                return 'needPeekTarget';
-            }
+    console.log(`[PlayCard] Success: ${player?.name} played ${room.discardPile.at(-1)?.value}${isStackJumpIn ? ' (STACK JUMP-IN!)' : ''}`);
 
-            case 'ScrambleCard': {
-                const nextP = this.players[this.getNextPlayerIndex(playerIndex)];
-                if (nextP) {
-                    this.glitchScrambled = (this.glitchScrambled||[]).filter(e => e.playerId !== nextP.id);
-                    this.glitchScrambled.push({ playerId: nextP.id, expiresAt: Date.now() + 90000 });
-                    this._glitchScrambleTargetId = nextP.id;
-                }
-                this.advanceTurn();
-                break;
-            }
+    if (result.needSwapTarget) {
+        io.to(playerId).emit('chooseSwapTarget', { opponents: room.swapTargets(playerId).map(p => ({ id: p.id, name: p.name })) });
+        broadcastGameState(room);
+        return result;
+    }
 
-            case 'GlitchedOut': {
-                const nextSpectIdx = this.getNextPlayerIndex(playerIndex);
-                const nextSpectId  = this.players[nextSpectIdx]?.id;
-                this._glitchedOutTargetId = nextSpectId;
-                if (nextSpectId && !(this.glitchSpectators||[]).includes(nextSpectId)) {
-                    this.glitchSpectators = [...(this.glitchSpectators||[]), nextSpectId];
-                }
-                if (nextSpectIdx !== -1) this.players[nextSpectIdx].hand = [];
-                this.advanceTurn();
-                break;
-            }
+    if (result.needPeekTarget) {
+        io.to(playerId).emit('choosePeekTarget', { opponents: room.players.filter(p => p.id !== playerId && !(room.glitchSpectators||[]).includes(p.id)).map(p => ({ id: p.id, name: p.name })) });
+        broadcastGameState(room);
+        return result;
+    }
 
-            // ── PAY BACK: Bank card effects (played from hand after purchase) ──
-            case 'BankSkip': {
-                this.bankPoints[player.id] = this.bankPoints[player.id] || 0; // no extra cost
-                this.skipNextPlayer();
-                this._bankActionUsed = { action: 'BankSkip', cost: 0 };
-                break;
-            }
-            case 'BankDraw2': {
-                const bd2Next = this.getNextPlayerIndex(playerIndex);
-                this.drawCards(bd2Next, 2);
-                this.skipNextPlayer();
-                this._bankActionUsed = { action: 'BankDraw2', cost: 0 };
-                break;
-            }
-            case 'BankDraw4': {
-                const bd4Next = this.getNextPlayerIndex(playerIndex);
-                this.drawCards(bd4Next, 4);
-                this.skipNextPlayer();
-                this._bankActionUsed = { action: 'BankDraw4', cost: 0 };
-                break;
-            }
-            case 'BankReverse':
-                this.direction *= -1;
-                this.advanceTurn();
-                this._bankActionUsed = { action: 'BankReverse', cost: 0 };
-                break;
-            case 'BankShield':
-                if (!this.bankShields) this.bankShields = {};
-                this.bankShields[player.id] = true;
-                this.advanceTurn();
-                this._bankActionUsed = { action: 'BankShield', cost: 0 };
-                break;
-            case 'BankStrike':
-                for (const p of this.players) {
-                    if (p.id !== player.id) {
-                        this.bankPoints[p.id] = Math.max(0, (this.bankPoints[p.id] || 0) - 3);
-                    }
-                }
-                this.advanceTurn();
-                this._bankActionUsed = { action: 'BankStrike', cost: 0 };
-                break;
+    // A challengeable penalty animates once it is drawn or the challenge settles it
+    if (result.drawAnimation && !result.drawAnimation.challenge) io.to(roomId).emit('drawAnimation', result.drawAnimation);
 
-            default:
-                this.advanceTurn();
-        }
+    if (room._discardAllRemoved !== undefined && room._discardAllRemoved !== null) {
+        io.to(roomId).emit('discardAllAnnounce', { playerName: player?.name, color: room.currentColor, removed: room._discardAllRemoved });
+        room._discardAllRemoved = null;
     }
 
-    isGlitchScrambledFor(playerId) {
-        if (!playerId) return false;
-        const now = Date.now();
-        this.glitchScrambled = (this.glitchScrambled||[]).filter(e => e.expiresAt > now);
-        return (this.glitchScrambled||[]).some(e => e.playerId === playerId);
+    if (room._special48) {
+        io.to(roomId).emit('special48Announce', { playerName: player?.name, value: room._special48 });
+        room._special48 = null;
     }
 
-    skipNextPlayer()  { this.advanceTurn(); this.advanceTurn(); }
+    if (room._glitchPopupAdTargetId) {
+        io.to(room._glitchPopupAdTargetId).emit('glitchPopupAd', { count: room._glitchPopupAdCount });
+        io.to(roomId).emit('glitchPopupAdAnnounce', { targetName: room.players.find(p=>p.id===room._glitchPopupAdTargetId)?.name, count: room._glitchPopupAdCount });
+        room._glitchPopupAdTargetId = null; room._glitchPopupAdCount = null;
+    }
+    if (room._glitchRandDrawCount) {
+        io.to(roomId).emit('glitchRandDraw', { count: room._glitchRandDrawCount, victimId: room.players.find(p=>p.id!==playerId)?.id });
+        room._glitchRandDrawCount = null;
+    }
+    if (room._glitchScrambleTargetId) {
+        io.to(room._glitchScrambleTargetId).emit('glitchScramble', { duration: 90000 });
+        io.to(roomId).emit('glitchScrambleAnnounce', { targetId: room._glitchScrambleTargetId, targetName: room.players.find(p=>p.id===room._glitchScrambleTargetId)?.name });
+        room._glitchScrambleTargetId = null;
+    }
+    if (room._glitchedOutTargetId) {
+        io.to(room._glitchedOutTargetId).emit('glitchedOut');
+        io.to(roomId).emit('glitchedOutAnnounce', { targetId: room._glitchedOutTargetId, targetName: room.players.find(p=>p.id===room._glitchedOutTargetId)?.name });
+        room._glitchedOutTargetId = null;
+        const aliveAfterGO = room.activePlayers();
+        if (aliveAfterGO.length <= 1) {
+            endGame(room, aliveAfterGO[0] || room.players[0], 'last-standing');
+            return result;
+        }
+    }
 
-    advanceTurn() {
-        this.currentPlayer    = this.getNextPlayerIndex();
-        this.hasDrawnThisTurn = false;
-        // Reset per-turn bank purchase tracker
-        this.bankBoughtThisTurn = new Set();
-    }
-
-    getNextPlayerIndex(fromIndex = null) {
-    const index = fromIndex !== null ? fromIndex : this.currentPlayer;
-    let next = (index + this.direction + this.players.length) % this.players.length;
-    let guard = 0;
-    
-    // Skip eliminated players (Mercy knockout or Glitch spectator)
-    while (this.isEliminated(this.players[next]?.id) && guard++ < this.players.length) {
-        next = (next + this.direction + this.players.length) % this.players.length;
-    }
-    
-    // ⚠️ CRITICAL FIX: If all players eliminated, return current player
-    if (guard >= this.players.length) {
-        const active = this.activePlayers();
-        if (active.length > 0) {
-            next = this.players.findIndex(p => p.id === active[0].id);
-        } else {
-            next = this.currentPlayer; // Fallback
+    // ── PAY BACK: broadcast bank action result ────────────────────
+    if (room._bankActionUsed) {
+        io.to(roomId).emit('bankActionUsed', {
+            playerName: player?.name,
+            playerId,
+            action:     room._bankActionUsed.action,
+            cost:       room._bankActionUsed.cost,
+            bankPoints: room.bankPoints,
+            bankShields: room.bankShields || {}
+        });
+        room._bankActionUsed = null;
+    }
+    if (room._bankActionFailed) {
+        io.to(playerId).emit('bankActionFailed', room._bankActionFailed);
+        room._bankActionFailed = null;
+    }
+    if (result.newlyKnocked && result.newlyKnocked.length > 0) {
+        result.newlyKnocked.forEach(p => io.to(roomId).emit('playerKnockedOut', { playerId: p.id, playerName: p.name }));
+        const aliveAfterKnock = room.activePlayers();
+        if (aliveAfterKnock.length <= 1) {
+            endGame(room, aliveAfterKnock[0] || room.players[0], 'last-standing');
+            return result;
         }
     }
-    
-    return next;
+    if (result.swapHappened) {
+        announceSwap(room, result.swapHappened);
+        if (result.swapHappened.unoTransfer) io.to(roomId).emit('unoTransfer', { playerName: result.swapHappened.unoTransfer });
+    }
+
+    broadcastGameState(room);
+
+    if (result.winner !== null) {
+        endGame(room, room.players[result.winner]);
+    }
+    return result;
+}
+
+// ── PAY BACK: Buy a bank card from the store → adds to hand ─
+function handleBuyBankAction(room, playerId, action) {
+    const result = room.buyBankAction(playerId, action);
+    if (!result.success) {
+        if (result.reason) io.to(playerId).emit('bankActionFailed', { reason: result.reason, cost: result.cost, have: result.have });
+        else               io.to(playerId).emit('error', result.error);
+        return result;
+    }
+
+    // Tell everyone a card was purchased
+    io.to(room.roomId).emit('bankActionUsed', {
+        playerName:  result.playerName,
+        playerId,
+        action,
+        cost:        result.cost,
+        bankPoints:  room.bankPoints,
+        bankShields: room.bankShields || {}
+    });
+
+    // Refresh game state for all players so they see the hand count change
+    broadcastGameState(room);
+    return result;
+}
+
+function handleDrawCard(room, playerId) {
+    const result = room.drawCard(playerId);
+    if (!result.success) { io.to(playerId).emit('error', result.error); return result; }
+    announceDraw(room, playerId, result);
+    return result;
 }
 
+function handleSwapTarget(room, playerId, targetId) {
+    const result = room.chooseSwapTarget(playerId, targetId);
+    if (!result.success) { io.to(playerId).emit('error', result.error); return result; }
+    announceSwap(room, { swapperName: result.swapperName, targetName: result.targetName, type: '7' });
+    broadcastGameState(room);
+    return result;
+}
 
-    swapHands(a, b) {
-        [this.players[a].hand, this.players[b].hand] = [this.players[b].hand, this.players[a].hand];
+function handlePeekTarget(room, playerId, targetId) {
+    const result = room.choosePeekTarget(playerId, targetId);
+    if (!result.success) { io.to(playerId).emit('error', result.error); return result; }
+    io.to(playerId).emit('glitchPeek', { hand: result.hand, playerName: result.playerName });
+    broadcastGameState(room);
+    return result;
+}
+
+function handleCallUno(room, playerId) {
+    const result = room.callUno(playerId);
+    if (result.success) {
+        io.to(room.roomId).emit('playerCalledUno', { playerName: result.playerName, message: `${result.playerName} called O,No!` });
+        postSystemMessage(room.roomId, `🔔 ${result.playerName} called O,No!`);
+        broadcastGameState(room);
     }
+    return result;
+}
 
-    chooseSwapTarget(playerId, targetId) {
-        if (!this.pendingSwap7)                      return { success: false, error: 'No swap pending' };
-        if (this.pendingSwap7.playerId !== playerId)  return { success: false, error: 'Not your swap' };
-        const pi = this.players.findIndex(p => p.id === playerId);
-        const ti = this.players.findIndex(p => p.id === targetId);
-        if (pi === -1 || ti === -1) return { success: false, error: 'Player not found' };
-        if (pi === ti)              return { success: false, error: 'Cannot swap with yourself' };
-        this.swapHands(pi, ti);
-        this.pendingSwap7 = null;
-        this.advanceTurn();
-        return { success: true, swapperName: this.players[pi].name, targetName: this.players[ti].name };
+function handleCatchUno(room, playerId, caughtPlayerId) {
+    const result = room.catchUnoViolation(playerId, caughtPlayerId);
+    if (result.success && result.penaltyApplied) {
+        const message = `${result.catcherName} caught ${result.caughtName}! ${result.caughtName} draws 2 penalty cards!`;
+        io.to(room.roomId).emit('unoPenalty', { catcherName: result.catcherName, caughtName: result.caughtName, message });
+        postSystemMessage(room.roomId, `🚨 ${message}`);
+        broadcastGameState(room);
+    } else if (!result.success) {
+        io.to(playerId).emit('error', result.error);
     }
+    return result;
+}
 
-    choosePeekTarget(playerId, targetId) {
-        if (!this.pendingPeek)                        return { success: false, error: 'No peek pending' };
-        if (this.pendingPeek.playerId !== playerId)   return { success: false, error: 'Not your peek' };
-        const ti = this.players.findIndex(p => p.id === targetId);
-        if (ti === -1) return { success: false, error: 'Target player not found' };
-        const targetHand = this.players[ti].hand;
-        const targetName = this.players[ti].name;
-        this.pendingPeek = null;
-        this.advanceTurn();
-        return { success: true, hand: targetHand, playerName: targetName };
-    }
-
-    drawCards(playerIndex, count) {
-        const hand = this.players[playerIndex].hand;
-        for (let i = 0; i < count; i++) {
-            if (this.deck.length === 0) this.reshuffleDeck();
-            if (this.deck.length === 0) break;
-            if (this.isGlitch()) this.glitchTotalDraws++;
-            let topCard = this.deck[this.deck.length - 1];
-            if (topCard && topCard.value === 'GlitchedOut') {
-                if (this.glitchTotalDraws < 85 && this.deck.length > 1) {
-                    const go = this.deck.pop();
-                    const insertAt = Math.floor(Math.random() * Math.max(1, this.deck.length - 10));
-                    this.deck.splice(insertAt, 0, go);
-                }
-            }
-            hand.push(this.deck.pop());
+// settings.allowWildChallenge: the victim of a Wild+4 / WildReverseD4 calls
+// it a bluff. Only the challenger is shown the challenged hand; the table
+// hears who was right and who draws.
+function handleChallengeWild(room, playerId) {
+    const result = room.challengeWild(playerId);
+    if (!result.success) { io.to(playerId).emit('error', result.error); return result; }
+    const roomId = room.roomId;
+    const drawer = room.players.find(p => p.id === result.drawerId);
+    io.to(playerId).emit('challengeReveal', { challengedName: result.challengedName, hand: result.hand, color: result.color, bluffed: result.bluffed });
+    io.to(roomId).emit('wildChallenged', {
+        challengerName: result.challengerName, challengedName: result.challengedName,
+        bluffed: result.bluffed, drawerId: result.drawerId, drawerName: drawer?.name, count: result.count
+    });
+    io.to(roomId).emit('drawAnimation', { victimId: result.drawerId, victimName: drawer?.name, playerId: null, count: result.count, cardValue: 'stack' });
+    postSystemMessage(roomId, result.bluffed
+        ? `⚖️ ${result.challengerName} caught ${result.challengedName} bluffing! ${result.challengedName} draws ${result.count}`
+        : `⚖️ ${result.challengerName} challenged ${result.challengedName}, but the card was legal. ${result.challengerName} draws ${result.count}`);
+    if (result.newlyKnocked.length) {
+        result.newlyKnocked.forEach(p => io.to(roomId).emit('playerKnockedOut', { playerId: p.id, playerName: p.name }));
+        const active = room.activePlayers();
+        if (active.length === 1) {
+            endGame(room, active[0], 'last-standing');
+            return result;
         }
     }
+    broadcastGameState(room);
+    return result;
+}
 
-    drawCard(playerId) {
-        const pi = this.players.findIndex(p => p.id === playerId);
-        if ((this.glitchSpectators||[]).includes(playerId)) return { success: false, error: 'You are a spectator' };
-        if (pi === -1 || pi !== this.currentPlayer) return { success: false, error: 'Not your turn' };
-        if (this.hasDrawnThisTurn)                  return { success: false, error: 'You can only draw once per turn' };
-
-        if (this.stackedDrawCount > 0) {
-            const count = this.stackedDrawCount;
-            this.drawCards(pi, count);
-            this.stackedDrawCount = 0;
-            this.players[pi].calledUno = false;
-            this.advanceTurn();
-            if (this.isMercy()) this.checkMercyKnockouts();
-            return { success: true, drewStacked: true, stackCount: count };
-        }
+// Teams with settings.teamTrade: a player offers one card to a teammate, who
+// answers with a card of their own or declines. The offer is held in
+// room.tradeOffers until then, one per team; the swap itself is tradeCards.
+function handleTradeOffer(room, playerId, cardIndex, teammateId) {
+    const player   = room.players.find(p => p.id === playerId);
+    const teammate = room.players.find(p => p.id === teammateId);
+    const refuse   = message => { io.to(playerId).emit('error', message); };
+    if (!player) return;
+    if (!room.isTeams() || !room.settings.teamTrade) return refuse('Card trades are off in this game');
+    if (!room.isTeammate(playerId, teammateId))      return refuse('You can only trade with a teammate');
+    if (botLevel(teammate))                          return refuse(`${teammate.name} is played by a bot and can't trade`);
+    if (room.teamTrades.has(player.team))            return refuse('Your team has already traded this hand');
+    if (room.tradeOffers.has(player.team))           return refuse('Your team already has a trade waiting');
+    const card = player.hand[cardIndex];
+    if (!card) return refuse('Invalid card');
+    room.tradeOffers.set(player.team, { fromId: playerId, toId: teammateId, card });
+    io.to(teammateId).emit('tradeOffered', { fromId: playerId, fromName: player.name, card });
+    broadcastGameState(room);
+}
 
-        if (this.isGlitch() && this.stackedDrawCount === 0) {
-            const n = Math.floor(Math.random() * 10) + 1;
-            this.drawCards(pi, n);
-            this.players[pi].calledUno = false;
-            this.hasDrawnThisTurn = true;
-            const lastCard = this.players[pi].hand.at(-1);
-            if (lastCard && lastCard.value === 'GlitchedOut') {
-                this.players[pi].hand.pop();
-                this._glitchedOutDrawnBy = this.players[pi].id;
-            }
-            this.advanceTurn();
-            return { success: true, cardsDrawn: n, glitchRandDraw: true };
-        }
+// cardIndex null declines the offer
+function handleTradeAnswer(room, playerId, cardIndex) {
+    const player = room.players.find(p => p.id === playerId);
+    const offer  = player && room.tradeOffers.get(player.team);
+    if (!offer || offer.toId !== playerId) { io.to(playerId).emit('error', 'That trade offer has expired'); return; }
+    room.tradeOffers.delete(player.team);
+    const from = room.players.find(p => p.id === offer.fromId);
+    if (cardIndex === null || cardIndex === undefined) {
+        io.to(offer.fromId).emit('tradeDeclined', { byName: player.name });
+        broadcastGameState(room);
+        return;
+    }
+    const result = room.tradeCards(offer.fromId, from ? from.hand.indexOf(offer.card) : -1, playerId, cardIndex);
+    if (result.success) postSystemMessage(room.roomId, `🔁 ${result.fromName} and ${result.toName} traded a card`);
+    else                io.to(playerId).emit('error', result.error);
+    broadcastGameState(room);
+}
 
-        if (this.isMercy()) {
-            let drawn = 0;
-            let canPlay = false;
-            do {
-                this.drawCards(pi, 1);
-                drawn++;
-                canPlay = this.canPlayCard(this.players[pi].hand.at(-1));
-            } while (!canPlay && this.deck.length > 0 && drawn < 50);
-            this.hasDrawnThisTurn = true;
-            if (this.players[pi].hand.length > 1) this.players[pi].calledUno = false;
-            this.checkMercyKnockouts();
-            return { success: true, canPlayDrawn: canPlay, cardsDrawn: drawn };
-        }
+/* -- BOTS ---------------------------------------- */
+// Bot seats are added by the lobby host and play through the GAME ACTIONS
+// above. Every turn change reschedules the bot timer, so a bot moves after a
+// short "thinking" pause whenever the turn lands on it; the strategy itself
+// lives in bots.js.
+//
+// With settings.botTakeover a bot also plays the seat of a player who timed
+// out (seat.autoPlaying) until they reclaim it through rejoinGame.
+const BOT_THINK_MS   = { easy: 1500, medium: 1200, hard: 900 };
+const TAKEOVER_LEVEL = 'medium';
+
+// Difficulty the server plays a seat at, or null when a human is playing it
+function botLevel(player) {
+    if (!player) return null;
+    return player.bot || (player.autoPlaying ? TAKEOVER_LEVEL : null);
+}
 
-        this.hasDrawnThisTurn = true;
-        this.drawCards(pi, 1);
-        const drawnCard = this.players[pi].hand.at(-1);
-        const canPlay   = drawnCard ? this.canPlayCard(drawnCard) : false;
-        if (!canPlay) this.advanceTurn();
-        if (this.players[pi].hand.length > 1) this.players[pi].calledUno = false;
-        return { success: true, canPlayDrawn: canPlay, cardsDrawn: 1 };
-    }
-
-    checkMercyKnockouts() {
-        if (!this.isMercy()) return [];
-        const newlyKnocked = [];
-        this.players.forEach(p => {
-            if (!this.isEliminated(p.id) && p.hand.length >= 25) {
-                this.knockedOut.push(p.id);
-                newlyKnocked.push({ id: p.id, name: p.name });
-                p.hand = [];
-            }
-        });
-        if (this.isEliminated(this.players[this.currentPlayer]?.id)) {
-            let guard = 0;
-            while (this.isEliminated(this.players[this.currentPlayer]?.id) && guard++ < this.players.length) {
-                this.advanceTurn();
-            }
-        }
-        return newlyKnocked;
-    }
+function scheduleBotTurn(room) {
+    clearBotTurn(room);
+    if (!room.gameStarted) return;
+    const player = room.players[room.currentPlayer];
+    const level  = botLevel(player);
+    if (!level || room.isEliminated(player.id)) return;
+    room.botTimer = setTimeout(() => {
+        room.botTimer = null;
+        playBotTurn(room);
+    }, BOT_THINK_MS[level]);
+}
 
-    isEliminated(playerId) {
-        if (!playerId) return false;
-        return this.knockedOut.includes(playerId) || (this.glitchSpectators || []).includes(playerId);
-    }
+function clearBotTurn(room) {
+    if (room.botTimer) clearTimeout(room.botTimer);
+    room.botTimer = null;
+}
+
+// Play the turn of whichever bot holds it; stops as soon as the game ends
+function playBotTurn(room) {
+    const live  = () => rooms.get(room.roomId) === room;
+    const bot   = room.players[room.currentPlayer];
+    const level = botLevel(bot);
+    if (!live() || !level || room.isEliminated(bot.id)) return;
+    const random = room.botRandom;
 
-    activePlayers() {
-        return this.players.filter(p => !this.isEliminated(p.id));
+    const caughtId = bots.chooseCatchTarget(room, bot.id, level, random);
+    if (caughtId) handleCatchUno(room, bot.id, caughtId);
+
+    // A Wild +4 waiting on the bot: a caught bluff leaves it the turn, otherwise
+    // the turn has moved on. Without a challenge the bot draws the cards below.
+    if (bots.chooseChallenge(room, bot.id, level)) {
+        handleChallengeWild(room, bot.id);
+        if (!live() || room.players[room.currentPlayer] !== bot) return;
     }
 
-    callUno(playerId) {
-        const player = this.players.find(p => p.id === playerId);
-        if (!player)                  return { success: false, error: 'Player not found' };
-        if (player.hand.length !== 1) return { success: false, error: 'Can only call O,No when you have 1 card' };
-        player.calledUno = true;
-        return { success: true, playerName: player.name };
+    let move = bots.chooseMove(room, bot.id, level, random);
+    if (move.type === 'buy') {
+        // The bought card goes to the end of the hand and is played straight away
+        const bought = handleBuyBankAction(room, bot.id, move.action);
+        move = bought.success
+            ? { type: 'play', cardIndex: bot.hand.length - 1, chosenColor: bots.bestColor(bot.hand, bought.card), callUno: bot.hand.length === 2 }
+            : bots.chooseMove(room, bot.id, level, random);
+        if (move.type === 'buy') move = { type: 'draw' };
     }
 
-    catchUnoViolation(catcherId, caughtId) {
-        const ci  = this.players.findIndex(p => p.id === catcherId);
-        const cui = this.players.findIndex(p => p.id === caughtId);
-        if (ci === -1 || cui === -1) return { success: false, error: 'Player not found' };
-        const caught = this.players[cui];
-        if (caught.hand.length !== 1 || caught.calledUno) return { success: false, error: 'No O,no violation detected' };
-        this.drawCards(cui, 2);
-        caught.calledUno = false;
-        return { success: true, catcherName: this.players[ci].name, caughtName: caught.name, penaltyApplied: true };
+    if (move.type === 'draw') {
+        const drew = handleDrawCard(room, bot.id);
+        if (!drew.canPlayDrawn || !live()) return;
+        // The drawn card can be played, so the bot kept the turn to play it
+        const card = room.drawnPlayable;
+        move = { type: 'play', cardIndex: bot.hand.indexOf(card), chosenColor: card.type === 'wild' ? bots.bestColor(bot.hand, card) : null, callUno: bot.hand.length === 2 };
     }
 
-    checkUnoAfterPlay(playerIndex) {
-        if (this.players[playerIndex].hand.length !== 1) this.players[playerIndex].calledUno = false;
+    const result = handlePlayCard(room, bot.id, move);
+    if (!result.success) {
+        if (room.hasDrawnThisTurn) {
+            room.advanceTurn();
+            broadcastGameState(room);
+        } else {
+            handleDrawCard(room, bot.id);
+        }
+        return;
     }
+    if (!live()) return;
+    if (result.needSwapTarget) handleSwapTarget(room, bot.id, bots.chooseSwapTarget(room, bot.id, level, random));
+    if (result.needPeekTarget) handlePeekTarget(room, bot.id, bots.choosePeekTarget(room, bot.id, level, random));
+    if (move.callUno && live() && bot.hand.length === 1) handleCallUno(room, bot.id);
+}
+
+/* -- GAME START ---------------------------------------- */
+// Turn a lobby whose seats are all ready into a running GameRoom under the
+// same ID. Used by playerReady and by matchmaking.
+function startLobbyGame(roomId) {
+    const lobby      = lobbies[roomId];
+    const pm         = lobbyPresenceManagers.get(roomId);
+    const minPlayers = lobby.minPlayers || 2;
+
+    console.log(`[Server] Starting game in lobby ${roomId} with ${lobby.players.length} players`);
+    if (lobby.settings.teamMode) lobby.players = seatTeams(lobby.players);
+    const room = new GameRoom(roomId, lobby.players, lobby.settings, {
+        onTurnExpired, onTurnChanged: scheduleBotTurn, lobbyName: lobby.name, isPrivate: lobby.isPrivate || !!lobby.unlisted
+    });
+    rooms.set(roomId, room);
+    room.createDeck();
+    room.dealCards(room.settings.startingCards || 7);
+    attachSeries(room, newSeries(room.settings, room.players));
+    room.gameStarted = true;
+    room.startedAt   = Date.now();
+    room.turnChanged();
+
+    // Register each player's persistentId in the rejoin registry
+    room.players.filter(p => !p.bot).forEach(p => {
+        registerRejoin(p.persistentId, roomId, p.name);
+    });
 
-    reshuffleDeck() {
-        if (this.discardPile.length <= 1) return;
-        const top = this.discardPile.pop();
-        this.deck = [...this.discardPile];
-        this.discardPile = [top];
-        this.shuffleDeck();
+    if (pm) {
+        lobby.players.forEach(p => pm.updatePlayerState(p.id, PlayerState.IN_GAME));
+        pm.startHeartbeat();
+        pm.on('player-timeout', timedOutPlayer => {
+            const r = rooms.get(roomId);
+            if (!r) return;
+            // Bots never time out, but a table of only bots is not worth playing on
+            const active = r.players.filter(p => {
+                const ps = pm.getPlayer(p.id);
+                return ps && ps.state !== PlayerState.TIMEOUT && ps.state !== PlayerState.DISCONNECTED;
+            });
+            const botSeats = r.players.filter(p => p.bot);
+            const seat     = r.players.find(p => p.id === timedOutPlayer.id);
+            if (active.length === 0 || (!r.settings.botTakeover && active.length + botSeats.length < minPlayers)) {
+                io.to(roomId).emit('gameEnded', { reason: 'Not enough players remaining', message: `${timedOutPlayer.name} disconnected and did not reconnect in time.` });
+                endSpectating(r, { reason: 'Not enough players remaining' });
+                closeChat(roomId);
+                r.stopTurnClock(); clearBotTurn(r); rooms.delete(roomId); pm.destroy(); lobbyPresenceManagers.delete(roomId);
+                // An abandoned tournament table is settled on the cards left in hand
+                if (r.tournament) finishTournamentTable(r, r.players.slice().sort((a, b) => a.hand.length - b.hand.length).map((p, i) => ({ id: p.id, place: i + 1 })));
+                broadcastLobbyList();
+            } else if (r.settings.botTakeover && seat && !r.isEliminated(seat.id)) {
+                // A bot plays the seat until its owner comes back through rejoinGame
+                seat.autoPlaying = true;
+                io.to(roomId).emit('playerTimeout', { playerId: seat.id, playerName: seat.name, autoPlaying: true, message: `${seat.name} timed out. 🤖 A bot is playing for them until they rejoin.` });
+                broadcastGameState(r);
+                scheduleBotTurn(r);
+            } else {
+                io.to(roomId).emit('playerTimeout', { playerId: timedOutPlayer.id, playerName: timedOutPlayer.name, message: `${timedOutPlayer.name} has been removed from the game.` });
+            }
+        });
     }
+
+    room.players.forEach(p => io.to(p.id).emit('gameStarted', room.getGameState(p.id)));
+    updateSpectators(room);
+    delete lobbies[roomId];
+    broadcastLobbyList();
 }
 
-/* -- HELPERS ---------------------------------------- */
-function broadcastGameState(room) {
-    room.players.forEach(p => io.to(p.id).emit('gameState', room.getGameState(p.id)));
+/* -- MATCHMAKING ---------------------------------------- */
+// "Find Match" queues the player in matchQueue. Whenever the queue changes,
+// and every second while anyone waits, the tables it can make are turned
+// into lobbies that start straight away. Matched tables use fixed settings
+// with a turn timer and Bot Takeover, since nobody there chose the rules.
+const MATCH_SETTINGS  = { startingCards: 7, turnTimer: 30, botTakeover: true, spectatorDelay: 0, spectatorOpenHands: false, seed: null };
+const MATCH_BOT_LEVEL = 'medium';
+const MATCH_TICK_MS   = 1000;
+
+// Seconds before a waiting player's table is filled with bots; 0 turns bots off
+const matchQueue = new MatchQueue({
+    botWaitMs: process.env.MATCHMAKING_BOT_WAIT != null ? Number(process.env.MATCHMAKING_BOT_WAIT) * 1000 : DEFAULT_BOT_WAIT_MS
+});
+let matchTimer = null;
+
+function playerRating(username, mode) {
+    const account = username ? loadAccount(username) : null;
+    return ((account && account.ratings && account.ratings[mode]) || emptyRating()).rating;
+}
+
+function runMatchmaking() {
+    matchQueue.takeMatches().forEach(startMatch);
+    matchQueue.byId.forEach(entry => sendMatchmakingStatus(entry.id));
+    if (matchQueue.byId.size && !matchTimer) matchTimer = setInterval(runMatchmaking, MATCH_TICK_MS);
+    if (!matchQueue.byId.size && matchTimer) { clearInterval(matchTimer); matchTimer = null; }
+}
+
+function sendMatchmakingStatus(socketId) {
+    const entry = matchQueue.get(socketId);
+    if (!entry) { io.to(socketId).emit('matchmakingStatus', { searching: false }); return; }
+    io.to(socketId).emit('matchmakingStatus', {
+        searching: true,
+        mode:      entry.mode,
+        size:      entry.size,
+        useRating: entry.useRating,
+        waiting:   matchQueue.poolOf(socketId).length,
+        waitedMs:  Date.now() - entry.joinedAt,
+        botWaitMs: matchQueue.botWaitMs
+    });
+}
+
+// Seat a match in a fresh lobby (plus bots for any empty seats) and start it
+function startMatch(match) {
+    const id       = `match_${crypto.randomBytes(4).toString('hex')}`;
+    const settings = { ...MATCH_SETTINGS, maxPlayers: match.size, gameMode: match.mode };
+    const players  = match.players.map(e => ({ id: e.id, persistentId: e.persistentId, username: e.username, name: e.name, ready: true }));
+    for (let i = 0; i < match.bots; i++) {
+        const botId = `bot_${crypto.randomBytes(4).toString('hex')}`;
+        players.push({ id: botId, persistentId: botId, username: null, name: bots.botName(players), ready: true, bot: MATCH_BOT_LEVEL });
+    }
+
+    const pm = new PlayerPresenceManager(2, { heartbeatInterval: 5000, reconnectTimeout: 60000 });
+    lobbyPresenceManagers.set(id, pm);
+    players.filter(p => !p.bot).forEach(p => {
+        pm.addPlayer(p.id, p.name, PlayerState.LOBBY);
+        const socket = io.sockets.sockets.get(p.id);
+        if (socket) socket.join(id);
+    });
+    lobbies[id] = { id, name: '⚡ Quick Match', settings, minPlayers: 2, players, isPrivate: false, passcode: null };
+
+    console.log(`[Match] ${match.mode} table of ${match.size} (${match.bots} bots) → ${id}`);
+    players.filter(p => !p.bot).forEach(p => io.to(p.id).emit('matchFound', {
+        roomId:    id,
+        lobbyName: lobbies[id].name,
+        settings,
+        players:   players.map(s => ({ name: s.name, bot: s.bot || null })),
+        bots:      match.bots
+    }));
+    startLobbyGame(id);
+}
+
+/* -- TOURNAMENTS ---------------------------------------- */
+// A tournament collects registrants until its host starts it, then plays
+// round after round of tables (tournament.js decides who sits where and who
+// goes through). Each table is an ordinary GameRoom started like a matched
+// table, with the same fixed settings; endGame reports the finish order back
+// through finishTournamentTable, and the next round is seated after a short
+// break once every table is done. Everyone registered follows along in the
+// "tournament:<id>" socket.io room.
+const TOURNAMENT_KEEP_FINISHED = 50; // finished tournaments kept for GET /api/tournaments/:id
+
+function tournamentChannel(tournamentId) {
+    return `tournament:${tournamentId}`;
+}
+
+function emitTournament(tournament) {
+    io.to(tournamentChannel(tournament.id)).emit('tournamentUpdate', tournament.summary());
+}
+
+function broadcastTournamentList() {
+    io.emit('tournamentList', Array.from(tournaments.values()).filter(t => t.status !== 'finished').map(t => ({
+        id: t.id, name: t.name, format: t.format, tableSize: t.tableSize, gameMode: t.settings.gameMode,
+        entrants: t.entrants.length, maxEntrants: t.maxEntrants, status: t.status, round: t.round
+    })));
+}
+
+// Seat every table of the tournament's current round and start its game;
+// a bye has nothing to play and is already through
+function startTournamentRound(tournament) {
+    tournament.breakTimer = null;
+    const round = tournament.currentRound();
+    round.tables.forEach((table, i) => {
+        if (table.bye) return;
+        const id      = `tourney_${tournament.id}_${table.id}`;
+        const label   = round.final ? 'Final' : `Round ${round.round} · Table ${i + 1}`;
+        const players = table.players.map(entrantId => {
+            const e = tournament.entrant(entrantId);
+            return { id: e.socketId, persistentId: e.key, username: e.username, name: e.name, ready: true };
+        });
+        const pm = new PlayerPresenceManager(2, { heartbeatInterval: 5000, reconnectTimeout: 60000 });
+        lobbyPresenceManagers.set(id, pm);
+        players.forEach(p => {
+            pm.addPlayer(p.id, p.name, PlayerState.LOBBY);
+            const socket = io.sockets.sockets.get(p.id);
+            if (socket) socket.join(id);
+        });
+        lobbies[id]  = { id, name: `🏆 ${tournament.name} · ${label}`, settings: { ...tournament.settings, maxPlayers: players.length }, minPlayers: 2, players, isPrivate: false, passcode: null };
+        table.roomId = id;
+        players.forEach(p => io.to(p.id).emit('tournamentTable', { tournamentId: tournament.id, roomId: id, round: round.round, final: round.final }));
+        startLobbyGame(id);
+        rooms.get(id).tournament = { id: tournament.id, tableId: table.id };
+    });
+    emitTournament(tournament);
+    broadcastTournamentList();
+}
+
+// Feed a finished table back into the bracket and seat the next round once
+// the whole round is in
+function finishTournamentTable(room, placings) {
+    const tournament = tournaments.get(room.tournament.id);
+    if (!tournament) return;
+    // Seats follow rejoins, so the table knows each entrant's latest socket
+    room.players.forEach(p => {
+        const e = tournament.entrantByKey(p.persistentId);
+        if (e) e.socketId = p.id;
+    });
+    const byEntrant = placings.map(({ id, place }) => {
+        const seat = room.players.find(p => p.id === id);
+        const e    = seat && tournament.entrantByKey(seat.persistentId);
+        return { id: e ? e.id : null, place };
+    });
+    const { roundOver, finished } = tournament.recordTable(room.tournament.tableId, byEntrant);
+    if (finished) {
+        const winner = tournament.winner();
+        console.log(`[Tournament] ${tournament.name} won by ${winner.name}`);
+        const done = Array.from(tournaments.values()).filter(t => t.status === 'finished');
+        done.slice(0, Math.max(0, done.length - TOURNAMENT_KEEP_FINISHED)).forEach(t => tournaments.delete(t.id));
+    } else if (roundOver) {
+        tournament.nextRound();
+        tournament.breakTimer = setTimeout(() => startTournamentRound(tournament), tournament.breakMs);
+    }
+    emitTournament(tournament);
+    broadcastTournamentList();
 }
 
-function cleanupPlayerFromLobby(socketId, roomId) {
-    const lobby = lobbies[roomId];
-    if (!lobby || !lobby.players.some(p => p.id === socketId)) return;
-    lobby.players = lobby.players.filter(p => p.id !== socketId);
-    if (lobby.players.length === 0) {
-        delete lobbies[roomId];
-        const pm = lobbyPresenceManagers.get(roomId);
-        if (pm) { pm.destroy(); lobbyPresenceManagers.delete(roomId); }
-        console.log(`Lobby ${roomId} deleted (all players left)`);
+function leaveTournament(socketId, tournament) {
+    const socket = io.sockets.sockets.get(socketId);
+    if (socket) socket.leave(tournamentChannel(tournament.id));
+    const entrant = tournament.entrants.find(e => e.socketId === socketId);
+    if (!entrant || !tournament.unregister(entrant.key)) return;
+    if (!tournament.entrants.length) {
+        tournaments.delete(tournament.id);
+        console.log(`[Tournament] ${tournament.name} cancelled (everyone left)`);
     } else {
-        io.to(roomId).emit('lobbyUpdate', { roomId, players: lobby.players });
+        emitTournament(tournament);
     }
-    broadcastLobbyList();
-}
-
-function broadcastLobbyList() {
-    io.emit('lobbyList', Object.values(lobbies).map(l => ({
-        id: l.id, name: l.name, settings: l.settings,
-        players: l.players.length, minPlayers: l.minPlayers, isPrivate: l.isPrivate
-    })));
+    broadcastTournamentList();
 }
 
 /* -- SOCKET.IO ---------------------------------------- */
+// Guests connect without a token; a token that is sent must be valid, so a
+// client can never claim an account it hasn't logged in to.
+io.use((socket, next) => {
+    const token = socket.handshake.auth && socket.handshake.auth.token;
+    socket.data.username = null;
+    if (!token) return next();
+
+    const session = verifySessionToken(token);
+    if (!session) return next(new Error('Invalid session'));
+    socket.data.username = session.account.username;
+    next();
+});
+
 io.on('connection', socket => {
     console.log('Connected:', socket.id);
 
@@ -1215,35 +2117,162 @@ io.on('connection', socket => {
 
     socket.on('requestLobbies', () => broadcastLobbyList());
 
-    socket.on('createLobby', ({ lobbyName, playerName, settings, isPrivate, passcode, persistentId }) => {
+    // ── MATCHMAKING ────────────────────────────────────────────────────
+    socket.on('findMatch', ({ playerName, gameMode, tableSize, useRating, persistentId }) => {
+        if (Object.values(lobbies).some(l => l.players.some(p => p.id === socket.id))) {
+            socket.emit('error', 'Leave your lobby before looking for a match');
+            return;
+        }
+        // A seat in a running game, on this socket or (after a reconnect) this persistentId
+        const seated = p => p.id === socket.id || (!!persistentId && p.persistentId === persistentId);
+        if (Array.from(rooms.values()).some(r => r.gameStarted && r.players.some(seated))) {
+            socket.emit('error', 'Finish your game before looking for a match');
+            return;
+        }
+        const mode = GAME_MODES.includes(gameMode) ? gameMode : 'original';
+        const size = TABLE_SIZES.includes(Number(tableSize)) ? Number(tableSize) : TABLE_SIZES[0];
+        matchQueue.join({
+            id:           socket.id,
+            persistentId: persistentId || socket.id,
+            username:     socket.data.username,
+            name:         String(playerName || '').trim().slice(0, 20) || 'Player',
+            mode, size,
+            useRating:    !!useRating,
+            rating:       playerRating(socket.data.username, mode)
+        });
+        runMatchmaking();
+    });
+
+    socket.on('cancelMatch', () => {
+        matchQueue.leave(socket.id);
+        sendMatchmakingStatus(socket.id);
+        runMatchmaking();
+    });
+
+    // ── TOURNAMENTS ──────────────────────────────────────────────────
+    socket.on('listTournaments', () => broadcastTournamentList());
+
+    socket.on('createTournament', ({ name, format, tableSize, maxEntrants, gameMode, playerName, persistentId }) => {
+        const id         = `t${crypto.randomBytes(4).toString('hex')}`;
+        const mode       = GAME_MODES.includes(gameMode) ? gameMode : 'original';
+        const tournament = new Tournament({
+            id,
+            name:        String(name || '').trim().slice(0, 30) || 'Tournament',
+            format:      TOURNAMENT_FORMATS.includes(format) ? format : 'elimination',
+            tableSize:   TOURNAMENT_TABLE_SIZES.includes(Number(tableSize)) ? Number(tableSize) : TOURNAMENT_TABLE_SIZES[0],
+            maxEntrants: Math.min(MAX_ENTRANTS, Math.max(MIN_ENTRANTS, parseInt(maxEntrants, 10) || MAX_ENTRANTS)),
+            // Same fixed rules as matched tables: nobody at a table chose them
+            settings:    { ...MATCH_SETTINGS, gameMode: mode }
+        });
+        tournaments.set(id, tournament);
+        const { entrant } = tournament.register({
+            key: persistentId || socket.id, name: String(playerName || '').trim().slice(0, 20) || 'Player',
+            username: socket.data.username, rating: playerRating(socket.data.username, mode), socketId: socket.id
+        });
+        socket.join(tournamentChannel(id));
+        socket.emit('tournamentJoined', { tournament: tournament.summary(), entrantId: entrant.id });
+        console.log(`[Tournament] ${tournament.name} (${tournament.format}, tables of ${tournament.tableSize}) → ${id}`);
+        broadcastTournamentList();
+    });
+
+    // Registers while registration is open; afterwards an entrant coming back
+    // (same persistentId) picks up their seat, and anyone else just watches
+    socket.on('joinTournament', ({ tournamentId, playerName, persistentId }) => {
+        const tournament = tournaments.get(tournamentId);
+        if (!tournament) { socket.emit('error', 'Tournament not found'); return; }
+        const key     = persistentId || socket.id;
+        let   entrant = tournament.entrantByKey(key);
+        if (entrant) {
+            entrant.socketId = socket.id;
+        } else if (tournament.status === 'registering') {
+            const result = tournament.register({
+                key, name: String(playerName || '').trim().slice(0, 20) || 'Player',
+                username: socket.data.username, rating: playerRating(socket.data.username, tournament.settings.gameMode), socketId: socket.id
+            });
+            if (!result.success) { socket.emit('error', result.error); return; }
+            entrant = result.entrant;
+        }
+        socket.join(tournamentChannel(tournamentId));
+        socket.emit('tournamentJoined', { tournament: tournament.summary(), entrantId: entrant ? entrant.id : null });
+        emitTournament(tournament);
+        broadcastTournamentList();
+    });
+
+    socket.on('leaveTournament', ({ tournamentId }) => {
+        const tournament = tournaments.get(tournamentId);
+        if (tournament) leaveTournament(socket.id, tournament);
+    });
+
+    socket.on('startTournament', ({ tournamentId }) => {
+        const tournament = tournaments.get(tournamentId);
+        if (!tournament) return;
+        const host = tournament.entrantByKey(tournament.hostKey);
+        if (!host || host.socketId !== socket.id)         { socket.emit('error', 'Only the host can start the tournament'); return; }
+        if (tournament.status !== 'registering')         return;
+        if (tournament.entrants.length < MIN_ENTRANTS)   { socket.emit('error', `A tournament needs at least ${MIN_ENTRANTS} players`); return; }
+        tournament.start();
+        console.log(`[Tournament] ${tournament.name} started with ${tournament.entrants.length} players`);
+        startTournamentRound(tournament);
+    });
+
+    socket.on('createLobby', ({ lobbyName, playerName, settings = {}, isPrivate, unlisted, passcode, persistentId }) => {
+        if (matchQueue.leave(socket.id)) runMatchmaking();
         const id = `lobby_${Date.now()}`;
+        normalizeLobbySettings(settings);
+        const teamError = teamSettingsProblem(settings);
+        if (teamError) { socket.emit('error', teamError); return; }
+        const deckError = deckProblem(settings);
+        if (deckError) { socket.emit('error', deckError); return; }
         const pm = new PlayerPresenceManager(2, { heartbeatInterval: 5000, reconnectTimeout: 60000 });
         lobbyPresenceManagers.set(id, pm);
         pm.addPlayer(socket.id, playerName, PlayerState.LOBBY);
         lobbies[id] = {
             id, name: lobbyName, settings, minPlayers: 2,
-            players:   [{ id: socket.id, persistentId: persistentId || socket.id, name: playerName, ready: false }],
-            isPrivate: !!isPrivate,
-            passcode:  isPrivate ? (passcode || '') : null
+            players:   [{ id: socket.id, persistentId: persistentId || socket.id, username: socket.data.username, name: playerName, ready: false, team: 0 }],
+            hostId:     socket.id,
+            isPrivate:  !!isPrivate,
+            unlisted:   !!unlisted,
+            passcode:   isPrivate ? (passcode || '') : null,
+            inviteCode: newInviteCode()
         };
         socket.join(id);
-        socket.emit('lobbyCreated', { roomId: id, lobbyName, settings, players: lobbies[id].players, minPlayers: 2, isPrivate: lobbies[id].isPrivate });
+        socket.emit('lobbyCreated', {
+            roomId: id, lobbyName, settings, players: lobbies[id].players, minPlayers: 2,
+            isPrivate: lobbies[id].isPrivate, unlisted: lobbies[id].unlisted, hostId: socket.id, inviteCode: lobbies[id].inviteCode
+        });
         broadcastLobbyList();
     });
 
-    socket.on('joinLobby', ({ lobbyId, playerName, passcode, persistentId }) => {
-        const lobby = lobbies[lobbyId];
-        if (!lobby) return;
+    // Seat this socket in a lobby it was allowed into (passcode or invite checked by the caller)
+    function seatInLobby(lobby, playerName, persistentId) {
         if (lobby.players.some(p => p.id === socket.id))       { socket.emit('error', 'You are already in this lobby'); return; }
         if (lobby.players.length >= lobby.settings.maxPlayers) { socket.emit('error', 'Lobby is full'); return; }
-        if (lobby.isPrivate && passcode !== lobby.passcode)     { socket.emit('error', '🔒 Wrong passcode. Try again.'); return; }
-        const pm = lobbyPresenceManagers.get(lobbyId);
+        if (matchQueue.leave(socket.id)) runMatchmaking();
+        const pm = lobbyPresenceManagers.get(lobby.id);
         if (pm) pm.addPlayer(socket.id, playerName, PlayerState.LOBBY);
-        lobby.players.push({ id: socket.id, persistentId: persistentId || socket.id, name: playerName, ready: false });
-        socket.join(lobbyId);
-        socket.emit('lobbyJoined', { roomId: lobbyId, lobbyName: lobby.name, settings: lobby.settings, players: lobby.players, minPlayers: lobby.minPlayers || 2, isPrivate: lobby.isPrivate });
-        io.to(lobbyId).emit('lobbyUpdate', { roomId: lobbyId, players: lobby.players });
+        lobby.players.push({ id: socket.id, persistentId: persistentId || socket.id, username: socket.data.username, name: playerName, ready: false, team: openTeam(lobby) });
+        socket.join(lobby.id);
+        socket.emit('lobbyJoined', {
+            roomId: lobby.id, lobbyName: lobby.name, settings: lobby.settings, players: lobby.players, minPlayers: lobby.minPlayers || 2,
+            isPrivate: lobby.isPrivate, unlisted: !!lobby.unlisted, hostId: lobbyHost(lobby)?.id || null, inviteCode: lobby.inviteCode || null
+        });
+        sendChatHistory(socket.id, lobby.id, persistentId || socket.id);
+        emitLobbyUpdate(lobby);
         broadcastLobbyList();
+    }
+
+    socket.on('joinLobby', ({ lobbyId, playerName, passcode, persistentId }) => {
+        const lobby = lobbies[lobbyId];
+        if (!lobby) return;
+        if (lobby.isPrivate && passcode !== lobby.passcode) { socket.emit('error', '🔒 Wrong passcode. Try again.'); return; }
+        seatInLobby(lobby, playerName, persistentId);
+    });
+
+    // An invite code stands in for the lobby ID and the passcode
+    socket.on('joinByCode', ({ code, playerName, persistentId }) => {
+        const lobby = findLobbyByInvite(code);
+        if (!lobby) { socket.emit('error', '🔗 This invite link has expired, or the game has already started.'); return; }
+        seatInLobby(lobby, playerName, persistentId);
     });
 
     socket.on('playerReady', ({ roomId, ready }) => {
@@ -1253,7 +2282,7 @@ io.on('connection', socket => {
         if (player) player.ready = ready;
         const pm = lobbyPresenceManagers.get(roomId);
         if (pm) pm.setPlayerReady(socket.id, ready);
-        io.to(roomId).emit('lobbyUpdate', { roomId, players: lobby.players });
+        emitLobbyUpdate(lobby);
 
         const minPlayers = lobby.minPlayers || 2;
         if (lobby.players.length < minPlayers) {
@@ -1262,346 +2291,192 @@ io.on('connection', socket => {
             return;
         }
         if (!lobby.players.every(p => p.ready)) return;
+        const problem = teamProblem(lobby);
+        if (problem) { io.to(roomId).emit('error', problem); return; }
+        if (!lobbyPlayersPresent(lobby)) return;
+        startLobbyGame(roomId);
+    });
 
-        const connected = lobby.players.filter(p => !!io.sockets.sockets.get(p.id));
-        if (connected.length !== lobby.players.length) {
-            lobby.players = connected;
-            io.to(roomId).emit('lobbyUpdate', { roomId, players: lobby.players });
-            io.to(roomId).emit('error', 'Some players disconnected before game start. Please ready up again.');
+    // ── HOST CONTROLS ──────────────────────────────────────────────────
+    // Host removes a seat: a human is sent back to the menu, a bot just goes
+    socket.on('kickPlayer', ({ roomId, playerId }) => {
+        const lobby = lobbies[roomId];
+        if (!lobby) return;
+        if (lobbyHost(lobby)?.id !== socket.id) { socket.emit('error', 'Only the host can remove players'); return; }
+        const target = lobby.players.find(p => p.id === playerId);
+        if (!target || target.id === socket.id) return;
+        if (target.bot) {
+            lobby.players = lobby.players.filter(p => p.id !== playerId);
+            emitLobbyUpdate(lobby);
+            broadcastLobbyList();
             return;
         }
-        if (pm) {
-            const check = pm.finalPresenceCheck();
-            if (!check.success) {
-                const names = check.missingPlayers.map(p => p.name).join(', ');
-                io.to(roomId).emit('error', `Cannot start: Players not responding: ${names}`);
-                return;
-            }
-        }
-
-        console.log(`[Server] Starting game in lobby ${roomId} with ${lobby.players.length} players`);
-        const room = new GameRoom(roomId, lobby.players, lobby.settings);
-        rooms.set(roomId, room);
-        room.createDeck();
-        room.dealCards(room.settings.startingCards || 7);
-        room.gameStarted = true;
+        io.to(playerId).emit('kicked', { roomId, message: `The host removed you from ${lobby.name}.` });
+        const kicked = io.sockets.sockets.get(playerId);
+        if (kicked) kicked.leave(roomId);
+        cleanupPlayerFromLobby(playerId, roomId);
+        postSystemMessage(roomId, `🚪 ${target.name} was removed by the host`);
+    });
 
-        // Register each player's persistentId in the rejoin registry
-        room.players.forEach(p => {
-            registerRejoin(p.persistentId, roomId, p.name);
-        });
+    socket.on('transferHost', ({ roomId, playerId }) => {
+        const lobby = lobbies[roomId];
+        if (!lobby) return;
+        if (lobbyHost(lobby)?.id !== socket.id) { socket.emit('error', 'Only the host can hand over the lobby'); return; }
+        const target = lobby.players.find(p => p.id === playerId && !p.bot);
+        if (!target || target.id === socket.id) return;
+        lobby.hostId = target.id;
+        postSystemMessage(roomId, `👑 ${target.name} is now the host`);
+        emitLobbyUpdate(lobby);
+    });
 
-        if (pm) {
-            lobby.players.forEach(p => pm.updatePlayerState(p.id, PlayerState.IN_GAME));
-            pm.startHeartbeat();
-            pm.on('player-timeout', timedOutPlayer => {
-                const r = rooms.get(roomId);
-                if (!r) return;
-                const active = r.players.filter(p => {
-                    const ps = pm.getPlayer(p.id);
-                    return ps && ps.state !== PlayerState.TIMEOUT && ps.state !== PlayerState.DISCONNECTED;
-                });
-                if (active.length < minPlayers) {
-                    io.to(roomId).emit('gameEnded', { reason: 'Not enough players remaining', message: `${timedOutPlayer.name} disconnected and did not reconnect in time.` });
-                    rooms.delete(roomId); pm.destroy(); lobbyPresenceManagers.delete(roomId);
-                } else {
-                    io.to(roomId).emit('playerTimeout', { playerId: timedOutPlayer.id, playerName: timedOutPlayer.name, message: `${timedOutPlayer.name} has been removed from the game.` });
-                }
-            });
+    // New rules mean a new agreement: every human has to ready up again
+    socket.on('updateLobbySettings', ({ roomId, lobbyName, settings }) => {
+        const lobby = lobbies[roomId];
+        if (!lobby || !settings) return;
+        if (lobbyHost(lobby)?.id !== socket.id) { socket.emit('error', 'Only the host can change the settings'); return; }
+        const next = normalizeLobbySettings({ ...lobby.settings, ...settings });
+        if (!(next.maxPlayers >= lobby.players.length)) {
+            socket.emit('error', `There are already ${lobby.players.length} players in the lobby`);
+            return;
         }
-
-        room.players.forEach(p => io.to(p.id).emit('gameStarted', room.getGameState(p.id)));
-        delete lobbies[roomId];
+        const teamError = teamSettingsProblem(next);
+        if (teamError) { socket.emit('error', teamError); return; }
+        const deckError = deckProblem(next);
+        if (deckError) { socket.emit('error', deckError); return; }
+        lobby.settings = next;
+        if (lobbyName && String(lobbyName).trim()) lobby.name = String(lobbyName).trim().slice(0, 30);
+        const pm = lobbyPresenceManagers.get(roomId);
+        lobby.players.filter(p => !p.bot).forEach(p => {
+            p.ready = false;
+            if (pm) pm.setPlayerReady(p.id, false);
+        });
+        postSystemMessage(roomId, '⚙️ The host changed the lobby settings');
+        emitLobbyUpdate(lobby, { settingsChanged: true });
         broadcastLobbyList();
     });
 
-   socket.on('playCard', ({ roomId, cardIndex, chosenColor, isJumpIn }) => {
-    const room = rooms.get(roomId);
-    if (!room || !room.gameStarted) {
-        console.warn(`[PlayCard] Room ${roomId} not found or not started`);
-        return;
-    }
-    
-    const player = room.players.find(p => p.id === socket.id);
-    const isStackJumpIn = room.stackedDrawCount > 0 && isJumpIn;
-    console.log(`[PlayCard] ${player?.name} playing card ${cardIndex} (jump-in: ${!!isJumpIn}, stack: ${room.stackedDrawCount})`);
-    
-    const result = room.playCard(socket.id, cardIndex, chosenColor, isJumpIn || false);
-    
-    if (!result.success) {
-        console.warn(`[PlayCard] Failed: ${result.error}`, result.debug);
-        socket.emit('error', result.error);
-        return;
-    }
-    
-    console.log(`[PlayCard] Success: ${player?.name} played ${room.discardPile.at(-1)?.value}${isStackJumpIn ? ' (STACK JUMP-IN!)' : ''}`);
-
-    if (result.needSwapTarget) {
-        socket.emit('chooseSwapTarget', { opponents: room.players.filter(p => p.id !== socket.id).map(p => ({ id: p.id, name: p.name })) });
-        broadcastGameState(room);
-        return;
-    }
-
-    if (result.needPeekTarget) {
-        socket.emit('choosePeekTarget', { opponents: room.players.filter(p => p.id !== socket.id && !(room.glitchSpectators||[]).includes(p.id)).map(p => ({ id: p.id, name: p.name })) });
-        broadcastGameState(room);
-        return;
-    }
-
-    if (result.drawAnimation) io.to(roomId).emit('drawAnimation', result.drawAnimation);
-
-    if (room._discardAllRemoved !== undefined && room._discardAllRemoved !== null) {
-        const playerName = room.players.find(p => p.id === socket.id)?.name;
-        io.to(roomId).emit('discardAllAnnounce', { playerName, color: room.currentColor, removed: room._discardAllRemoved });
-        room._discardAllRemoved = null;
-    }
-
-    if (room._glitchPopupAdTargetId) {
-        io.to(room._glitchPopupAdTargetId).emit('glitchPopupAd', { count: room._glitchPopupAdCount });
-        io.to(roomId).emit('glitchPopupAdAnnounce', { targetName: room.players.find(p=>p.id===room._glitchPopupAdTargetId)?.name, count: room._glitchPopupAdCount });
-        room._glitchPopupAdTargetId = null; room._glitchPopupAdCount = null;
-    }
-    if (room._glitchRandDrawCount) {
-        io.to(roomId).emit('glitchRandDraw', { count: room._glitchRandDrawCount, victimId: room.players.find(p=>p.id!==socket.id)?.id });
-        room._glitchRandDrawCount = null;
-    }
-    if (room._glitchScrambleTargetId) {
-        io.to(room._glitchScrambleTargetId).emit('glitchScramble', { duration: 90000 });
-        io.to(roomId).emit('glitchScrambleAnnounce', { targetId: room._glitchScrambleTargetId, targetName: room.players.find(p=>p.id===room._glitchScrambleTargetId)?.name });
-        room._glitchScrambleTargetId = null;
-    }
-    if (room._glitchedOutTargetId) {
-        io.to(room._glitchedOutTargetId).emit('glitchedOut');
-        io.to(roomId).emit('glitchedOutAnnounce', { targetId: room._glitchedOutTargetId, targetName: room.players.find(p=>p.id===room._glitchedOutTargetId)?.name });
-        room._glitchedOutTargetId = null;
-        const aliveAfterGO = room.activePlayers();
-        if (aliveAfterGO.length <= 1) {
-            const winnerPlayer = aliveAfterGO[0] || room.players[0];
-            const scores = room.players.map(p => {
-                const score = p.hand.reduce((sum, c) => c.type==='wild' ? sum-1 : c.type==='action' ? sum-2 : sum-3, 0);
-                return { name: p.name, id: p.id, score, hand: p.hand };
-            });
-            io.to(roomId).emit('gameOver', { winner: winnerPlayer.name, winnerId: winnerPlayer.id, scores, reason: 'last-standing' });
-            room.players.forEach(p => clearRejoin(p.persistentId));
-            rematchQueues.set(roomId, { players: room.players.map(p=>({id:p.id,name:p.name})), settings: room.settings, votes: new Set(), total: room.players.length });
-            setTimeout(() => rematchQueues.delete(roomId), 60000);
-            rooms.delete(roomId);
-            return;
-        }
-    }
+    // Old links stop working at once, e.g. after one was posted somewhere public
+    socket.on('regenerateInviteCode', ({ roomId }) => {
+        const lobby = lobbies[roomId];
+        if (!lobby) return;
+        if (lobbyHost(lobby)?.id !== socket.id) { socket.emit('error', 'Only the host can change the invite link'); return; }
+        lobby.inviteCode = newInviteCode();
+        postSystemMessage(roomId, '🔗 The host made a new invite link; old links no longer work');
+        emitLobbyUpdate(lobby);
+    });
 
-    // ── PAY BACK: broadcast bank action result ────────────────────
-    if (room._bankActionUsed) {
-        io.to(roomId).emit('bankActionUsed', {
-            playerName: player?.name,
-            playerId:   socket.id,
-            action:     room._bankActionUsed.action,
-            cost:       room._bankActionUsed.cost,
-            bankPoints: room.bankPoints,
-            bankShields: room.bankShields || {}
-        });
-        room._bankActionUsed = null;
-    }
-    if (room._bankActionFailed) {
-        socket.emit('bankActionFailed', room._bankActionFailed);
-        room._bankActionFailed = null;
-    }
-    if (result.newlyKnocked && result.newlyKnocked.length > 0) {
-        result.newlyKnocked.forEach(p => io.to(roomId).emit('playerKnockedOut', { playerId: p.id, playerName: p.name }));
-        const aliveAfterKnock = room.activePlayers();
-        if (aliveAfterKnock.length <= 1) {
-            const winnerPlayer = aliveAfterKnock[0] || room.players[0];
-            const scores = room.players.map(p => {
-                const score = p.hand.reduce((sum, c) => c.type==='wild' ? sum-1 : c.type==='action' ? sum-2 : sum-3, 0);
-                return { name: p.name, id: p.id, score, hand: p.hand };
-            });
-            io.to(roomId).emit('gameOver', { winner: winnerPlayer.name, winnerId: winnerPlayer.id, scores, reason: 'last-standing' });
-            room.players.forEach(p => clearRejoin(p.persistentId));
-            rematchQueues.set(roomId, { players: room.players.map(p=>({id:p.id,name:p.name})), settings: room.settings, votes: new Set(), total: room.players.length });
-            setTimeout(() => rematchQueues.delete(roomId), 60000);
-            rooms.delete(roomId);
+    // Start with whoever is seated, ready or not
+    socket.on('startNow', ({ roomId }) => {
+        const lobby = lobbies[roomId];
+        if (!lobby) return;
+        if (lobbyHost(lobby)?.id !== socket.id) { socket.emit('error', 'Only the host can start the game'); return; }
+        const minPlayers = lobby.minPlayers || 2;
+        if (lobby.players.length < minPlayers) {
+            socket.emit('error', `Need at least ${minPlayers} players to start (currently ${lobby.players.length})`);
             return;
         }
-    }
-    if (result.swapHappened) {
-        io.to(roomId).emit('swapHappened', result.swapHappened);
-        if (result.swapHappened.unoTransfer) io.to(roomId).emit('unoTransfer', { playerName: result.swapHappened.unoTransfer });
-    }
-
-    broadcastGameState(room);
+        const problem = teamProblem(lobby);
+        if (problem) { socket.emit('error', problem); return; }
+        if (!lobbyPlayersPresent(lobby)) return;
+        lobby.players.forEach(p => { p.ready = true; });
+        startLobbyGame(roomId);
+    });
 
-    if (result.winner !== null) {
-        const scores = room.players.map(p => {
-            if (p.hand.length === 0) return { name: p.name, id: p.id, score: 0, hand: [] };
-            const score = p.hand.reduce((sum, card) => {
-                if (card.type === 'wild')   return sum - 1;
-                if (card.type === 'action') return sum - 2;
-                return sum - 3;
-            }, 0);
-            return { name: p.name, id: p.id, score, hand: p.hand };
-        });
-        const sorted = [...scores].sort((a, b) => b.score - a.score);
-        io.to(roomId).emit('gameOver', { winner: room.players[result.winner].name, winnerId: room.players[result.winner].id, scores: sorted });
-        room.players.forEach(p => clearRejoin(p.persistentId));
-        rematchQueues.set(roomId, { players: room.players.map(p => ({ id: p.id, name: p.name })), settings: room.settings, votes: new Set(), total: room.players.length });
-        setTimeout(() => rematchQueues.delete(roomId), 60000);
-        rooms.delete(roomId);
-    }
-});
+    // Players move themselves to the other team; the host can move anyone, bots included
+    socket.on('chooseTeam', ({ roomId, playerId, team }) => {
+        const lobby = lobbies[roomId];
+        if (!lobby || ![0, 1].includes(team)) return;
+        const target = lobby.players.find(p => p.id === (playerId || socket.id));
+        if (!target) return;
+        if (target.id !== socket.id && lobbyHost(lobby)?.id !== socket.id) { socket.emit('error', 'Only the host can move other players'); return; }
+        target.team = team;
+        emitLobbyUpdate(lobby);
+    });
 
+    // Host fills an empty seat with a server-played bot (always ready)
+    socket.on('addBot', ({ roomId, difficulty }) => {
+        const lobby = lobbies[roomId];
+        if (!lobby) return;
+        if (lobbyHost(lobby)?.id !== socket.id)                { socket.emit('error', 'Only the host can add bots'); return; }
+        if (lobby.players.length >= lobby.settings.maxPlayers) { socket.emit('error', 'Lobby is full'); return; }
+        const level = bots.BOT_DIFFICULTIES.includes(difficulty) ? difficulty : 'medium';
+        const id    = `bot_${crypto.randomBytes(4).toString('hex')}`;
+        lobby.players.push({ id, persistentId: id, username: null, name: bots.botName(lobby.players), ready: true, bot: level, team: openTeam(lobby) });
+        emitLobbyUpdate(lobby);
+        broadcastLobbyList();
+    });
 
+    socket.on('removeBot', ({ roomId, botId }) => {
+        const lobby = lobbies[roomId];
+        if (!lobby) return;
+        if (lobbyHost(lobby)?.id !== socket.id) { socket.emit('error', 'Only the host can remove bots'); return; }
+        if (!lobby.players.some(p => p.id === botId && p.bot)) return;
+        lobby.players = lobby.players.filter(p => p.id !== botId);
+        emitLobbyUpdate(lobby);
+        broadcastLobbyList();
+    });
 
-    // ── PAY BACK: Buy a bank card from the store → adds to hand ─
-   socket.on('buyBankAction', ({ roomId, action }) => {
+    socket.on('playCard', ({ roomId, cardIndex, chosenColor, isJumpIn }) => {
         const room = rooms.get(roomId);
-        if (!room || !room.gameStarted || !room.isPayBack()) return;
-
-        const player = room.players.find(p => p.id === socket.id);
-        if (!player) return;
-
-        const COSTS = { BankSkip:2, BankDraw2:3, BankDraw4:5, BankReverse:2, BankShield:4, BankStrike:6 };
-        const cost = COSTS[action];
-        if (!cost) { socket.emit('error', 'Unknown bank action'); return; }
-
-        const pts = room.bankPoints[player.id] || 0;
-        if (pts < cost) {
-            socket.emit('bankActionFailed', { reason:'insufficient_points', cost, have: pts });
-            return;
-        }
-
-        // Enforce once-per-turn rule
-        if (room.bankBoughtThisTurn.has(player.id)) {
-            socket.emit('bankActionFailed', { reason:'already_bought', cost, have: pts });
+        if (!room || !room.gameStarted) {
+            console.warn(`[PlayCard] Room ${roomId} not found or not started`);
             return;
         }
+        handlePlayCard(room, socket.id, { cardIndex, chosenColor, isJumpIn });
+    });
 
-        // Mark this player as having bought this turn
-        room.bankBoughtThisTurn.add(player.id);
-
-        // Deduct points and add the card to the player's hand
-        room.bankPoints[player.id] -= cost;
-        const bankCard = { color: 'wild', value: action, type: 'wild', bank: true, cost };
-        player.hand.push(bankCard);
-
-        // Shield also activates an indicator immediately (separate from playing the card)
-        if (action === 'BankShield') {
-            if (!room.bankShields) room.bankShields = {};
-            // Just flag it — the card still goes to hand; playing it later activates the real shield
-        }
-
-        // Tell everyone a card was purchased
-        io.to(roomId).emit('bankActionUsed', {
-            playerName:  player.name,
-            playerId:    player.id,
-            action,
-            cost,
-            bankPoints:  room.bankPoints,
-            bankShields: room.bankShields || {}
-        });
-
-        // Refresh game state for all players so they see the hand count change
-        broadcastGameState(room);
+    socket.on('buyBankAction', ({ roomId, action }) => {
+        const room = rooms.get(roomId);
+        if (!room || !room.gameStarted || !room.isPayBack()) return;
+        handleBuyBankAction(room, socket.id, action);
     });
 
-   socket.on('drawCard', ({ roomId }) => {
+    socket.on('drawCard', ({ roomId }) => {
         const room = rooms.get(roomId);
         if (!room || !room.gameStarted) return;
-        const result = room.drawCard(socket.id);
-        if (!result.success) { socket.emit('error', result.error); return; }
-
-        if (room._glitchedOutDrawnBy) {
-            const victim = room.players.find(p => p.id === room._glitchedOutDrawnBy);
-            room._glitchedOutDrawnBy = null;
-            if (victim) {
-                if (!(room.glitchSpectators||[]).includes(victim.id)) {
-                    room.glitchSpectators = [...(room.glitchSpectators||[]), victim.id];
-                    victim.hand = [];
-                }
-                io.to(victim.id).emit('glitchedOutDrawn');
-                io.to(roomId).emit('glitchedOutAnnounce', { targetId: victim.id, targetName: victim.name, drawn: true });
-                const alive = room.players.filter(p => !(room.glitchSpectators||[]).includes(p.id));
-                if (alive.length === 1) {
-                    const scores = room.players.map(p => {
-                        const score = p.hand.reduce((sum, c) => { if (c.type==='wild') return sum-1; if (c.type==='action') return sum-2; return sum-3; }, 0);
-                        return { name: p.name, id: p.id, score, hand: p.hand };
-                    });
-                    io.to(roomId).emit('gameOver', { winner: alive[0].name, winnerId: alive[0].id, scores, reason: 'glitched-out' });
-                    room.players.forEach(p => clearRejoin(p.persistentId));
-                    rematchQueues.set(roomId, { players: room.players.map(p=>({id:p.id,name:p.name})), settings: room.settings, votes: new Set(), total: room.players.length });
-                    setTimeout(() => rematchQueues.delete(roomId), 60000);
-                    rooms.delete(roomId);
-                    return;
-                }
-            }
-        }
-
-        if (result.drewStacked) {
-            const p = room.players.find(p => p.id === socket.id);
-            io.to(roomId).emit('drawAnimation', { victimId: socket.id, victimName: p?.name, playerId: null, count: result.stackCount, cardValue: 'stack' });
-        }
-        if (room.isMercy && room.isMercy()) {
-            const knocked = room.checkMercyKnockouts();
-            knocked.forEach(p => io.to(roomId).emit('playerKnockedOut', { playerId: p.id, playerName: p.name }));
-            const active = room.activePlayers();
-            if (active.length === 1) {
-                const scores = room.players.map(p => {
-                    const score = p.hand.reduce((sum, card) => { if (card.type==='wild') return sum-1; if (card.type==='action') return sum-2; return sum-3; }, 0);
-                    return { name: p.name, id: p.id, score, hand: p.hand };
-                });
-                io.to(roomId).emit('gameOver', { winner: active[0].name, winnerId: active[0].id, scores, reason: 'last-standing' });
-                room.players.forEach(p => clearRejoin(p.persistentId));
-                rematchQueues.set(roomId, { players: room.players.map(p=>({id:p.id,name:p.name})), settings: room.settings, votes: new Set(), total: room.players.length });
-                setTimeout(() => rematchQueues.delete(roomId), 60000);
-                rooms.delete(roomId);
-                return;
-            }
-        }
-
-        room.players.forEach(p => {
-            const state = room.getGameState(p.id);
-            if (result.cardsDrawn) state.lastDrawInfo = { cardsDrawn: result.cardsDrawn, playerId: socket.id };
-            io.to(p.id).emit('gameState', state);
-        });
+        handleDrawCard(room, socket.id);
     });
 
     socket.on('chooseSwapTarget', ({ roomId, targetId }) => {
         const room = rooms.get(roomId);
         if (!room || !room.gameStarted) return;
-        const result = room.chooseSwapTarget(socket.id, targetId);
-        if (!result.success) { socket.emit('error', result.error); return; }
-        io.to(roomId).emit('swapHappened', { swapperName: result.swapperName, targetName: result.targetName, type: '7' });
-        broadcastGameState(room);
+        handleSwapTarget(room, socket.id, targetId);
     });
 
     socket.on('choosePeekTarget', ({ roomId, targetId }) => {
         const room = rooms.get(roomId);
         if (!room || !room.gameStarted) return;
-        const result = room.choosePeekTarget(socket.id, targetId);
-        if (!result.success) { socket.emit('error', result.error); return; }
-        socket.emit('glitchPeek', { hand: result.hand, playerName: result.playerName });
-        broadcastGameState(room);
+        handlePeekTarget(room, socket.id, targetId);
     });
 
     socket.on('callUno', ({ roomId }) => {
         const room = rooms.get(roomId);
         if (!room || !room.gameStarted) return;
-        const result = room.callUno(socket.id);
-        if (result.success) {
-            io.to(roomId).emit('playerCalledUno', { playerName: result.playerName, message: `${result.playerName} called O,No!` });
-            broadcastGameState(room);
-        }
+        handleCallUno(room, socket.id);
     });
 
     socket.on('catchUno', ({ roomId, caughtPlayerId }) => {
         const room = rooms.get(roomId);
         if (!room || !room.gameStarted) return;
-        const result = room.catchUnoViolation(socket.id, caughtPlayerId);
-        if (result.success && result.penaltyApplied) {
-            io.to(roomId).emit('unoPenalty', { catcherName: result.catcherName, caughtName: result.caughtName, message: `${result.catcherName} caught ${result.caughtName}! ${result.caughtName} draws 2 penalty cards!` });
-            broadcastGameState(room);
-        } else if (!result.success) {
-            socket.emit('error', result.error);
-        }
+        handleCatchUno(room, socket.id, caughtPlayerId);
+    });
+
+    socket.on('challengeWild', ({ roomId }) => {
+        const room = rooms.get(roomId);
+        if (!room || !room.gameStarted) return;
+        handleChallengeWild(room, socket.id);
+    });
+
+    socket.on('offerTrade', ({ roomId, cardIndex, teammateId }) => {
+        const room = rooms.get(roomId);
+        if (!room || !room.gameStarted) return;
+        handleTradeOffer(room, socket.id, cardIndex, teammateId);
+    });
+
+    socket.on('answerTrade', ({ roomId, cardIndex }) => {
+        const room = rooms.get(roomId);
+        if (!room || !room.gameStarted) return;
+        handleTradeAnswer(room, socket.id, cardIndex);
     });
 
     socket.on('adSkipTurn', ({ roomId }) => {
@@ -1610,12 +2485,77 @@ io.on('connection', socket => {
         const pi = room.players.findIndex(p => p.id === socket.id);
         if (pi === -1 || pi !== room.currentPlayer) return;
         room.advanceTurn();
+        room.logAction('adSkip', socket.id);
         io.to(roomId).emit('adTurnSkipped', { playerName: room.players[pi].name });
         broadcastGameState(room);
     });
 
     socket.on('leaveLobby', ({ roomId }) => cleanupPlayerFromLobby(socket.id, roomId));
 
+    // ── CHAT ───────────────────────────────────────────────────────────
+    socket.on('sendChat', ({ roomId, text }) => {
+        const seat = chatSeats(roomId).find(p => p.id === socket.id);
+        if (!seat) return;
+        const clean = cleanMessage(text);
+        if (!clean) return;
+        if (!chatLimiter.allow(socket.id)) {
+            socket.emit('chatRejected', { reason: 'You are sending messages too fast. Slow down!' });
+            return;
+        }
+        deliverChat(roomId, { text: chatFilter(clean), at: Date.now(), fromKey: seat.persistentId, fromName: seat.name });
+    });
+
+    // Hide (or show again) one player's messages, for this player only
+    socket.on('muteChat', ({ roomId, playerId, muted }) => {
+        const seats  = chatSeats(roomId);
+        const seat   = seats.find(p => p.id === socket.id);
+        const target = seats.find(p => p.id === playerId);
+        if (!seat || !target || target === seat) return;
+        chatLog(roomId).mute(seat.persistentId, target.persistentId, muted !== false);
+        socket.emit('chatMuted', { roomId, playerId, muted: muted !== false });
+    });
+
+    // Quick reaction shown over the sender's seat, for players and spectators
+    socket.on('sendEmote', ({ roomId, emote }) => {
+        const room   = rooms.get(roomId);
+        const player = room && room.gameStarted && room.players.find(p => p.id === socket.id);
+        if (!player || !EMOTES.includes(emote)) return;
+        if (!emoteLimiter.allow(socket.id)) {
+            socket.emit('emoteRejected', { reason: 'Wait a moment before sending another emote.' });
+            return;
+        }
+        const payload = { playerId: socket.id, playerName: player.name, emote };
+        io.to(roomId).emit('emote', payload);
+        sendToSpectators(room, 'emote', payload);
+    });
+
+    // ── SPECTATE ───────────────────────────────────────────────────────
+    socket.on('spectateGame', ({ roomId, name }) => {
+        const room = rooms.get(roomId);
+        if (!room || !room.gameStarted)                    { socket.emit('error', 'Game not found or already ended'); return; }
+        if (room.isPrivate)                                { socket.emit('error', '🔒 Private games cannot be watched'); return; }
+        if (room.players.some(p => p.id === socket.id))    { socket.emit('error', 'You are playing in this game'); return; }
+        room.addSpectator(socket.id, String(name || '').trim().slice(0, 20) || 'Spectator');
+        socket.join(spectatorChannel(roomId));
+        socket.emit('spectateStarted', {
+            roomId,
+            lobbyName: room.lobbyName,
+            delay:     room.settings.spectatorDelay || 0,
+            state:     currentSpectatorState(room)
+        });
+        broadcastGameState(room);
+        broadcastLobbyList();
+    });
+
+    socket.on('leaveSpectate', ({ roomId }) => {
+        const room = rooms.get(roomId);
+        socket.leave(spectatorChannel(roomId));
+        if (room && room.removeSpectator(socket.id)) {
+            broadcastGameState(room);
+            broadcastLobbyList();
+        }
+    });
+
     // ── REJOIN GAME (by persistentId) ──────────────────────────────────
     socket.on('rejoinGame', ({ roomId, persistentId }) => {
         if (!persistentId) { socket.emit('rejoinFailed', { reason: 'No persistent ID provided.' }); return; }
@@ -1634,7 +2574,12 @@ io.on('connection', socket => {
         const rejoinedName   = room.players[pi].name;
 
         // 1. Update the socket ID BEFORE joining the room so getGameState uses the right ID
-        room.players[pi].id = socket.id;
+        //    and take the seat back from the takeover bot, if one was playing it
+        //    (renamePlayer moves everything the game keeps by socket ID with it)
+        const reclaimed = !!room.players[pi].autoPlaying;
+        room.renamePlayer(oldId, socket.id);
+        room.players[pi].autoPlaying = false;
+        if (reclaimed) scheduleBotTurn(room);
 
         // 2. Join the socket room so this socket can receive broadcasts
         socket.join(roomId);
@@ -1645,9 +2590,9 @@ io.on('connection', socket => {
         //    fires 'player-timeout' it ends the game for everyone.
         const pm = lobbyPresenceManagers.get(roomId);
         if (pm) {
-            // Clear the old (dead) socket entry so its countdown timer is cancelled
+            // Drop the old (dead) socket entry so its countdown timer is cancelled
             // then re-register under the new socket ID as fully active
-            try { pm.onPlayerDisconnect(oldId); } catch(e) {}
+            pm.removePlayer(oldId);
             pm.addPlayer(socket.id, rejoinedName, PlayerState.IN_GAME);
         }
 
@@ -1657,6 +2602,7 @@ io.on('connection', socket => {
 
         // 5. Send the rejoined player their own game state FIRST (restores their hand, turn, etc.)
         socket.emit('gameRejoined', room.getGameState(socket.id));
+        sendChatHistory(socket.id, roomId, persistentId);
 
         // 6. Broadcast a fresh gameState to ALL OTHER players so they see the updated
         //    player list (new socket ID, correct card counts, correct current turn).
@@ -1666,10 +2612,11 @@ io.on('connection', socket => {
                 io.to(p.id).emit('gameState', room.getGameState(p.id));
             }
         });
+        updateSpectators(room);
 
         // 7. Finally notify everyone (AFTER the rejoined player has their state) that
         //    the player reconnected — this is just an informational toast/message.
-        io.to(roomId).emit('playerRejoined', { playerName: rejoinedName });
+        io.to(roomId).emit('playerRejoined', { playerName: rejoinedName, reclaimed });
 
         console.log(`[Rejoin] ${rejoinedName} rejoined room ${roomId} (${oldId} -> ${socket.id})`);
     });
@@ -1682,24 +2629,36 @@ io.on('connection', socket => {
         const voterName = q.players.find(p => p.id === socket.id)?.name;
         q.players.forEach(p => io.to(p.id).emit('rematchVoteUpdate', { votes: q.votes.size, total: q.total, voterName, voterId: socket.id }));
         if (q.votes.size >= q.total) {
-            rematchQueues.delete(roomId);
-            const connected = q.players.filter(p => !!io.sockets.sockets.get(p.id));
+            clearRematch(roomId);
+            const humans    = q.players.filter(p => !p.bot);
+            const connected = humans.filter(p => !!io.sockets.sockets.get(p.id));
             if (connected.length < q.total) {
-                const missing = q.players.filter(p => !io.sockets.sockets.get(p.id)).map(p => p.name).join(', ');
+                const missing = humans.filter(p => !io.sockets.sockets.get(p.id)).map(p => p.name).join(', ');
                 q.players.filter(p => io.sockets.sockets.get(p.id)).forEach(p => io.to(p.id).emit('rematchCancelled', { reason: `${missing} disconnected. Can't start rematch.` }));
+                abandonSeries(q);
+                closeChat(roomId);
                 return;
             }
-            const room = new GameRoom(roomId, q.players, q.settings);
+            const series = q.series || newSeries(q.settings, q.players);
+            const room   = new GameRoom(roomId, q.players, q.settings, {
+                onTurnExpired, onTurnChanged: scheduleBotTurn, lobbyName: q.lobbyName, isPrivate: q.isPrivate, seed: seriesSeed(q.settings, series)
+            });
             rooms.set(roomId, room);
             room.createDeck();
             room.dealCards(room.settings.startingCards || 7);
+            attachSeries(room, series);
             room.gameStarted = true;
-            room.players.forEach(p => registerRejoin(p.persistentId, roomId, p.name));
-            q.players.forEach(p => {
+            room.startedAt   = Date.now();
+            room.rematchOf   = q.matchId || null;
+            room.turnChanged();
+            humans.forEach(p => registerRejoin(p.persistentId, roomId, p.name));
+            humans.forEach(p => {
                 const s = io.sockets.sockets.get(p.id);
                 if (s) s.join(roomId);
                 io.to(p.id).emit('gameStarted', room.getGameState(p.id));
             });
+            updateSpectators(room);
+            broadcastLobbyList();
         }
     });
 
@@ -1707,7 +2666,9 @@ io.on('connection', socket => {
         const q = rematchQueues.get(roomId);
         if (!q) return;
         const decliner = q.players.find(p => p.id === socket.id);
-        rematchQueues.delete(roomId);
+        clearRematch(roomId);
+        abandonSeries(q);
+        closeChat(roomId);
         q.players.forEach(p => io.to(p.id).emit('rematchCancelled', { reason: `${decliner?.name || 'A player'} declined the rematch.` }));
     });
 
@@ -1718,12 +2679,18 @@ io.on('connection', socket => {
 
     socket.on('disconnect', () => {
         console.log('Disconnected:', socket.id);
+        chatLimiter.forget(socket.id);
+        emoteLimiter.forget(socket.id);
+        if (matchQueue.leave(socket.id)) runMatchmaking();
         Object.keys(lobbies).forEach(id => cleanupPlayerFromLobby(socket.id, id));
+        tournaments.forEach(t => { if (t.status === 'registering') leaveTournament(socket.id, t); });
 
         rematchQueues.forEach((q, rid) => {
             if (q.players.some(p => p.id === socket.id)) {
                 const decliner = q.players.find(p => p.id === socket.id);
-                rematchQueues.delete(rid);
+                clearRematch(rid);
+                abandonSeries(q);
+                closeChat(rid);
                 q.players.filter(p => p.id !== socket.id).forEach(p => {
                     io.to(p.id).emit('rematchCancelled', { reason: `${decliner?.name || 'A player'} disconnected. Rematch cancelled.` });
                 });
@@ -1731,6 +2698,7 @@ io.on('connection', socket => {
         });
 
         rooms.forEach((room, roomId) => {
+            if (room.removeSpectator(socket.id)) broadcastGameState(room);
             const player = room.players.find(p => p.id === socket.id);
             if (!player) return;
             // Keep the room alive — the rejoin registry already has the 5-min window
@@ -1762,4 +2730,41 @@ io.on('connection', socket => {
 });
 
 /* -- START ---------------------------------------- */
-server.listen(PORT, () => console.log(`O,No server running on port ${PORT}`));
+// Listens only when run directly; tests require this file and call start()
+// themselves (port 0 picks a free port) and stop() when done.
+function start(port = PORT) {
+    return new Promise(resolve => {
+        server.listen(port, () => {
+            console.log(`O,No server running on port ${server.address().port}`);
+            resolve(server);
+        });
+    });
+}
+
+// Close every connection and clear the timers that would keep the process alive
+function stop() {
+    rejoinRegistry.forEach(entry => clearTimeout(entry.rejoinTimer));
+    rejoinRegistry.clear();
+    Array.from(rematchQueues.keys()).forEach(clearRematch);
+    lobbyPresenceManagers.forEach(pm => pm.destroy());
+    lobbyPresenceManagers.clear();
+    rooms.forEach(room => { room.stopTurnClock(); clearBotTurn(room); });
+    spectatorTimers.forEach(clearTimeout);
+    spectatorTimers.clear();
+    chatLogs.clear();
+    if (matchTimer) { clearInterval(matchTimer); matchTimer = null; }
+    Array.from(matchQueue.byId.keys()).forEach(id => matchQueue.leave(id));
+    tournaments.forEach(t => clearTimeout(t.breakTimer));
+    tournaments.clear();
+    rooms.clear();
+    Object.keys(lobbies).forEach(id => delete lobbies[id]);
+    return new Promise(resolve => io.close(() => {
+        accountStore.close();
+        matchStore.close();
+        resolve();
+    }));
+}
+
+if (require.main === module) start();
+
+module.exports = { app, server, io, GameRoom, rooms, lobbies, lobbyPresenceManagers, rematchQueues, matchQueue, tournaments, accountStore, matchStore, start, stop };
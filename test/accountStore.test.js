@@ -0,0 +1,133 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs     = require('fs');
+const os     = require('os');
+const path   = require('path');
+const { LogAccountStore, migrateJsonAccounts } = require('../accountStore.js');
+
+/* -- HELPERS ---------------------------------------- */
+const FIXTURES = path.join(__dirname, 'fixtures', 'legacy-accounts');
+
+let dir, logPath;
+beforeEach(() => {
+    dir     = fs.mkdtempSync(path.join(os.tmpdir(), 'ono-accounts-'));
+    logPath = path.join(dir, 'data', 'accounts.log');
+});
+afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+function account(username, wins = 0) {
+    return { username, password: 'hash', wins, losses: 0 };
+}
+
+function logLines() {
+    return fs.readFileSync(logPath, 'utf8').split('\n').filter(Boolean);
+}
+
+/* -- LogAccountStore ---------------------------------------- */
+describe('LogAccountStore', () => {
+    it('replays every save when reopened, keeping the latest record per account', () => {
+        const store = new LogAccountStore(logPath);
+        assert.equal(store.create(account('Alice')), true);
+        store.create(account('bob'));
+        store.put(account('Alice', 3));
+        assert.equal(store.create(account('ALICE')), false);
+
+        const reopened = new LogAccountStore(logPath);
+        assert.deepEqual(reopened.get('alice'), account('Alice', 3));
+        assert.deepEqual(reopened.get('Bob'), account('bob'));
+        assert.equal(reopened.list().length, 2);
+        assert.equal(reopened.records, 3);
+    });
+
+    it('compacts to one record per account without losing any', () => {
+        const store = new LogAccountStore(logPath);
+        store.put(account('Alice'));
+        for (let wins = 1; wins <= 5; wins++) store.put(account('bob', wins));
+        assert.equal(logLines().length, 6);
+
+        store.compact();
+        assert.equal(logLines().length, 2);
+        assert.equal(store.records, 2);
+        assert.equal(fs.existsSync(`${logPath}.tmp`), false);
+
+        const reopened = new LogAccountStore(logPath);
+        assert.deepEqual(reopened.get('bob'), account('bob', 5));
+        assert.deepEqual(reopened.get('alice'), account('Alice'));
+    });
+
+    it('compacts on open once superseded records dominate', () => {
+        const store = new LogAccountStore(logPath);
+        for (let wins = 0; wins < 150; wins++) store.put(account('Alice', wins));
+
+        const reopened = new LogAccountStore(logPath);
+        assert.equal(reopened.records, 1);
+        assert.equal(logLines().length, 1);
+        assert.equal(reopened.get('alice').wins, 149);
+    });
+
+    it('skips a torn last line and keeps saving after it', () => {
+        const store = new LogAccountStore(logPath);
+        store.put(account('Alice', 1));
+        store.put(account('bob', 2));
+        // A crash halfway through appending the next record
+        fs.appendFileSync(logPath, JSON.stringify({ account: account('Alice', 9) }).slice(0, 20));
+
+        const reopened = new LogAccountStore(logPath);
+        assert.equal(reopened.get('alice').wins, 1);
+        assert.equal(reopened.get('bob').wins, 2);
+
+        reopened.put(account('cara', 3));
+        const again = new LogAccountStore(logPath);
+        assert.equal(again.get('cara').wins, 3);
+        assert.equal(again.list().length, 3);
+    });
+
+    it('skips corrupt lines and records without an account', () => {
+        fs.mkdirSync(path.dirname(logPath), { recursive: true });
+        fs.writeFileSync(logPath, [
+            JSON.stringify({ account: account('Alice', 1) }),
+            '{not json',
+            JSON.stringify({ at: 1 }),
+            JSON.stringify({ account: account('bob', 2) }),
+            ''
+        ].join('\n'));
+
+        const store = new LogAccountStore(logPath);
+        assert.deepEqual(store.list().map(a => a.username), ['Alice', 'bob']);
+    });
+});
+
+/* -- migrateJsonAccounts ---------------------------------------- */
+describe('migrateJsonAccounts', () => {
+    it('imports legacy account files once and renames them', () => {
+        const legacy = path.join(dir, 'accounts');
+        fs.cpSync(FIXTURES, legacy, { recursive: true });
+
+        const store = new LogAccountStore(logPath);
+        assert.deepEqual(migrateJsonAccounts(store, legacy), { imported: 2, skipped: 0 });
+        assert.equal(store.get('alice').nickname, 'Ace');
+        // A file without a username is named after the file
+        assert.equal(store.get('bob').username, 'bob');
+        assert.deepEqual(fs.readdirSync(legacy).sort(), ['Alice.json.migrated', 'bob.json.migrated']);
+
+        // The import is in the log, and a restart finds nothing left to import
+        const reopened = new LogAccountStore(logPath);
+        assert.equal(reopened.get('Alice').wins, 4);
+        assert.equal(reopened.get('Bob').losses, 5);
+        assert.deepEqual(migrateJsonAccounts(reopened, legacy), { imported: 0, skipped: 0 });
+    });
+
+    it('skips a file whose name is already taken or that cannot be read', () => {
+        const legacy = path.join(dir, 'accounts');
+        fs.mkdirSync(legacy);
+        fs.copyFileSync(path.join(FIXTURES, 'Alice.json'), path.join(legacy, 'alice.json'));
+        fs.writeFileSync(path.join(legacy, 'broken.json'), '{"username": "bro');
+
+        const store = new LogAccountStore(logPath);
+        store.create(account('ALICE'));
+        assert.deepEqual(migrateJsonAccounts(store, legacy), { imported: 0, skipped: 2 });
+        assert.equal(store.get('alice').username, 'ALICE');
+        // Left in place, so the broken file can be fixed and picked up on the next start
+        assert.equal(fs.existsSync(path.join(legacy, 'broken.json')), true);
+    });
+});
@@ -0,0 +1,150 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { RulesEngine, createRng, ACTIONS } = require('../public/js/rulesEngine.js');
+const bots = require('../bots.js');
+
+/* -- HELPERS ---------------------------------------- */
+function makeEngine(settings = {}, seats = 3) {
+    const players = Array.from({ length: seats }, (_, i) => ({ id: `p${i}`, name: `P${i}` }));
+    const engine  = new RulesEngine(players, settings, { rng: createRng('bots-test'), now: () => 1000 });
+    engine.createDeck();
+    engine.dealCards(7);
+    return engine;
+}
+
+function card(color, value) {
+    if (color === 'wild')          return { color, value, type: 'wild' };
+    if (ACTIONS.includes(value))   return { color, value, type: 'action' };
+    return { color, value, type: 'number' };
+}
+
+function setTop(engine, top, color = top.color) {
+    engine.discardPile.push(top);
+    engine.currentColor = color;
+    engine.currentValue = top.value;
+}
+
+const never = () => 0.99; // random() that never takes a chance
+
+/* -- chooseMove ---------------------------------------- */
+describe('bots.chooseMove', () => {
+    it('draws when nothing in hand can be played', () => {
+        const engine = makeEngine();
+        setTop(engine, card('red', '5'));
+        engine.players[0].hand = [card('blue', '1'), card('green', '2')];
+        assert.deepEqual(bots.chooseMove(engine, 'p0', 'hard'), { type: 'draw' });
+    });
+
+    it('only ever picks a legal card, whatever the difficulty', () => {
+        const engine = makeEngine();
+        setTop(engine, card('red', '5'));
+        engine.players[0].hand = [card('blue', '1'), card('red', '2'), card('green', '2'), card('blue', '5')];
+        const random = createRng('legal');
+        ['easy', 'medium', 'hard'].forEach(level => {
+            for (let i = 0; i < 20; i++) {
+                const move = bots.chooseMove(engine, 'p0', level, random);
+                assert.equal(move.type, 'play');
+                assert.ok(engine.canPlayCard(engine.players[0].hand[move.cardIndex], 'p0'));
+            }
+        });
+    });
+
+    it('hard saves its wild and names the colour it holds most', () => {
+        const engine = makeEngine();
+        setTop(engine, card('red', '5'));
+        engine.players[0].hand = [card('wild', 'Wild'), card('red', '3'), card('blue', '1'), card('blue', '2')];
+        assert.equal(bots.chooseMove(engine, 'p0', 'hard').cardIndex, 1);
+
+        engine.players[0].hand = [card('wild', 'Wild'), card('blue', '1'), card('blue', '2')];
+        const move = bots.chooseMove(engine, 'p0', 'hard');
+        assert.deepEqual([move.cardIndex, move.chosenColor], [0, 'blue']);
+    });
+
+    it('hard hits a next player who is about to win', () => {
+        const engine = makeEngine();
+        setTop(engine, card('red', '5'));
+        engine.players[1].hand = [card('green', '1'), card('green', '2')];
+        engine.players[0].hand = [card('red', '3'), card('red', '+2'), card('blue', '1')];
+        assert.equal(bots.chooseMove(engine, 'p0', 'hard').cardIndex, 1);
+    });
+
+    it('passes a Mercy stack on with the lowest card on medium and escalates on hard', () => {
+        const engine = makeEngine({ gameMode: 'mercy' });
+        setTop(engine, card('red', '+2'));
+        engine.stackedDrawCount = 2;
+        engine.players[0].hand = [card('wild', 'Wild+10'), card('blue', '+2'), card('wild', 'Wild+4'), card('blue', '3')];
+        assert.equal(bots.chooseMove(engine, 'p0', 'medium').cardIndex, 1);
+        assert.equal(bots.chooseMove(engine, 'p0', 'hard').cardIndex, 0);
+    });
+
+    it('ranks stacking cards by the draw values of a custom deck', () => {
+        const engine = makeEngine({ gameMode: 'mercy', deck: { counts: {}, drawValues: { 'Wild+4': 12 } } });
+        setTop(engine, card('red', '+2'));
+        engine.stackedDrawCount = 2;
+        engine.players[0].hand = [card('wild', 'Wild+10'), card('blue', '+2'), card('wild', 'Wild+4'), card('blue', '3')];
+        assert.equal(bots.chooseMove(engine, 'p0', 'medium').cardIndex, 1);
+        assert.equal(bots.chooseMove(engine, 'p0', 'hard').cardIndex, 2);
+    });
+
+    it('buys a Pay Back skip instead of drawing, but only once a turn', () => {
+        const engine = makeEngine({ gameMode: 'payback' });
+        setTop(engine, card('red', '5'));
+        engine.players[0].hand = [card('blue', '1'), card('green', '2')];
+        engine.bankPoints.p0 = 3;
+        assert.deepEqual(bots.chooseMove(engine, 'p0', 'medium'), { type: 'buy', action: 'BankSkip' });
+        assert.deepEqual(bots.chooseMove(engine, 'p0', 'easy'), { type: 'draw' });
+
+        engine.bankBoughtThisTurn.add('p0');
+        assert.deepEqual(bots.chooseMove(engine, 'p0', 'medium'), { type: 'draw' });
+    });
+
+    it('calls O,No when going down to one card unless it forgets', () => {
+        const engine = makeEngine();
+        setTop(engine, card('red', '5'));
+        engine.players[0].hand = [card('red', '3'), card('blue', '1')];
+        assert.equal(bots.chooseMove(engine, 'p0', 'hard', never).callUno, true);
+        assert.equal(bots.chooseMove(engine, 'p0', 'easy', never).callUno, false);
+    });
+});
+
+/* -- Challenges ---------------------------------------- */
+describe('bots.chooseChallenge', () => {
+    it('lets only hard challenge a Wild +4, and only from a big hand', () => {
+        const engine = makeEngine({ allowWildChallenge: true });
+        engine.pendingChallenge = { playerId: 'p1', victimId: 'p0', cardValue: 'Wild+4', color: 'red', bluffed: true };
+        engine.players[1].hand = [card('red', '1'), card('red', '2'), card('blue', '3'), card('blue', '4')];
+        assert.equal(bots.chooseChallenge(engine, 'p0', 'hard'), true);
+        assert.equal(bots.chooseChallenge(engine, 'p0', 'medium'), false);
+        assert.equal(bots.chooseChallenge(engine, 'p2', 'hard'), false);
+
+        engine.players[1].hand.splice(2);
+        assert.equal(bots.chooseChallenge(engine, 'p0', 'hard'), false);
+    });
+});
+
+/* -- Targets ---------------------------------------- */
+describe('bots targets', () => {
+    it('swaps with the opponent holding the fewest cards', () => {
+        const engine = makeEngine({ allowSpecial07: true });
+        engine.players[1].hand = engine.players[1].hand.slice(0, 5);
+        engine.players[2].hand = engine.players[2].hand.slice(0, 2);
+        assert.equal(bots.chooseSwapTarget(engine, 'p0', 'medium'), 'p2');
+    });
+
+    it('catches an opponent who forgot to call O,No only when the chance comes up', () => {
+        const engine = makeEngine();
+        engine.players[2].hand = [card('red', '1')];
+        assert.equal(bots.chooseCatchTarget(engine, 'p0', 'hard', () => 0), 'p2');
+        assert.equal(bots.chooseCatchTarget(engine, 'p0', 'hard', never), null);
+
+        engine.players[2].calledUno = true;
+        assert.equal(bots.chooseCatchTarget(engine, 'p0', 'hard', () => 0), null);
+    });
+
+    it('names new bots without repeating a name at the table', () => {
+        const first  = bots.botName([{ name: 'Alice' }]);
+        const second = bots.botName([{ name: 'Alice' }, { name: first }]);
+        assert.notEqual(first, second);
+        assert.match(second, /^🤖 /);
+    });
+});
@@ -0,0 +1,58 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { cleanMessage, createWordFilter, RateLimiter, ChatLog, MAX_MESSAGE_LENGTH } = require('../chat.js');
+
+/* -- cleanMessage ---------------------------------------- */
+describe('cleanMessage', () => {
+    it('collapses whitespace, drops control characters and caps the length', () => {
+        assert.equal(cleanMessage('  hi\n\tthere\u0007 '), 'hi there');
+        assert.equal(cleanMessage('x'.repeat(500)).length, MAX_MESSAGE_LENGTH);
+        assert.equal(cleanMessage(null), '');
+    });
+});
+
+/* -- createWordFilter ---------------------------------------- */
+describe('createWordFilter', () => {
+    it('stars out banned words and their longer forms in any casing', () => {
+        const filter = createWordFilter(['darn']);
+        assert.equal(filter('Darn it, darned cards'), '**** it, ****** cards');
+        assert.equal(filter('adarnment stays'), 'adarnment stays');
+    });
+
+    it('passes text through untouched with an empty list', () => {
+        assert.equal(createWordFilter([])('anything goes'), 'anything goes');
+    });
+});
+
+/* -- RateLimiter ---------------------------------------- */
+describe('RateLimiter', () => {
+    it('refuses messages over the limit until the window has passed', () => {
+        let now = 0;
+        const limiter = new RateLimiter({ messages: 2, windowMs: 1000 }, () => now);
+        assert.equal(limiter.allow('a'), true);
+        assert.equal(limiter.allow('a'), true);
+        assert.equal(limiter.allow('a'), false);
+        assert.equal(limiter.allow('b'), true);
+        now = 1000;
+        assert.equal(limiter.allow('a'), true);
+    });
+});
+
+/* -- ChatLog ---------------------------------------- */
+describe('ChatLog', () => {
+    it('keeps the newest messages and hides muted players from the muter only', () => {
+        const log = new ChatLog(3);
+        log.add({ text: 'one',  fromKey: 'ann' });
+        log.add({ text: 'two',  fromKey: 'bob' });
+        log.add({ text: 'rule', system: true });
+        log.add({ text: 'four', fromKey: 'bob' });
+        assert.deepEqual(log.messages.map(m => m.id), [2, 3, 4]);
+
+        log.mute('ann', 'bob');
+        assert.deepEqual(log.visibleTo('ann').map(m => m.text), ['rule']);
+        assert.equal(log.visibleTo('cid').length, 3);
+
+        log.mute('ann', 'bob', false);
+        assert.equal(log.isMuted('ann', 'bob'), false);
+    });
+});
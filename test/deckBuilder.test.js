@@ -0,0 +1,53 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { MAX_PRESETS, normalizeDeck, deckProblem, savePreset, deletePreset } = require('../deckBuilder.js');
+
+/* -- normalizeDeck ---------------------------------------- */
+describe('normalizeDeck', () => {
+    it('drops unknown cards and clamps counts and draw values', () => {
+        const deck = normalizeDeck({ counts: { '5': 3.7, Wild: -2, 'Wild+6': 99, Joker: 4, Skip: 'lots' }, drawValues: { '+2': 3, 'Wild+4': 4, '+12': 50 } });
+        assert.deepEqual(deck, { counts: { '5': 3, Wild: 0, 'Wild+6': 10 }, drawValues: { '+2': 3, '+12': 20 } });
+    });
+
+    it('treats an empty or unchanged deck as the standard one', () => {
+        assert.equal(normalizeDeck(null), null);
+        assert.equal(normalizeDeck({ counts: {}, drawValues: { '+2': 2 } }), null);
+    });
+});
+
+/* -- deckProblem ---------------------------------------- */
+describe('deckProblem', () => {
+    const settings = deck => ({ gameMode: 'original', maxPlayers: 4, startingCards: 7, deck: normalizeDeck(deck) });
+
+    it('accepts the standard deck and Mercy cards in an Original deck', () => {
+        assert.equal(deckProblem({ gameMode: 'original', maxPlayers: 8, startingCards: 10, deck: null }), null);
+        assert.equal(deckProblem(settings({ counts: { 'Wild+6': 2, Roulette: 2, RandDraw: 1 } })), null);
+    });
+
+    it('needs a number card left after the deal and a draw pile', () => {
+        // 4 players x 7 cards: 28 dealt, so 28 number cards are too few
+        const fewNumbers = { counts: { '0': 1, '1': 1, '2': 1, '3': 1, '4': 1, '5': 1, '6': 1, '7': 0, '8': 0, '9': 0 } };
+        assert.match(deckProblem(settings(fewNumbers)), /more than 28 number cards.*\(it has 28\)/);
+
+        const tiny = { counts: { '0': 0, Skip: 0, Reverse: 0, '+2': 0, Wild: 0, 'Wild+4': 0, '1': 1, '2': 1, '3': 1, '4': 1, '5': 1, '6': 1, '7': 1, '8': 1, '9': 1 } };
+        assert.match(deckProblem(settings(tiny)), /at least 48 cards for 4 players \(it has 36\)/);
+    });
+});
+
+/* -- presets ---------------------------------------- */
+describe('deck presets', () => {
+    it('replaces a preset of the same name, caps the list and deletes by name', () => {
+        const deck = { counts: { 'Wild+4': 8 } };
+        let { presets } = savePreset([], 'Chaos', deck);
+        ({ presets } = savePreset(presets, ' chaos ', { drawValues: { '+2': 4 } }));
+        assert.deepEqual(presets.map(p => [p.name, p.deck.drawValues]), [['chaos', { '+2': 4 }]]);
+
+        assert.match(savePreset(presets, '', deck).error, /name/);
+        assert.match(savePreset(presets, 'Plain', {}).error, /standard deck/);
+        for (let i = 1; i < MAX_PRESETS; i++) ({ presets } = savePreset(presets, `Deck ${i}`, deck));
+        assert.match(savePreset(presets, 'One more', deck).error, /up to 10/);
+
+        assert.equal(deletePreset(presets, 'CHAOS').length, MAX_PRESETS - 1);
+        assert.equal(deletePreset(presets, 'Missing'), null);
+    });
+});
@@ -0,0 +1,48 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { handPoints, MatchSeries } = require('../matchSeries.js');
+
+/* -- HELPERS ---------------------------------------- */
+const number = value => ({ color: 'red', value, type: 'number' });
+const action = value => ({ color: 'red', value, type: 'action' });
+const wild   = value => ({ color: 'wild', value, type: 'wild' });
+
+function seat(persistentId, hand = []) {
+    return { persistentId, name: persistentId.toUpperCase(), hand };
+}
+
+/* -- handPoints ---------------------------------------- */
+describe('handPoints', () => {
+    it('counts O,No points or standard points', () => {
+        const hand = [number('7'), action('Skip'), wild('Wild+4')];
+        assert.equal(handPoints(hand), 6);
+        assert.equal(handPoints(hand, 'standard'), 77);
+        assert.equal(handPoints([], 'standard'), 0);
+    });
+});
+
+/* -- MatchSeries ---------------------------------------- */
+describe('MatchSeries', () => {
+    it('gives each hand to its winner and ends once the target is reached', () => {
+        const series = new MatchSeries({ target: 50, scoring: 'standard', players: [seat('a'), seat('b'), seat('c')] });
+        assert.equal(series.recordRound('a', [seat('a'), seat('b', [number('9')]), seat('c', [action('+2')])]), 29);
+        assert.equal(series.winner(), null);
+
+        series.recordRound('b', [seat('a', [wild('Wild')]), seat('b'), seat('c', [number('0')])]);
+        assert.equal(series.winner(), 'b');
+        assert.deepEqual(series.standings().map(s => [s.persistentId, s.total, s.place]), [['b', 50, 1], ['a', 29, 2], ['c', 0, 3]]);
+    });
+
+    it('rotates the first turn and reports totals under the IDs it is given', () => {
+        const series = new MatchSeries({ target: 100, players: [seat('a'), seat('b')] });
+        assert.equal(series.startingSeat(2), 0);
+        series.recordRound('b', [seat('a', [number('1'), number('2')]), seat('b')]);
+        assert.equal(series.startingSeat(2), 1);
+
+        const summary = series.summary(key => `sock_${key}`);
+        assert.deepEqual(summary.standings.map(s => [s.id, s.total]), [['sock_b', 6], ['sock_a', 0]]);
+        assert.deepEqual(summary.lastRound, { round: 1, winnerId: 'sock_b', points: { sock_a: 0, sock_b: 6 } });
+        assert.equal(summary.round, 2);
+        assert.equal(summary.winnerId, null);
+    });
+});
@@ -0,0 +1,64 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { MatchQueue } = require('../matchmaking.js');
+
+/* -- HELPERS ---------------------------------------- */
+function makeQueue(options = {}) {
+    const clock = { now: 0 };
+    const queue = new MatchQueue({ botWaitMs: 30000, now: () => clock.now, ...options });
+    return { queue, clock };
+}
+
+function player(id, extra = {}) {
+    return { id, mode: 'original', size: 2, rating: 1000, useRating: false, ...extra };
+}
+
+/* -- MatchQueue ---------------------------------------- */
+describe('MatchQueue', () => {
+    it('makes a table once enough players want the same mode and size', () => {
+        const { queue } = makeQueue();
+        queue.join(player('a', { size: 3 }));
+        queue.join(player('b', { size: 3 }));
+        queue.join(player('c', { size: 3, mode: 'mercy' }));
+        queue.join(player('d', { size: 2 }));
+        assert.deepEqual(queue.takeMatches(), []);
+
+        queue.join(player('e', { size: 3 }));
+        const [match] = queue.takeMatches();
+        assert.deepEqual([match.mode, match.size, match.bots], ['original', 3, 0]);
+        assert.deepEqual(match.players.map(p => p.id), ['a', 'b', 'e']);
+        assert.equal(queue.get('a'), null);
+        assert.equal(queue.poolOf('d').length, 1);
+    });
+
+    it('keeps rating-matched players apart until their window has widened', () => {
+        const { queue, clock } = makeQueue({ ratingWindow: { base: 100, perSecond: 10, max: 800 } });
+        queue.join(player('a', { rating: 1000, useRating: true }));
+        queue.join(player('b', { rating: 1250 }));
+        assert.deepEqual(queue.takeMatches(), []);
+
+        clock.now = 15000; // 100 + 15 * 10 = 250
+        assert.deepEqual(queue.takeMatches()[0].players.map(p => p.id), ['a', 'b']);
+    });
+
+    it('fills the rest of the table with bots after the bot wait', () => {
+        const { queue, clock } = makeQueue();
+        queue.join(player('a', { size: 4 }));
+        clock.now = 10000;
+        queue.join(player('b', { size: 4 }));
+        clock.now = 30000;
+        const [match] = queue.takeMatches();
+        assert.deepEqual([match.players.length, match.bots], [2, 2]);
+        assert.equal(queue.byId.size, 0);
+    });
+
+    it('never uses bots with a bot wait of 0, and forgets players who leave', () => {
+        const { queue, clock } = makeQueue({ botWaitMs: 0 });
+        queue.join(player('a'));
+        clock.now = 600000;
+        assert.deepEqual(queue.takeMatches(), []);
+        assert.equal(queue.leave('a'), true);
+        assert.equal(queue.leave('a'), false);
+        assert.equal(queue.pools.size, 0);
+    });
+});
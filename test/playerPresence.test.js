@@ -0,0 +1,91 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { PlayerPresenceManager, PlayerState } = require('../public/js/playerPresence.js');
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('PlayerPresenceManager', () => {
+    let pm;
+
+    // Short timers so the timeout paths run in milliseconds
+    function makeManager(minPlayers = 2) {
+        pm = new PlayerPresenceManager(minPlayers, { heartbeatInterval: 20, reconnectTimeout: 30 });
+        pm.addPlayer('a', 'Alice', PlayerState.IN_GAME);
+        pm.addPlayer('b', 'Bob',   PlayerState.IN_GAME);
+        pm.addPlayer('c', 'Cara',  PlayerState.IN_GAME);
+        return pm;
+    }
+
+    afterEach(() => pm && pm.destroy());
+
+    it('times out a player who does not reconnect in time', async () => {
+        makeManager();
+        const timedOut = [];
+        pm.on('player-timeout', player => timedOut.push(player.id));
+
+        pm.onPlayerDisconnect('a');
+        assert.equal(pm.getPlayer('a').state, PlayerState.DISCONNECTED);
+        assert.equal(pm.handleMissingPlayer('a').action, 'wait');
+
+        await wait(60);
+        assert.deepEqual(timedOut, ['a']);
+        assert.equal(pm.getPlayer('a').state, PlayerState.TIMEOUT);
+        assert.equal(pm.handleMissingPlayer('a').action, 'remove');
+    });
+
+    it('cancels the timeout when the player reconnects', async () => {
+        makeManager();
+        const timedOut = [];
+        pm.on('player-timeout', player => timedOut.push(player.id));
+
+        pm.onPlayerDisconnect('a');
+        pm.receiveHeartbeat('a');
+        assert.equal(pm.getPlayer('a').state, PlayerState.IN_GAME);
+
+        await wait(60);
+        assert.deepEqual(timedOut, []);
+    });
+
+    it('ends the game when too few players are left', async () => {
+        makeManager(3);
+        pm.onPlayerDisconnect('a');
+        await wait(60);
+        const result = pm.handleMissingPlayer('a');
+        assert.equal(result.action, 'end');
+        assert.equal(result.reason, 'Not enough players');
+    });
+
+    it('marks players who stop sending heartbeats as disconnected', async () => {
+        makeManager();
+        pm.startHeartbeat();
+        const keepAlive = setInterval(() => { pm.receiveHeartbeat('b'); pm.receiveHeartbeat('c'); }, 5);
+
+        await wait(80);
+        clearInterval(keepAlive);
+        assert.notEqual(pm.getPlayer('a').state, PlayerState.IN_GAME);
+        assert.equal(pm.getPlayer('b').state, PlayerState.IN_GAME);
+        assert.equal(pm.getPlayer('c').state, PlayerState.IN_GAME);
+    });
+
+    it('fails the final presence check for a silent player', async () => {
+        makeManager();
+        await wait(50);
+        pm.receiveHeartbeat('b');
+        pm.receiveHeartbeat('c');
+        const check = pm.finalPresenceCheck();
+        assert.equal(check.success, false);
+        assert.deepEqual(check.missingPlayers.map(p => p.id), ['a']);
+    });
+
+    it('clears pending timers on destroy', async () => {
+        makeManager();
+        const timedOut = [];
+        pm.on('player-timeout', player => timedOut.push(player.id));
+        pm.onPlayerDisconnect('a');
+        pm.destroy();
+
+        await wait(60);
+        assert.deepEqual(timedOut, []);
+        assert.equal(pm.disconnectTimers.size, 0);
+    });
+});
@@ -0,0 +1,72 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { computeRatingChanges, emptyRating, INITIAL_RATING } = require('../rating.js');
+
+/* -- HELPERS ---------------------------------------- */
+// Seasoned players by default, so the full K factor applies
+function standing(key, place, rating = INITIAL_RATING, games = 20) {
+    return { key, rating, games, place };
+}
+
+function deltas(changes) {
+    return Object.fromEntries(Array.from(changes, ([key, change]) => [key, change.delta]));
+}
+
+function total(changes) {
+    return Array.from(changes.values()).reduce((sum, change) => sum + change.delta, 0);
+}
+
+/* -- computeRatingChanges ---------------------------------------- */
+describe('computeRatingChanges', () => {
+    it('moves an even two-player game by half the K factor', () => {
+        const changes = computeRatingChanges([standing('a', 1), standing('b', 2)]);
+        assert.deepEqual(changes.get('a'), { rating: 1016, games: 21, delta: 16 });
+        assert.deepEqual(changes.get('b'), { rating: 984, games: 21, delta: -16 });
+    });
+
+    it('settles new players faster and rewards an upset more', () => {
+        const fresh = computeRatingChanges([{ key: 'a', ...emptyRating(), place: 1 }, { key: 'b', ...emptyRating(), place: 2 }]);
+        assert.deepEqual(deltas(fresh), { a: 24, b: -24 });
+
+        const upset = computeRatingChanges([standing('low', 1, 1000), standing('high', 2, 1400)]);
+        assert.deepEqual(deltas(upset), { low: 29, high: -29 });
+    });
+
+    it('averages every pairwise result in a multi-player game', () => {
+        const changes = computeRatingChanges([standing('a', 1), standing('b', 2), standing('c', 3), standing('d', 4)]);
+        assert.deepEqual(deltas(changes), { a: 16, b: 5, c: -5, d: -16 });
+    });
+
+    it('scores equal places as a draw', () => {
+        const even = computeRatingChanges([standing('a', 1), standing('b', 1)]);
+        assert.deepEqual(deltas(even), { a: 0, b: 0 });
+
+        // Drawing with a stronger player gains rating
+        const uneven = computeRatingChanges([standing('strong', 2, 1200), standing('weak', 2, 1000), standing('last', 3)]);
+        assert.ok(uneven.get('weak').delta > 0);
+        assert.ok(uneven.get('strong').delta < uneven.get('weak').delta);
+    });
+
+    it('leaves bots out of the maths entirely', () => {
+        const withBots = computeRatingChanges([
+            standing('a', 1), { ...standing('bot1', 2), bot: true }, standing('b', 3), { ...standing('bot2', 4), bot: true }
+        ]);
+        assert.deepEqual(deltas(withBots), { a: 16, b: -16 });
+
+        const onlyOnePerson = computeRatingChanges([standing('a', 1), { ...standing('bot', 2), bot: true }]);
+        assert.equal(onlyOnePerson.size, 0);
+    });
+
+    it('adds up to about zero when everyone uses the same K factor', () => {
+        const ratings = [1320, 1180, 1050, 990, 870, 1400];
+        const changes = computeRatingChanges(ratings.map((rating, i) => standing(`p${i}`, i + 1, rating)));
+        assert.equal(changes.size, 6);
+        // Each delta is rounded on its own, so allow half a point per player
+        assert.ok(Math.abs(total(changes)) <= 3, `deltas sum to ${total(changes)}`);
+    });
+
+    it('rates nothing with fewer than two players', () => {
+        assert.equal(computeRatingChanges([]).size, 0);
+        assert.equal(computeRatingChanges([standing('a', 1)]).size, 0);
+    });
+});
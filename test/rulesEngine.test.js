@@ -0,0 +1,801 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { RulesEngine, createRng, ACTIONS } = require('../public/js/rulesEngine.js');
+
+/* -- HELPERS ---------------------------------------- */
+// Seats p0..pN-1 with a seeded deck already dealt, so every test is reproducible
+function makeEngine(settings = {}, seats = 3) {
+    const players = Array.from({ length: seats }, (_, i) => ({ id: `p${i}`, name: `P${i}` }));
+    const engine  = new RulesEngine(players, settings, { rng: createRng('rules-test'), now: () => 1000 });
+    engine.createDeck();
+    engine.dealCards(7);
+    return engine;
+}
+
+function card(color, value) {
+    if (color === 'wild')          return { color, value, type: 'wild' };
+    if (ACTIONS.includes(value))   return { color, value, type: 'action' };
+    return { color, value, type: 'number' };
+}
+
+// Put a card on top of the discard pile as if it had just been played
+function setTop(engine, top, color = top.color) {
+    engine.discardPile.push(top);
+    engine.currentColor = color;
+    engine.currentValue = top.value;
+}
+
+// Give a seat an exact hand; a filler card keeps the player from winning on their last play
+function give(engine, seat, ...cards) {
+    engine.players[seat].hand = [...cards, card('green', '9')];
+}
+
+function countCards(engine) {
+    return engine.deck.length + engine.discardPile.length + engine.players.reduce((n, p) => n + p.hand.length, 0);
+}
+
+/* -- canPlayCard ---------------------------------------- */
+describe('canPlayCard', () => {
+    it('accepts a colour or value match on your turn and rejects anything else', () => {
+        const engine = makeEngine();
+        setTop(engine, card('red', '5'));
+        assert.equal(engine.canPlayCard(card('red', '2'),  'p0'), true);
+        assert.equal(engine.canPlayCard(card('blue', '5'), 'p0'), true);
+        assert.equal(engine.canPlayCard(card('blue', '2'), 'p0'), false);
+    });
+
+    it('always accepts a wild on your turn', () => {
+        const engine = makeEngine();
+        setTop(engine, card('red', '5'));
+        assert.equal(engine.canPlayCard(card('wild', 'Wild'),   'p0'), true);
+        assert.equal(engine.canPlayCard(card('wild', 'Wild+4'), 'p0'), true);
+    });
+
+    it('rejects every card when it is not your turn', () => {
+        const engine = makeEngine();
+        setTop(engine, card('red', '5'));
+        assert.equal(engine.canPlayCard(card('red', '5'),    'p1'), false);
+        assert.equal(engine.canPlayCard(card('wild', 'Wild'), 'p1'), false);
+    });
+
+    it('rejects a play after drawing this turn', () => {
+        const engine = makeEngine();
+        setTop(engine, card('red', '5'));
+        engine.hasDrawnThisTurn = true;
+        assert.equal(engine.canPlayCard(card('red', '2'), 'p0'), false);
+    });
+
+    describe('stacking', () => {
+        it('only allows the same draw card onto an original-mode stack', () => {
+            const engine = makeEngine({ allowStacking: true });
+            setTop(engine, card('red', '+2'));
+            engine.stackedDrawCount = 2;
+            assert.equal(engine.canPlayCard(card('blue', '+2'),     'p0'), true);
+            assert.equal(engine.canPlayCard(card('wild', 'Wild+4'), 'p0'), false);
+            assert.equal(engine.canPlayCard(card('red', '5'),       'p0'), false);
+            assert.equal(engine.canPlayCard(card('wild', 'Wild'),   'p0'), false);
+        });
+
+        it('allows an equal or stronger draw card onto a mercy stack', () => {
+            const engine = makeEngine({ gameMode: 'mercy' });
+            setTop(engine, card('wild', 'Wild+4'), 'red');
+            engine.stackedDrawCount = 4;
+            assert.equal(engine.canPlayCard(card('wild', 'WildReverseD4'), 'p0'), true);
+            assert.equal(engine.canPlayCard(card('wild', 'Wild+10'),       'p0'), true);
+            assert.equal(engine.canPlayCard(card('red', '+2'),             'p0'), false);
+            assert.equal(engine.canPlayCard(card('red', 'Skip'),           'p0'), false);
+        });
+
+        it('ignores the stack when stacking is off', () => {
+            const engine = makeEngine();
+            setTop(engine, card('red', '+2'));
+            engine.stackedDrawCount = 2;
+            assert.equal(engine.canPlayCard(card('red', '5'), 'p0'), true);
+        });
+    });
+
+    describe('jump-in', () => {
+        it('allows an exact number match out of turn', () => {
+            const engine = makeEngine({ allowJumpIn: true });
+            setTop(engine, card('red', '5'));
+            assert.equal(engine.canPlayCard(card('red', '5'),  'p2', true), true);
+            assert.equal(engine.canPlayCard(card('blue', '5'), 'p2', true), false);
+            assert.equal(engine.canPlayCard(card('red', '6'),  'p2', true), false);
+        });
+
+        it('matches +2, Skip and Reverse by colour', () => {
+            const engine = makeEngine({ allowJumpIn: true });
+            setTop(engine, card('red', '5'));
+            assert.equal(engine.canPlayCard(card('red', '+2'),      'p2', true), true);
+            assert.equal(engine.canPlayCard(card('red', 'Skip'),    'p2', true), true);
+            assert.equal(engine.canPlayCard(card('red', 'Reverse'), 'p2', true), true);
+            assert.equal(engine.canPlayCard(card('blue', '+2'),     'p2', true), false);
+        });
+
+        it('only allows Wild+4 onto another Wild+4 and never a plain Wild', () => {
+            const engine = makeEngine({ allowJumpIn: true });
+            setTop(engine, card('red', '5'));
+            assert.equal(engine.canPlayCard(card('wild', 'Wild+4'), 'p2', true), false);
+            assert.equal(engine.canPlayCard(card('wild', 'Wild'),   'p2', true), false);
+            setTop(engine, card('wild', 'Wild+4'), 'blue');
+            assert.equal(engine.canPlayCard(card('wild', 'Wild+4'), 'p2', true), true);
+        });
+
+        it('is refused when the lobby disabled it', () => {
+            const engine = makeEngine();
+            setTop(engine, card('red', '5'));
+            assert.equal(engine.canPlayCard(card('red', '5'), 'p2', true), false);
+        });
+
+        it('moves the turn to the jumping player', () => {
+            const engine = makeEngine({ allowJumpIn: true });
+            setTop(engine, card('red', '5'));
+            give(engine, 2, card('red', '5'));
+            const result = engine.playCard('p2', 0, null, true);
+            assert.equal(result.success, true);
+            assert.equal(engine.currentPlayer, 0); // p2 played, so the turn passes on to p0
+        });
+    });
+});
+
+/* -- handleCardEffect ---------------------------------------- */
+describe('handleCardEffect', () => {
+    describe('original', () => {
+        it('Skip passes over the next player', () => {
+            const engine = makeEngine();
+            setTop(engine, card('red', '5'));
+            give(engine, 0, card('red', 'Skip'));
+            engine.playCard('p0', 0);
+            assert.equal(engine.currentPlayer, 2);
+        });
+
+        it('Reverse flips direction, and acts as Skip with two players', () => {
+            const three = makeEngine();
+            setTop(three, card('red', '5'));
+            give(three, 0, card('red', 'Reverse'));
+            three.playCard('p0', 0);
+            assert.equal(three.direction, -1);
+            assert.equal(three.currentPlayer, 2);
+
+            const two = makeEngine({}, 2);
+            setTop(two, card('red', '5'));
+            give(two, 0, card('red', 'Reverse'));
+            two.playCard('p0', 0);
+            assert.equal(two.currentPlayer, 0);
+        });
+
+        it('+2 makes the next player draw and skips them', () => {
+            const engine = makeEngine();
+            setTop(engine, card('red', '5'));
+            give(engine, 0, card('red', '+2'));
+            const before = engine.players[1].hand.length;
+            const result = engine.playCard('p0', 0);
+            assert.equal(engine.players[1].hand.length, before + 2);
+            assert.equal(engine.currentPlayer, 2);
+            assert.equal(result.drawAnimation.victimId, 'p1');
+        });
+
+        it('Wild+4 sets the chosen colour and makes the next player draw four', () => {
+            const engine = makeEngine();
+            setTop(engine, card('red', '5'));
+            give(engine, 0, card('wild', 'Wild+4'));
+            const before = engine.players[1].hand.length;
+            engine.playCard('p0', 0, 'green');
+            assert.equal(engine.currentColor, 'green');
+            assert.equal(engine.players[1].hand.length, before + 4);
+            assert.equal(engine.currentPlayer, 2);
+        });
+
+        it('draw cards build a stack instead when stacking is on', () => {
+            const engine = makeEngine({ allowStacking: true });
+            setTop(engine, card('red', '5'));
+            give(engine, 0, card('red', '+2'));
+            give(engine, 1, card('blue', '+2'));
+            engine.playCard('p0', 0);
+            assert.equal(engine.stackedDrawCount, 2);
+            assert.equal(engine.currentPlayer, 1);
+            engine.playCard('p1', 0);
+            assert.equal(engine.stackedDrawCount, 4);
+
+            const before = engine.players[2].hand.length;
+            const result = engine.drawCard('p2');
+            assert.equal(result.drewStacked, true);
+            assert.equal(engine.players[2].hand.length, before + 4);
+            assert.equal(engine.stackedDrawCount, 0);
+            assert.equal(engine.currentPlayer, 0);
+        });
+
+        it('+12 makes the next player draw twelve', () => {
+            const engine = makeEngine({ allowPlus12: true });
+            setTop(engine, card('red', '5'));
+            give(engine, 0, card('wild', '+12'));
+            const before = engine.players[1].hand.length;
+            engine.playCard('p0', 0, 'blue');
+            assert.equal(engine.players[1].hand.length, before + 12);
+            assert.equal(engine.currentPlayer, 2);
+        });
+
+        it('0 rotates every hand in the direction of play when 0&7 is on', () => {
+            const engine = makeEngine({ allowSpecial07: true });
+            setTop(engine, card('red', '5'));
+            give(engine, 0, card('red', '0'));
+            const hand0 = engine.players[0].hand;
+            const hand1 = engine.players[1].hand;
+            const hand2 = engine.players[2].hand;
+            const result = engine.playCard('p0', 0);
+            assert.deepEqual(result.swapHappened, { type: '0', rotateAll: true });
+            assert.equal(engine.players[1].hand, hand0);
+            assert.equal(engine.players[2].hand, hand1);
+            assert.equal(engine.players[0].hand, hand2);
+        });
+
+        it('7 asks for a swap target and swaps hands with the chosen player', () => {
+            const engine = makeEngine({ allowSpecial07: true });
+            setTop(engine, card('red', '5'));
+            give(engine, 0, card('red', '7'));
+            const result = engine.playCard('p0', 0);
+            assert.equal(result.needSwapTarget, true);
+            assert.equal(engine.currentPlayer, 0);
+
+            const mine   = engine.players[0].hand;
+            const theirs = engine.players[2].hand;
+            assert.equal(engine.chooseSwapTarget('p1', 'p2').success, false);
+            assert.equal(engine.chooseSwapTarget('p0', 'p2').success, true);
+            assert.equal(engine.players[0].hand, theirs);
+            assert.equal(engine.players[2].hand, mine);
+            assert.equal(engine.currentPlayer, 1);
+        });
+
+        it('7 can only swap with players still in the game', () => {
+            const engine = makeEngine({ gameMode: 'mercy' }, 4);
+            engine.knockedOut = ['p1'];
+            engine.glitchSpectators = ['p3'];
+            assert.deepEqual(engine.swapTargets('p0').map(p => p.id), ['p2']);
+
+            setTop(engine, card('red', '5'));
+            give(engine, 0, card('red', '7'));
+            engine.playCard('p0', 0);
+            assert.equal(engine.chooseSwapTarget('p0', 'p1').success, false);
+            assert.equal(engine.chooseSwapTarget('p0', 'p3').success, false);
+            assert.equal(engine.chooseSwapTarget('p0', 'p2').success, true);
+        });
+
+        it('4 skips and 8 reverses when 4&8 is on', () => {
+            const four = makeEngine({ allow48: true });
+            setTop(four, card('red', '5'));
+            give(four, 0, card('red', '4'));
+            four.playCard('p0', 0);
+            assert.equal(four.currentPlayer, 2);
+            assert.equal(four._special48, '4');
+
+            const eight = makeEngine({ allow48: true });
+            setTop(eight, card('red', '5'));
+            give(eight, 0, card('red', '8'));
+            eight.playCard('p0', 0);
+            assert.equal(eight.direction, -1);
+            assert.equal(eight.currentPlayer, 2);
+            assert.equal(eight._special48, '8');
+        });
+
+        it('4 and 8 are plain number cards without the rule', () => {
+            const engine = makeEngine();
+            setTop(engine, card('red', '5'));
+            give(engine, 0, card('red', '8'));
+            engine.playCard('p0', 0);
+            assert.equal(engine.direction, 1);
+            assert.equal(engine.currentPlayer, 1);
+        });
+
+        it('0 and 7 are plain number cards without the rule', () => {
+            const engine = makeEngine();
+            setTop(engine, card('red', '5'));
+            give(engine, 0, card('red', '7'));
+            const result = engine.playCard('p0', 0);
+            assert.equal(result.needSwapTarget, undefined);
+            assert.equal(engine.currentPlayer, 1);
+        });
+    });
+
+    describe('mercy', () => {
+        it('Wild+6 and Wild+10 add to the stack', () => {
+            const engine = makeEngine({ gameMode: 'mercy' });
+            setTop(engine, card('red', '5'));
+            give(engine, 0, card('wild', 'Wild+6'));
+            give(engine, 1, card('wild', 'Wild+10'));
+            engine.playCard('p0', 0, 'red');
+            engine.playCard('p1', 0, 'blue');
+            assert.equal(engine.stackedDrawCount, 16);
+            assert.equal(engine.currentPlayer, 2);
+        });
+
+        it('WildReverseD4 reverses play and stacks four on the new next player', () => {
+            const engine = makeEngine({ gameMode: 'mercy' });
+            setTop(engine, card('red', '5'));
+            give(engine, 0, card('wild', 'WildReverseD4'));
+            engine.playCard('p0', 0, 'red');
+            assert.equal(engine.direction, -1);
+            assert.equal(engine.stackedDrawCount, 4);
+            assert.equal(engine.currentPlayer, 2);
+        });
+
+        it('DiscardAll drops every card of the chosen colour', () => {
+            const engine = makeEngine({ gameMode: 'mercy' });
+            setTop(engine, card('red', '5'));
+            engine.players[0].hand = [card('wild', 'DiscardAll'), card('blue', '1'), card('blue', '2'), card('red', '3')];
+            engine.playCard('p0', 0, 'blue');
+            assert.deepEqual(engine.players[0].hand, [card('red', '3')]);
+            assert.equal(engine.currentPlayer, 1);
+        });
+
+        it('SkipAll gives the same player another turn', () => {
+            const engine = makeEngine({ gameMode: 'mercy' });
+            setTop(engine, card('red', '5'));
+            give(engine, 0, card('wild', 'SkipAll'));
+            engine.playCard('p0', 0, 'red');
+            assert.equal(engine.currentPlayer, 0);
+        });
+
+        it('Roulette makes the next player draw until the chosen colour and skips them', () => {
+            const engine = makeEngine({ gameMode: 'mercy' });
+            setTop(engine, card('red', '5'));
+            give(engine, 0, card('wild', 'Roulette'));
+            const before = engine.players[1].hand.length;
+            engine.playCard('p0', 0, 'yellow');
+            const drawn = engine.players[1].hand.slice(before);
+            assert.ok(drawn.length >= 1);
+            const last = drawn.at(-1);
+            assert.ok(last.color === 'yellow' || last.type === 'wild');
+            assert.equal(engine.currentPlayer, 2);
+        });
+
+        it('knocks out a player who reaches 25 cards', () => {
+            const engine = makeEngine({ gameMode: 'mercy' });
+            engine.players[1].hand = Array.from({ length: 25 }, () => card('blue', '1'));
+            engine.currentPlayer = 1;
+            const knocked = engine.checkMercyKnockouts();
+            assert.deepEqual(knocked, [{ id: 'p1', name: 'P1' }]);
+            assert.deepEqual(engine.players[1].hand, []);
+            assert.equal(engine.isEliminated('p1'), true);
+            assert.equal(engine.currentPlayer, 2);
+        });
+    });
+
+    describe('glitch', () => {
+        it('RandDraw makes the next player draw between one and ten cards', () => {
+            const engine = makeEngine({ gameMode: 'glitch' });
+            setTop(engine, card('red', '5'));
+            give(engine, 0, card('wild', 'RandDraw'));
+            const before = engine.players[1].hand.length;
+            engine.playCard('p0', 0, 'red');
+            const drawn = engine.players[1].hand.length - before;
+            assert.equal(drawn, engine._glitchRandDrawCount);
+            assert.ok(drawn >= 1 && drawn <= 10);
+            assert.equal(engine.currentPlayer, 2);
+        });
+
+        it('PopupAd targets the next player', () => {
+            const engine = makeEngine({ gameMode: 'glitch' });
+            setTop(engine, card('red', '5'));
+            give(engine, 0, card('wild', 'PopupAd'));
+            engine.playCard('p0', 0, 'red');
+            assert.equal(engine._glitchPopupAdTargetId, 'p1');
+            assert.ok(engine._glitchPopupAdCount >= 5 && engine._glitchPopupAdCount <= 15);
+            assert.equal(engine.currentPlayer, 1);
+        });
+
+        it('PeekHand asks for a target and reveals their hand', () => {
+            const engine = makeEngine({ gameMode: 'glitch' });
+            setTop(engine, card('red', '5'));
+            give(engine, 0, card('wild', 'PeekHand'));
+            assert.equal(engine.playCard('p0', 0, 'red').needPeekTarget, true);
+            const result = engine.choosePeekTarget('p0', 'p2');
+            assert.equal(result.success, true);
+            assert.equal(result.hand, engine.players[2].hand);
+            assert.equal(engine.currentPlayer, 1);
+        });
+
+        it('ScrambleCard scrambles the next player for 90 seconds', () => {
+            let clock = 1000;
+            const engine = makeEngine({ gameMode: 'glitch' });
+            engine.now = () => clock;
+            setTop(engine, card('red', '5'));
+            give(engine, 0, card('wild', 'ScrambleCard'));
+            engine.playCard('p0', 0, 'red');
+            assert.equal(engine.isGlitchScrambledFor('p1'), true);
+            clock += 90000;
+            assert.equal(engine.isGlitchScrambledFor('p1'), false);
+        });
+
+        it('GlitchedOut turns the next player into a spectator', () => {
+            const engine = makeEngine({ gameMode: 'glitch' });
+            setTop(engine, card('red', '5'));
+            give(engine, 0, card('wild', 'GlitchedOut'));
+            engine.playCard('p0', 0, 'red');
+            assert.deepEqual(engine.glitchSpectators, ['p1']);
+            assert.deepEqual(engine.players[1].hand, []);
+            assert.equal(engine.currentPlayer, 2);
+            assert.equal(engine.drawCard('p1').success, false);
+        });
+    });
+
+    describe('payback', () => {
+        function bankEngine() {
+            const engine = makeEngine({ gameMode: 'payback' });
+            setTop(engine, card('red', '5'));
+            return engine;
+        }
+
+        // As sold by buyBankAction
+        function bankCard(value) {
+            return { ...card('wild', value), bank: true };
+        }
+
+        it('awards a bank point per regular card and sells bank cards', () => {
+            const engine = bankEngine();
+            give(engine, 0, card('red', '3'));
+            engine.playCard('p0', 0);
+            assert.equal(engine.bankPoints.p0, 1);
+            assert.equal(engine.buyBankAction('p0', 'BankSkip').reason, 'insufficient_points');
+            engine.bankPoints.p0 = 10;
+            assert.equal(engine.buyBankAction('p0', 'BankSkip').success, true);
+            assert.equal(engine.buyBankAction('p0', 'BankSkip').reason, 'already_bought');
+            assert.equal(engine.bankPoints.p0, 8);
+        });
+
+        it('BankSkip skips the next player', () => {
+            const engine = bankEngine();
+            give(engine, 0, bankCard('BankSkip'));
+            engine.playCard('p0', 0, 'red');
+            assert.equal(engine.currentPlayer, 2);
+            assert.equal(engine._bankActionUsed.action, 'BankSkip');
+        });
+
+        it('BankDraw2 and BankDraw4 make the next player draw', () => {
+            for (const [value, count] of [['BankDraw2', 2], ['BankDraw4', 4]]) {
+                const engine = bankEngine();
+                give(engine, 0, bankCard(value));
+                const before = engine.players[1].hand.length;
+                engine.playCard('p0', 0, 'red');
+                assert.equal(engine.players[1].hand.length, before + count);
+                assert.equal(engine.currentPlayer, 2);
+            }
+        });
+
+        it('BankReverse flips direction', () => {
+            const engine = bankEngine();
+            give(engine, 0, bankCard('BankReverse'));
+            engine.playCard('p0', 0, 'red');
+            assert.equal(engine.direction, -1);
+            assert.equal(engine.currentPlayer, 2);
+        });
+
+        it('BankShield shields the player', () => {
+            const engine = bankEngine();
+            give(engine, 0, bankCard('BankShield'));
+            engine.playCard('p0', 0, 'red');
+            assert.equal(engine.bankShields.p0, true);
+        });
+
+        it('BankStrike takes three points from everyone else', () => {
+            const engine = bankEngine();
+            engine.bankPoints = { p0: 0, p1: 5, p2: 1 };
+            give(engine, 0, bankCard('BankStrike'));
+            engine.playCard('p0', 0, 'red');
+            assert.deepEqual(engine.bankPoints, { p0: 0, p1: 2, p2: 0 });
+        });
+    });
+});
+
+/* -- getNextPlayerIndex ---------------------------------------- */
+describe('getNextPlayerIndex', () => {
+    it('skips knocked-out players in both directions', () => {
+        const engine = makeEngine({ gameMode: 'mercy' }, 4);
+        engine.knockedOut = ['p1'];
+        assert.equal(engine.getNextPlayerIndex(0), 2);
+        engine.direction = -1;
+        assert.equal(engine.getNextPlayerIndex(2), 0);
+    });
+
+    it('skips several eliminated players and wraps around', () => {
+        const engine = makeEngine({ gameMode: 'mercy' }, 4);
+        engine.knockedOut       = ['p0'];
+        engine.glitchSpectators = ['p3'];
+        assert.equal(engine.getNextPlayerIndex(2), 1);
+    });
+
+    it('falls back to the only active player', () => {
+        const engine = makeEngine({ gameMode: 'mercy' }, 4);
+        engine.knockedOut = ['p0', 'p1', 'p3'];
+        assert.equal(engine.getNextPlayerIndex(2), 2);
+    });
+});
+
+/* -- reshuffleDeck ---------------------------------------- */
+describe('reshuffleDeck', () => {
+    it('turns the discard pile into the deck but keeps the top card', () => {
+        const engine = makeEngine();
+        const total  = countCards(engine);
+        engine.discardPile.push(...engine.deck.splice(0, 20));
+        engine.players.forEach(p => { engine.discardPile.push(...p.hand.splice(0)); });
+        engine.discardPile.push(...engine.deck.splice(0));
+        const top = engine.discardPile.at(-1);
+
+        engine.reshuffleDeck();
+        assert.deepEqual(engine.discardPile, [top]);
+        assert.equal(engine.deck.length, total - 1);
+        assert.equal(countCards(engine), total);
+    });
+
+    it('does nothing when only the top card is left', () => {
+        const engine = makeEngine();
+        engine.discardPile = engine.discardPile.slice(-1);
+        engine.deck = [];
+        engine.reshuffleDeck();
+        assert.equal(engine.deck.length, 0);
+        assert.equal(engine.discardPile.length, 1);
+    });
+
+    it('is triggered by drawing from an empty deck', () => {
+        const engine = makeEngine();
+        const total  = countCards(engine);
+        engine.discardPile.push(...engine.deck.splice(0));
+        const before = engine.players[0].hand.length;
+        engine.drawCards(0, 3);
+        assert.equal(engine.players[0].hand.length, before + 3);
+        assert.equal(engine.discardPile.length, 1);
+        assert.equal(countCards(engine), total);
+    });
+});
+
+/* -- drawCard ---------------------------------------- */
+describe('drawCard', () => {
+    it('draws exactly one card by default', () => {
+        const engine = makeEngine();
+        setTop(engine, card('red', '5'));
+        engine.deck.push(card('red', '1'), card('blue', '2'));
+        const result = engine.drawCard('p0');
+        assert.equal(result.cardsDrawn, 1);
+        assert.deepEqual(result.drawnCards, [card('blue', '2')]);
+        assert.equal(result.untilMatch, false);
+        assert.equal(result.canPlayDrawn, false);
+        assert.equal(engine.currentPlayer, 1);
+    });
+
+    it('keeps the turn for a playable drawn card, and only that card can be played', () => {
+        const engine = makeEngine();
+        setTop(engine, card('red', '5'));
+        give(engine, 0, card('red', '3'));
+        engine.deck.push(card('red', '9'));
+        const result = engine.drawCard('p0');
+        assert.equal(result.canPlayDrawn, true);
+        assert.equal(engine.currentPlayer, 0);
+        assert.equal(engine.canPlayCard(engine.players[0].hand[0], 'p0'), false);
+        assert.deepEqual(engine.drawCard('p0'), { success: false, error: 'You can only draw once per turn' });
+
+        const played = engine.playCard('p0', engine.players[0].hand.length - 1);
+        assert.equal(played.success, true);
+        assert.equal(engine.discardPile.at(-1).value, '9');
+        assert.equal(engine.currentPlayer, 1);
+        assert.equal(engine.hasDrawnThisTurn, false);
+    });
+
+    it('keeps the turn in Mercy for the card the draw stopped on, and plays it', () => {
+        const engine = makeEngine({ gameMode: 'mercy' });
+        setTop(engine, card('red', '5'));
+        give(engine, 0);
+        engine.deck.push(card('red', '2'), card('blue', '1'), card('green', '8'));
+        const result = engine.drawCard('p0');
+        assert.equal(result.cardsDrawn, 3);
+        assert.equal(result.canPlayDrawn, true);
+        assert.equal(engine.currentPlayer, 0);
+        assert.equal(engine.canPlayCard(card('red', '7'), 'p0'), false);
+
+        const played = engine.playCard('p0', engine.players[0].hand.length - 1);
+        assert.equal(played.success, true);
+        assert.deepEqual(engine.discardPile.at(-1), card('red', '2'));
+        assert.equal(engine.currentPlayer, 1);
+    });
+
+    it('draws until a match with Draw Until Match on', () => {
+        for (const gameMode of ['original', 'payback']) {
+            const engine = makeEngine({ gameMode, drawUntilMatch: true });
+            setTop(engine, card('red', '5'));
+            engine.deck.push(card('yellow', '5'), card('blue', '1'), card('green', '2'));
+            const result = engine.drawCard('p0');
+            assert.equal(result.untilMatch, true);
+            assert.deepEqual(result.drawnCards, [card('green', '2'), card('blue', '1'), card('yellow', '5')]);
+            assert.equal(result.cardsDrawn, 3);
+        }
+    });
+
+    it('keeps drawing through a reshuffle when the deck runs out', () => {
+        const engine = makeEngine({ drawUntilMatch: true });
+        const total  = countCards(engine);
+        // Put the whole deck on the discard pile under a red 5 and leave two misses to draw
+        engine.discardPile.push(...engine.deck.splice(0));
+        setTop(engine, card('red', '5'));
+        engine.deck = [card('blue', '1'), card('green', '2')];
+
+        const result = engine.drawCard('p0');
+        assert.equal(result.reshuffled, true);
+        assert.ok(result.cardsDrawn > 2);
+        assert.equal(engine.matchesDiscard(result.drawnCards.at(-1)), true);
+        assert.equal(countCards(engine), total + 3);
+    });
+
+    it('stops when there is nothing left to draw', () => {
+        const engine = makeEngine({ drawUntilMatch: true });
+        setTop(engine, card('red', '5'));
+        engine.deck        = [card('blue', '1')];
+        engine.discardPile = engine.discardPile.slice(-1);
+        const result = engine.drawCard('p0');
+        assert.equal(result.cardsDrawn, 1);
+        assert.equal(result.reshuffled, false);
+        assert.equal(engine.currentPlayer, 1);
+    });
+});
+
+/* -- SEEDING ---------------------------------------- */
+describe('seeded games', () => {
+    it('deal identically for the same seed', () => {
+        const deal = seed => {
+            const engine = new RulesEngine([{ id: 'a' }, { id: 'b' }], {}, { rng: createRng(seed) });
+            engine.createDeck();
+            engine.dealCards(7);
+            return JSON.stringify(engine.players.map(p => p.hand));
+        };
+        assert.equal(deal('same'), deal('same'));
+        assert.notEqual(deal('same'), deal('other'));
+    });
+});
+
+/* -- renamePlayer ---------------------------------------- */
+describe('renamePlayer', () => {
+    it('moves every id-keyed state to the new id', () => {
+        const engine = makeEngine({ gameMode: 'glitch' });
+        engine.knockedOut.push('p1');
+        engine.glitchSpectators.push('p1');
+        engine.glitchScrambled.push({ playerId: 'p1', expiresAt: 5000 });
+        engine.bankPoints.p1 = 3;
+        engine.pendingSwap7 = { playerId: 'p1' };
+        engine.pendingPeek  = { playerId: 'p1' };
+
+        assert.equal(engine.renamePlayer('p1', 'n1'), true);
+        assert.equal(engine.players[1].id, 'n1');
+        assert.deepEqual([engine.knockedOut, engine.glitchSpectators], [['n1'], ['n1']]);
+        assert.equal(engine.isGlitchScrambledFor('n1'), true);
+        assert.deepEqual(engine.bankPoints, { n1: 3 });
+        assert.deepEqual([engine.pendingSwap7.playerId, engine.pendingPeek.playerId], ['n1', 'n1']);
+        assert.equal(engine.renamePlayer('p1', 'n2'), false);
+    });
+});
+
+/* -- TEAMS ---------------------------------------- */
+describe('teams', () => {
+    // p0/p2 against p1/p3, seated alternately
+    function makeTeams(settings = {}) {
+        const engine = makeEngine({ teamMode: true, ...settings }, 4);
+        engine.players.forEach((p, i) => { p.team = i % 2; });
+        return engine;
+    }
+
+    it('never lets a draw penalty land on a teammate', () => {
+        const engine = makeTeams({ allowStacking: true });
+        setTop(engine, card('red', '5'));
+        give(engine, 0, card('red', '+2'));
+        assert.equal(engine.canPlayCard(engine.players[0].hand[0], 'p0'), true);
+
+        // With p1 knocked out, p0's next seat is their teammate p2
+        engine.knockedOut.push('p1');
+        assert.equal(engine.canPlayCard(engine.players[0].hand[0], 'p0'), false);
+        assert.equal(engine.canPlayCard(card('red', '7'), 'p0'), true);
+    });
+
+    it('places the whole winning team first', () => {
+        const engine = makeTeams();
+        assert.deepEqual(engine.finishOrder('p2').map(p => [p.id, p.place]), [['p0', 1], ['p2', 1], ['p1', 2], ['p3', 2]]);
+    });
+
+    it('swaps one card between teammates once per hand', () => {
+        const engine = makeTeams({ teamTrade: true });
+        const mine   = engine.players[0].hand[0];
+        const theirs = engine.players[2].hand[3];
+        assert.equal(engine.tradeCards('p0', 0, 'p1', 0).success, false);
+        assert.equal(engine.tradeCards('p0', 0, 'p2', 3).success, true);
+        assert.equal(engine.players[0].hand[0], theirs);
+        assert.equal(engine.players[2].hand[3], mine);
+        assert.match(engine.tradeCards('p2', 0, 'p0', 0).error, /already traded/);
+        assert.equal(engine.tradeCards('p1', 0, 'p3', 0).success, true);
+    });
+});
+
+/* -- WILD CHALLENGE ---------------------------------------- */
+describe('challengeWild', () => {
+    // p0 lays a Wild+4 on a red 5, holding a red card (a bluff) or not
+    function playWild(settings = {}, held = card('blue', '3')) {
+        const engine = makeEngine({ allowWildChallenge: true, ...settings });
+        setTop(engine, card('red', '5'));
+        give(engine, 0, card('wild', 'Wild+4'), held);
+        engine.playCard('p0', 0, 'blue');
+        return engine;
+    }
+
+    it('holds the penalty for the victim, who may only draw or challenge', () => {
+        const engine = playWild();
+        assert.equal(engine.currentPlayer, 1);
+        assert.equal(engine.stackedDrawCount, 4);
+        assert.equal(engine.pendingChallenge.victimId, 'p1');
+        assert.equal(engine.canPlayCard(card('blue', '7'), 'p1'), false);
+        assert.match(engine.challengeWild('p2').error, /Only the player it hits/);
+
+        const before = engine.players[1].hand.length;
+        engine.drawCard('p1');
+        assert.equal(engine.players[1].hand.length, before + 4);
+        assert.equal(engine.currentPlayer, 2);
+        assert.equal(engine.pendingChallenge, null);
+    });
+
+    it('makes a bluffer draw the penalty and leaves the challenger on turn', () => {
+        const engine = playWild({}, card('red', '3'));
+        const before = engine.players[0].hand.length;
+        const result = engine.challengeWild('p1');
+        assert.deepEqual([result.bluffed, result.drawerId, result.count, result.color], [true, 'p0', 4, 'red']);
+        assert.ok(result.hand.some(c => c.color === 'red'));
+        assert.equal(engine.players[0].hand.length, before + 4);
+        assert.equal(engine.currentPlayer, 1);
+        assert.equal(engine.canPlayCard(card('blue', '7'), 'p1'), true);
+    });
+
+    it('makes a wrong challenger draw 6 and lose the turn', () => {
+        const engine = playWild();
+        const before = engine.players[1].hand.length;
+        const result = engine.challengeWild('p1');
+        assert.deepEqual([result.bluffed, result.drawerId, result.count], [false, 'p1', 6]);
+        assert.equal(engine.players[1].hand.length, before + 6);
+        assert.equal(engine.currentPlayer, 2);
+    });
+
+    it('puts the whole stack at stake on the last wild draw only', () => {
+        const engine = playWild({ allowStacking: true }, card('red', '3'));
+        give(engine, 1, card('wild', 'Wild+4'), card('blue', '8'));
+        assert.equal(engine.playCard('p1', 0, 'green').success, true);
+        assert.equal(engine.pendingChallenge.playerId, 'p1');
+        assert.equal(engine.pendingChallenge.bluffed, true); // p1 held a blue card
+
+        const result = engine.challengeWild('p2');
+        assert.deepEqual([result.bluffed, result.drawerId, result.count], [true, 'p1', 8]);
+        assert.equal(engine.stackedDrawCount, 0);
+        assert.equal(engine.currentPlayer, 2);
+    });
+});
+
+/* -- CUSTOM DECKS ---------------------------------------- */
+describe('custom decks', () => {
+    const tally = (cards, value) => cards.filter(c => c.value === value).length;
+
+    it('builds the deck from the lobby counts, Mercy and Glitch cards included', () => {
+        const engine = new RulesEngine([{ id: 'p0', name: 'P0' }], {
+            gameMode: 'original',
+            deck:     { counts: { '0': 0, '7': 3, 'Wild+4': 1, 'Wild+6': 2, PeekHand: 1 } }
+        }, { rng: createRng('deck-test') });
+        engine.createDeck();
+        assert.deepEqual(['0', '7', '5', 'Wild+4', 'Wild+6', 'PeekHand', '+12'].map(v => tally(engine.deck, v)), [0, 12, 8, 1, 2, 1, 0]);
+        assert.equal(engine.deck.find(c => c.value === 'PeekHand').glitch, true);
+        assert.equal(engine.deck.length, 108 - 4 + 4 - 3 + 2 + 1);
+    });
+
+    it('uses the lobby draw values for penalties and Mercy stacking', () => {
+        const engine = makeEngine({ deck: { counts: {}, drawValues: { '+2': 3 } } });
+        setTop(engine, card('red', '5'));
+        give(engine, 0, card('red', '+2'));
+        const before = engine.players[1].hand.length;
+        engine.playCard('p0', 0);
+        assert.equal(engine.players[1].hand.length, before + 3);
+
+        const mercy = makeEngine({ gameMode: 'mercy', deck: { counts: {}, drawValues: { 'Wild+4': 8 } } });
+        setTop(mercy, card('wild', 'Wild+6'), 'red');
+        mercy.stackedDrawCount = 6;
+        assert.equal(mercy.canPlayCard(card('wild', 'Wild+4'), 'p0'), true);
+        assert.equal(mercy.canPlayCard(card('red', '+2'), 'p0'), false);
+    });
+});
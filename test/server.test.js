@@ -0,0 +1,947 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const ioClient = require('socket.io-client');
+
+// Keep accounts and matches in memory; must be set before server.js is loaded
+process.env.ACCOUNT_STORE  = 'memory';
+process.env.SESSION_SECRET = 'test-secret';
+const ono = require('../server.js');
+
+const SETTINGS = { maxPlayers: 4, startingCards: 7, gameMode: 'original' };
+
+/* -- HELPERS ---------------------------------------- */
+function once(socket, event, timeout = 2000) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error(`Timed out waiting for "${event}"`)), timeout);
+        socket.once(event, data => { clearTimeout(timer); resolve(data); });
+    });
+}
+
+describe('GameRoom', () => {
+    const seats = [
+        { id: 'a', persistentId: 'pa', name: 'Alice' },
+        { id: 'b', persistentId: 'pb', name: 'Bob' }
+    ];
+
+    function startRoom(seed) {
+        const room = new ono.GameRoom('room_test', seats, { ...SETTINGS, seed });
+        room.createDeck();
+        room.dealCards(7);
+        return room;
+    }
+
+    it('deals the same game for the same seed', () => {
+        const one = startRoom('challenge');
+        const two = startRoom('challenge');
+        assert.equal(one.seed, 'challenge');
+        assert.deepEqual(one.players.map(p => p.hand), two.players.map(p => p.hand));
+        assert.deepEqual(one.discardPile, two.discardPile);
+    });
+
+    it('only reveals the requesting player\'s hand', () => {
+        const room  = startRoom('hidden');
+        const state = room.getGameState('b');
+        assert.equal(state.yourName, 'Bob');
+        assert.deepEqual(state.yourHand, room.players[1].hand);
+        assert.deepEqual(state.allPlayers.map(p => Object.keys(p).includes('hand')), [false, false]);
+        assert.deepEqual(state.allPlayers.map(p => p.cardCount), [7, 7]);
+    });
+
+    it('shows spectators card counts, and hands only with open hands', () => {
+        const room  = startRoom('watch');
+        room.addSpectator('s', 'Sam');
+        const state = room.getSpectatorState();
+        assert.equal(state.spectating, true);
+        assert.deepEqual(state.yourHand, []);
+        assert.deepEqual(state.allPlayers.map(p => [p.cardCount, p.hand, p.isYou]), [[7, undefined, false], [7, undefined, false]]);
+        assert.equal(room.getGameState('a').spectatorCount, 1);
+
+        room.settings.spectatorOpenHands = true;
+        assert.deepEqual(room.getSpectatorState().allPlayers[1].hand, room.players[1].hand);
+    });
+
+    it('logs every action for the replay', () => {
+        const room = startRoom('replay');
+        room.drawCard('a');
+        const replay = room.getReplay();
+        assert.equal(replay.seed, 'replay');
+        assert.deepEqual(replay.events.map(e => e.type), ['deal', 'draw']);
+    });
+});
+
+describe('GameRoom turn clock', () => {
+    const seats = [
+        { id: 'a', name: 'Alice' },
+        { id: 'b', name: 'Bob' },
+        { id: 'c', name: 'Cara' }
+    ];
+    let clock, room, expired;
+
+    function startRoom(settings = {}) {
+        clock   = 0;
+        expired = [];
+        room    = new ono.GameRoom('room_clock', seats, { ...SETTINGS, turnTimer: 30, ...settings }, {
+            seed:          'clock',
+            now:           () => clock,
+            onTurnExpired: (r, info) => expired.push(info)
+        });
+        room.createDeck();
+        room.dealCards(7);
+        room.gameStarted = true;
+        room.restartTurnClock();
+        return room;
+    }
+
+    after(() => room && room.stopTurnClock());
+
+    it('reports the time left in getGameState', () => {
+        startRoom();
+        clock = 12000;
+        assert.equal(room.getGameState('a').turnTimeLeftMs, 18000);
+        room.advanceTurn();
+        assert.equal(room.getGameState('a').turnTimeLeftMs, 30000);
+        room.stopTurnClock();
+    });
+
+    it('has no clock when the lobby turned it off', () => {
+        startRoom({ turnTimer: 0 });
+        assert.equal(room.getGameState('a').turnTimeLeftMs, null);
+        assert.equal(room.turnTimer, null);
+    });
+
+    it('draws for an idle player and passes the turn', () => {
+        startRoom();
+        const before = room.players[0].hand.length;
+        room.expireTurn();
+        assert.equal(room.players[0].hand.length, before + 1);
+        assert.equal(room.currentPlayer, 1);
+        assert.deepEqual(expired.map(e => [e.playerId, e.action]), [['a', 'draw']]);
+        assert.deepEqual(room.getReplay().events.slice(-2).map(e => e.type), ['timeout', 'draw']);
+        room.stopTurnClock();
+    });
+
+    it('takes the stacked penalty for an idle player', () => {
+        startRoom({ allowStacking: true });
+        room.stackedDrawCount = 4;
+        const before = room.players[0].hand.length;
+        room.expireTurn();
+        assert.equal(room.players[0].hand.length, before + 4);
+        assert.equal(room.stackedDrawCount, 0);
+        assert.equal(expired[0].result.drewStacked, true);
+        room.stopTurnClock();
+    });
+
+    it('picks the next player for a pending 7 swap', () => {
+        startRoom({ allowSpecial07: true });
+        room.pendingSwap7 = { playerId: 'a' };
+        const theirs = room.players[1].hand;
+        room.expireTurn();
+        assert.equal(room.players[0].hand, theirs);
+        assert.equal(expired[0].action, 'swap');
+        assert.equal(room.currentPlayer, 1);
+        room.stopTurnClock();
+    });
+});
+
+describe('socket flows', () => {
+    let base;
+    const clients = [];
+
+    function connect(token) {
+        const socket = ioClient(base, { auth: token ? { token } : {}, reconnection: false, transports: ['websocket'] });
+        clients.push(socket);
+        return once(socket, 'connect').then(() => socket);
+    }
+
+    async function signup(username) {
+        const res = await fetch(`${base}/api/auth/signup`, {
+            method:  'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body:    JSON.stringify({ username, password: 'secret1', confirmPassword: 'secret1' })
+        });
+        return (await res.json()).token;
+    }
+
+    // Two players in a started game; resolves once both have their opening state
+    async function startGame(host, guest, settings = SETTINGS) {
+        host.emit('createLobby', { lobbyName: 'Test', playerName: 'Alice', settings: { ...settings }, persistentId: `pid_${host.id}` });
+        const { roomId } = await once(host, 'lobbyCreated');
+        guest.emit('joinLobby', { lobbyId: roomId, playerName: 'Bob', persistentId: `pid_${guest.id}` });
+        await once(guest, 'lobbyJoined');
+
+        const started = [once(host, 'gameStarted'), once(guest, 'gameStarted')];
+        host.emit('playerReady', { roomId, ready: true });
+        guest.emit('playerReady', { roomId, ready: true });
+        const [hostState, guestState] = await Promise.all(started);
+        return { roomId, hostState, guestState };
+    }
+
+    // Leave the player whose turn it is holding one card that matches the discard
+    function rigWinningCard(roomId) {
+        const room   = ono.rooms.get(roomId);
+        const player = room.players[room.currentPlayer];
+        player.hand  = [{ color: room.currentColor, value: '1', type: 'number' }];
+        return player;
+    }
+
+    before(async () => {
+        const server = await ono.start(0);
+        base = `http://localhost:${server.address().port}`;
+    });
+
+    after(async () => {
+        clients.forEach(socket => socket.disconnect());
+        await ono.stop();
+    });
+
+    it('plays createLobby → playerReady → playCard → gameOver → rematchVote', async () => {
+        const host  = await connect(await signup('alice'));
+        const guest = await connect();
+
+        const { roomId, hostState, guestState } = await startGame(host, guest);
+        assert.equal(hostState.yourHand.length, 7);
+        assert.equal(hostState.currentPlayer, guestState.currentPlayer);
+        assert.notEqual(hostState.isYourTurn, guestState.isYourTurn);
+
+        const winner       = rigWinningCard(roomId);
+        const winnerSocket = winner.id === host.id ? host : guest;
+        const overs        = [once(host, 'gameOver'), once(guest, 'gameOver')];
+        const statsUpdate  = once(host, 'statsUpdated');
+        winnerSocket.emit('playCard', { roomId, cardIndex: 0 });
+
+        const [over] = await Promise.all(overs);
+        assert.equal(over.winnerId, winner.id);
+        assert.equal(over.winner, winner.name);
+        assert.equal(over.scores[0].id, winner.id);
+        assert.equal(ono.rooms.has(roomId), false);
+
+        // Only the signed-in player has stats to update
+        const { user, mode } = await statsUpdate;
+        assert.equal(mode, 'original');
+        assert.equal(user.username, 'alice');
+        assert.equal(user.wins + user.losses, 1);
+
+        const { matchId } = ono.rematchQueues.get(roomId);
+        const match = ono.matchStore.get(matchId);
+        assert.equal(match.winner.name, winner.name);
+        assert.equal(match.finishOrder.length, 2);
+        assert.ok(ono.matchStore.getReplay(matchId).events.length >= 2);
+
+        host.emit('rematchVote', { roomId });
+        const update = await once(guest, 'rematchVoteUpdate');
+        assert.deepEqual([update.votes, update.total, update.voterName], [1, 2, 'Alice']);
+
+        const restarted = [once(host, 'gameStarted'), once(guest, 'gameStarted')];
+        guest.emit('rematchVote', { roomId });
+        const [rematchState] = await Promise.all(restarted);
+        assert.equal(rematchState.roomId, roomId);
+        assert.equal(rematchState.yourHand.length, 7);
+        assert.equal(ono.rooms.get(roomId).rematchOf, matchId);
+        assert.equal(ono.rematchQueues.has(roomId), false);
+    });
+
+    it('plays a match to its target over several rounds, rotating the first turn', async () => {
+        const host  = await connect();
+        const guest = await connect();
+        const { roomId, hostState } = await startGame(host, guest, { ...SETTINGS, matchTarget: 50 });
+        assert.deepEqual([hostState.match.round, hostState.match.target, hostState.currentPlayer], [1, 50, 0]);
+
+        // Seat 0 wins round 1 over 7 numbers at 3 points each
+        const numbers = count => Array.from({ length: count }, () => ({ color: 'blue', value: '5', type: 'number' }));
+        rigWinningCard(roomId);
+        ono.rooms.get(roomId).players[1].hand = numbers(7);
+        const overs = [once(host, 'gameOver'), once(guest, 'gameOver')];
+        host.emit('playCard', { roomId, cardIndex: 0 });
+        const [{ match }] = await Promise.all(overs);
+        assert.deepEqual(match.standings.map(s => [s.id, s.total]), [[host.id, 21], [guest.id, 0]]);
+        assert.equal(match.winnerId, null);
+
+        const next = [once(host, 'gameStarted'), once(guest, 'gameStarted')];
+        host.emit('rematchVote', { roomId });
+        guest.emit('rematchVote', { roomId });
+        const [round2] = await Promise.all(next);
+        assert.deepEqual([round2.match.round, round2.currentPlayer], [2, 1]);
+
+        const room = ono.rooms.get(roomId);
+        rigWinningCard(roomId);
+        room.players[0].hand = numbers(20);
+        const finals = [once(host, 'gameOver'), once(guest, 'gameOver')];
+        guest.emit('playCard', { roomId, cardIndex: 0 });
+        const [final] = await Promise.all(finals);
+        assert.equal(final.match.winnerId, guest.id);
+        assert.deepEqual(final.match.standings.map(s => [s.id, s.total]), [[guest.id, 60], [host.id, 21]]);
+        assert.equal(ono.rematchQueues.get(roomId).series, null);
+    });
+
+    it('rates a match only once, on the totals so far when it is abandoned between hands', async () => {
+        const host  = await connect(await signup('seriesleader'));
+        const guest = await connect(await signup('seriesquitter'));
+        const { roomId } = await startGame(host, guest, { ...SETTINGS, matchTarget: 50 });
+
+        rigWinningCard(roomId);
+        ono.rooms.get(roomId).players[1].hand = [{ color: 'blue', value: '5', type: 'number' }];
+        const overs = [once(host, 'gameOver'), once(guest, 'gameOver')];
+        host.emit('playCard', { roomId, cardIndex: 0 });
+        await Promise.all(overs);
+        // The hand alone leaves records and ratings alone
+        assert.equal(ono.accountStore.get('seriesleader').wins, 0);
+        assert.equal(ono.accountStore.get('seriesleader').ratings, undefined);
+
+        const stats = [once(host, 'statsUpdated'), once(guest, 'statsUpdated')];
+        guest.emit('rematchDecline', { roomId });
+        const [leader, quitter] = await Promise.all(stats);
+        assert.deepEqual([leader.user.wins, leader.ratingDelta, leader.user.ratings.original], [1, 24, { rating: 1024, games: 1 }]);
+        assert.deepEqual([quitter.user.losses, quitter.ratingDelta], [1, -24]);
+    });
+
+    it('rejects a card played out of turn', async () => {
+        const host  = await connect();
+        const guest = await connect();
+        const { hostState } = await startGame(host, guest);
+
+        const waiting = hostState.isYourTurn ? guest : host;
+        const error   = once(waiting, 'error');
+        waiting.emit('playCard', { roomId: hostState.roomId, cardIndex: 0 });
+        assert.equal(await error, 'Not your turn');
+    });
+
+    it('reports a draw-until-match sequence, revealing the cards only to the drawer', async () => {
+        const host  = await connect();
+        const guest = await connect();
+        const { roomId } = await startGame(host, guest, { ...SETTINGS, drawUntilMatch: true });
+
+        const room   = ono.rooms.get(roomId);
+        const drawer = room.players[room.currentPlayer];
+        const miss   = room.currentColor === 'red' ? 'blue' : 'red';
+        room.currentValue = '5';
+        room.deck.push({ color: room.currentColor, value: '1', type: 'number' }, { color: miss, value: '2', type: 'number' });
+
+        const [mine, theirs] = drawer.id === host.id ? [host, guest] : [guest, host];
+        const states = [once(mine, 'gameState'), once(theirs, 'gameState')];
+        mine.emit('drawCard', { roomId });
+        const [own, other] = await Promise.all(states);
+
+        assert.equal(own.lastDrawInfo.cardsDrawn, 2);
+        assert.equal(own.lastDrawInfo.untilMatch, true);
+        assert.deepEqual(own.lastDrawInfo.cards.map(c => c.color), [miss, room.currentColor]);
+        assert.equal(other.lastDrawInfo.cardsDrawn, 2);
+        assert.equal(other.lastDrawInfo.playerName, drawer.name);
+        assert.equal(other.lastDrawInfo.cards, undefined);
+    });
+
+    it('reveals a challenged Wild +4 to the challenger and makes the bluffer draw', async () => {
+        const host  = await connect();
+        const guest = await connect();
+        const { roomId } = await startGame(host, guest, { ...SETTINGS, allowWildChallenge: true });
+
+        const room    = ono.rooms.get(roomId);
+        const bluffer = room.players[room.currentPlayer];
+        const held    = { color: room.currentColor, value: '3', type: 'number' };
+        bluffer.hand  = [{ color: 'wild', value: 'Wild+4', type: 'wild' }, held, { ...held }];
+        const [mine, theirs] = bluffer.id === host.id ? [host, guest] : [guest, host];
+
+        const pending = once(theirs, 'gameState');
+        mine.emit('playCard', { roomId, cardIndex: 0, chosenColor: held.color === 'red' ? 'blue' : 'red' });
+        assert.deepEqual((await pending).wildChallenge, { fromId: mine.id, fromName: bluffer.name, victimId: theirs.id, cardValue: 'Wild+4' });
+
+        const reveal = once(theirs, 'challengeReveal');
+        const ruling = once(mine, 'wildChallenged');
+        theirs.emit('challengeWild', { roomId });
+        const { hand, bluffed } = await reveal;
+        assert.equal(bluffed, true);
+        assert.deepEqual(hand, [held, held]);
+        const { drawerId, count } = await ruling;
+        assert.deepEqual([drawerId, count], [mine.id, 4]);
+        assert.equal(bluffer.hand.length, 6);
+        assert.equal(room.players[room.currentPlayer].id, theirs.id);
+    });
+
+    it('lets the victim of a Wild +4 challenge it after rejoining', async () => {
+        const host  = await connect();
+        const guest = await connect();
+        const { roomId } = await startGame(host, guest, { ...SETTINGS, allowWildChallenge: true });
+        const room    = ono.rooms.get(roomId);
+        const bluffer = room.players[room.currentPlayer];
+        const held    = { color: room.currentColor, value: '3', type: 'number' };
+        bluffer.hand  = [{ color: 'wild', value: 'Wild+4', type: 'wild' }, held, { ...held }];
+        const [mine, theirs] = bluffer.id === host.id ? [host, guest] : [guest, host];
+        const pending = once(theirs, 'gameState');
+        mine.emit('playCard', { roomId, cardIndex: 0, chosenColor: held.color === 'red' ? 'blue' : 'red' });
+        await pending;
+
+        const seat = room.players.find(p => p.id === theirs.id);
+        theirs.disconnect();
+        const back     = await connect();
+        const rejoined = once(back, 'gameRejoined');
+        back.emit('rejoinGame', { roomId, persistentId: seat.persistentId });
+        assert.equal((await rejoined).wildChallenge.victimId, back.id);
+
+        const ruling = once(mine, 'wildChallenged');
+        back.emit('challengeWild', { roomId });
+        const { bluffed, drawerId, count } = await ruling;
+        assert.deepEqual([bluffed, drawerId, count], [true, mine.id, 4]);
+        assert.equal(room.players[room.currentPlayer].id, back.id);
+    });
+
+    it('has a hard bot call a Wild +4 bluff and play on, so the table never waits on it', async () => {
+        const host = await connect();
+        host.emit('createLobby', { lobbyName: 'Bots', playerName: 'Alice', settings: { ...SETTINGS, allowWildChallenge: true } });
+        const { roomId } = await once(host, 'lobbyCreated');
+        host.emit('addBot', { roomId, difficulty: 'hard' });
+        await once(host, 'lobbyUpdate');
+
+        const started = once(host, 'gameStarted');
+        host.emit('playerReady', { roomId, ready: true });
+        let state = await started;
+        while (!state.isYourTurn) state = await once(host, 'gameState', 4000);
+
+        // A bluff from a big hand: one card still matches the colour in play.
+        // Both hands are fixed so the bot can only answer with a plain card.
+        const room  = ono.rooms.get(roomId);
+        const held  = { color: room.currentColor, value: '3', type: 'number' };
+        const other = held.color === 'red' ? 'blue' : 'red';
+        room.pendingChallenge = null;
+        room.stackedDrawCount = 0;
+        room.players[0].hand  = [{ color: 'wild', value: 'Wild+4', type: 'wild' }, held, ...['1', '2', '4', '5'].map(value => ({ color: other, value, type: 'number' }))];
+        room.players[1].hand  = ['6', '9'].map(value => ({ color: other, value, type: 'number' }));
+
+        const ruling = once(host, 'wildChallenged', 4000);
+        host.emit('playCard', { roomId, cardIndex: 0, chosenColor: other });
+        const { bluffed, drawerId, count } = await ruling;
+        assert.deepEqual([bluffed, drawerId, count], [true, host.id, 4]);
+        assert.equal(room.players[0].hand.length, 9);
+
+        // The bot kept its turn and played one of its two cards
+        while (room.players[room.currentPlayer].id !== host.id) await once(host, 'gameState', 4000);
+        assert.equal(room.players[1].hand.length, 1);
+        assert.equal(room.currentColor, other);
+    });
+
+    it('plays the turn of a player whose clock runs out', async () => {
+        const host  = await connect();
+        const guest = await connect();
+        const { roomId, hostState } = await startGame(host, guest, { ...SETTINGS, turnTimer: 15 });
+        assert.equal(hostState.settings.turnTimer, 15);
+        assert.ok(hostState.turnTimeLeftMs > 14000 && hostState.turnTimeLeftMs <= 15000);
+
+        const room   = ono.rooms.get(roomId);
+        const idle   = room.players[room.currentPlayer];
+        const notice = once(host, 'turnTimedOut');
+        const state  = once(host, 'gameState');
+        room.expireTurn();
+
+        assert.deepEqual(await notice, { playerId: idle.id, playerName: idle.name, action: 'draw' });
+        const next = await state;
+        assert.notEqual(next.currentPlayer, hostState.currentPlayer);
+        assert.equal(next.lastDrawInfo.playerId, idle.id);
+    });
+
+    it('starts a game against a host-added bot, which plays its own turn', async () => {
+        const host  = await connect();
+        host.emit('createLobby', { lobbyName: 'Bots', playerName: 'Alice', settings: { ...SETTINGS } });
+        const { roomId } = await once(host, 'lobbyCreated');
+
+        host.emit('addBot', { roomId, difficulty: 'hard' });
+        const { players } = await once(host, 'lobbyUpdate');
+        assert.deepEqual(players.map(p => [p.bot || null, p.ready]), [[null, false], ['hard', true]]);
+
+        const started = once(host, 'gameStarted');
+        host.emit('playerReady', { roomId, ready: true });
+        const state = await started;
+        assert.deepEqual(state.allPlayers.map(p => p.isBot), [false, true]);
+
+        // Hand the turn to the bot holding one playable card and one that isn't
+        const room = ono.rooms.get(roomId);
+        if (room.players[room.currentPlayer].id === host.id) room.advanceTurn();
+        const bot   = room.players[room.currentPlayer];
+        const other = room.currentColor === 'red' ? 'blue' : 'red';
+        const miss  = room.currentValue === '9' ? '8' : '9';
+        bot.hand = [{ color: other, value: miss, type: 'number' }, { color: room.currentColor, value: '3', type: 'number' }];
+        room.turnChanged();
+
+        const called = once(host, 'playerCalledUno', 4000);
+        let next;
+        do { next = await once(host, 'gameState', 4000); } while (!next.isYourTurn);
+        assert.equal(next.allPlayers[1].cardCount, 1);
+        assert.equal(next.currentValue, '3');
+        assert.equal((await called).playerName, bot.name);
+    });
+
+    it('leaves the rating alone after a win against bots only', async () => {
+        const host = await connect(await signup('botwinner'));
+        host.emit('createLobby', { lobbyName: 'Bots', playerName: 'Alice', settings: { ...SETTINGS } });
+        const { roomId } = await once(host, 'lobbyCreated');
+        host.emit('addBot', { roomId, difficulty: 'easy' });
+        await once(host, 'lobbyUpdate');
+
+        const started = once(host, 'gameStarted');
+        host.emit('playerReady', { roomId, ready: true });
+        let state = await started;
+        while (!state.isYourTurn) state = await once(host, 'gameState', 4000);
+
+        rigWinningCard(roomId);
+        const statsUpdate = once(host, 'statsUpdated');
+        host.emit('playCard', { roomId, cardIndex: 0 });
+        const { user, ratingDelta } = await statsUpdate;
+        assert.equal(user.wins, 1);
+        assert.equal(ratingDelta, 0);
+        assert.deepEqual(user.ratings.original, { rating: 1000, games: 0 });
+    });
+
+    it('lets a bot play a timed-out seat until its owner rejoins', async () => {
+        const host  = await connect();
+        const guest = await connect();
+        const { roomId } = await startGame(host, guest, { ...SETTINGS, botTakeover: true });
+        const room = ono.rooms.get(roomId);
+        const seat = room.players.find(p => p.id === guest.id);
+        ono.lobbyPresenceManagers.get(roomId).reconnectTimeout = 10;
+
+        const timeout = once(host, 'playerTimeout');
+        guest.disconnect();
+        const notice = await timeout;
+        assert.deepEqual([notice.playerName, notice.autoPlaying], ['Bob', true]);
+        assert.equal(seat.autoPlaying, true);
+
+        // The takeover bot plays the seat's next turn
+        if (room.players[room.currentPlayer] !== seat) room.advanceTurn();
+        let next;
+        do { next = await once(host, 'gameState', 4000); } while (!next.isYourTurn);
+        assert.equal(next.allPlayers.find(p => p.name === 'Bob').autoPlaying, true);
+
+        const back = await connect();
+        const rejoined = once(back, 'gameRejoined');
+        back.emit('rejoinGame', { roomId, persistentId: seat.persistentId });
+        const state = await rejoined;
+        assert.equal(state.yourName, 'Bob');
+        assert.equal(state.allPlayers.find(p => p.isYou).autoPlaying, false);
+        assert.equal(seat.autoPlaying, false);
+    });
+
+    it('lets a player who rejoins mid-swap finish the swap from the new socket', async () => {
+        const host  = await connect();
+        const guest = await connect();
+        const { roomId } = await startGame(host, guest, { ...SETTINGS, gameMode: 'payback', allowSpecial07: true });
+        const room  = ono.rooms.get(roomId);
+        const seat  = room.players.find(p => p.id === guest.id);
+        const oldId = guest.id;
+        room.currentPlayer      = room.players.indexOf(seat);
+        room.pendingSwap7       = { playerId: oldId };
+        room.bankPoints[oldId]  = 4;
+        room.bankShields[oldId] = true;
+
+        guest.disconnect();
+        const back     = await connect();
+        const rejoined = once(back, 'gameRejoined');
+        back.emit('rejoinGame', { roomId, persistentId: seat.persistentId });
+        await rejoined;
+        assert.equal(seat.id, back.id);
+        assert.deepEqual([room.bankPoints[back.id], room.bankShields[back.id], oldId in room.bankPoints], [4, true, false]);
+
+        const swapped = once(host, 'swapHappened');
+        back.emit('chooseSwapTarget', { roomId, targetId: host.id });
+        assert.deepEqual(await swapped, { swapperName: 'Bob', targetName: 'Alice', type: '7' });
+        assert.equal(room.pendingSwap7, null);
+    });
+
+    it('lets a spectator watch a live game from the lobby list', async () => {
+        const host    = await connect();
+        const guest   = await connect();
+        const watcher = await connect();
+        const { roomId } = await startGame(host, guest);
+        const listed = once(watcher, 'lobbyList');
+        watcher.emit('requestLobbies');
+        const live = (await listed).find(l => l.id === roomId);
+        assert.deepEqual([live.inProgress, live.name, live.players, live.spectators], [true, 'Test', 2, 0]);
+
+        const started = once(watcher, 'spectateStarted');
+        const seen    = once(host, 'gameState');
+        watcher.emit('spectateGame', { roomId, name: 'Sam' });
+        const { state, delay } = await started;
+        assert.equal(delay, 0);
+        assert.equal(state.roomId, roomId);
+        assert.equal(state.allPlayers.some(p => p.hand), false);
+        assert.equal((await seen).spectatorCount, 1);
+
+        // Every table update reaches the spectator, never a player-only event
+        const update = once(watcher, 'spectatorState');
+        const room   = ono.rooms.get(roomId);
+        const drawer = room.players[room.currentPlayer].id === host.id ? host : guest;
+        drawer.emit('drawCard', { roomId });
+        assert.equal((await update).spectating, true);
+    });
+
+    it('holds back the table from spectators of a delayed game', async () => {
+        const host    = await connect();
+        const guest   = await connect();
+        const watcher = await connect();
+        const { roomId } = await startGame(host, guest, { ...SETTINGS, spectatorDelay: 5 });
+
+        const started = once(watcher, 'spectateStarted');
+        watcher.emit('spectateGame', { roomId });
+        const { state, delay } = await started;
+        assert.equal(delay, 5);
+        assert.equal(state, null);
+    });
+
+    it('filters table chat, feeds O,No calls into it and replays it after a rejoin', async () => {
+        const host  = await connect();
+        const guest = await connect();
+        const { roomId } = await startGame(host, guest);
+
+        const heard = once(guest, 'chatMessage');
+        host.emit('sendChat', { roomId, text: '  good   luck, shitty cards ' });
+        const message = await heard;
+        assert.deepEqual([message.from.name, message.text, message.system], ['Alice', 'good luck, ****** cards', false]);
+
+        const muted = once(guest, 'chatMuted');
+        guest.emit('muteChat', { roomId, playerId: host.id, muted: true });
+        assert.equal((await muted).muted, true);
+
+        const room = ono.rooms.get(roomId);
+        room.players.find(p => p.id === host.id).hand.splice(1);
+        const feed = once(guest, 'chatMessage');
+        host.emit('callUno', { roomId });
+        assert.deepEqual([(await feed).system, (await feed).text], [true, '🔔 Alice called O,No!']);
+
+        // History comes back on rejoin, still without the muted player
+        const seat = room.players.find(p => p.id === guest.id);
+        guest.disconnect();
+        const back    = await connect();
+        const history = once(back, 'chatHistory');
+        back.emit('rejoinGame', { roomId, persistentId: seat.persistentId });
+        assert.deepEqual((await history).messages.map(m => m.text), ['🔔 Alice called O,No!']);
+    });
+
+    it('broadcasts emotes from the fixed set with a cooldown per player', async () => {
+        const host  = await connect();
+        const guest = await connect();
+        const { roomId } = await startGame(host, guest);
+
+        const seen = once(guest, 'emote');
+        host.emit('sendEmote', { roomId, emote: 'not an emote' });
+        host.emit('sendEmote', { roomId, emote: 'GG' });
+        assert.deepEqual(await seen, { playerId: host.id, playerName: 'Alice', emote: 'GG' });
+
+        const rejected = once(host, 'emoteRejected');
+        host.emit('sendEmote', { roomId, emote: '😂' });
+        assert.match((await rejected).reason, /Wait/);
+    });
+
+    it('matches two players looking for the same table and starts their game', async () => {
+        const one = await connect();
+        const two = await connect();
+        const status = once(one, 'matchmakingStatus');
+        one.emit('findMatch', { playerName: 'Ann', gameMode: 'mercy', tableSize: 2 });
+        assert.deepEqual([(await status).searching, (await status).waiting], [true, 1]);
+
+        const found   = once(one, 'matchFound');
+        const started = [once(one, 'gameStarted'), once(two, 'gameStarted')];
+        two.emit('findMatch', { playerName: 'Ben', gameMode: 'mercy', tableSize: 2 });
+        const match = await found;
+        assert.deepEqual(match.players.map(p => p.name), ['Ann', 'Ben']);
+        const [state] = await Promise.all(started);
+        assert.equal(state.roomId, match.roomId);
+        assert.equal(ono.rooms.get(match.roomId).settings.gameMode, 'mercy');
+        assert.equal(ono.matchQueue.byId.size, 0);
+    });
+
+    it('keeps a player with a seat in a running game out of the queue', async () => {
+        const host  = await connect();
+        const guest = await connect();
+        await startGame(host, guest);
+
+        const refused = once(host, 'error');
+        host.emit('findMatch', { playerName: 'Alice', gameMode: 'original', tableSize: 2 });
+        assert.equal(await refused, 'Finish your game before looking for a match');
+
+        // The same player on a new socket, before rejoining the seat
+        const returning = await connect();
+        const again     = once(returning, 'error');
+        returning.emit('findMatch', { playerName: 'Bob', gameMode: 'original', tableSize: 2, persistentId: `pid_${guest.id}` });
+        assert.equal(await again, 'Finish your game before looking for a match');
+        assert.equal(ono.matchQueue.byId.size, 0);
+    });
+
+    it('fills a matched table with bots when nobody else turns up', async () => {
+        const solo = await connect();
+        ono.matchQueue.botWaitMs = 50;
+        const started = once(solo, 'gameStarted', 4000);
+        solo.emit('findMatch', { playerName: 'Sol', gameMode: 'original', tableSize: 3 });
+        const state = await started;
+        ono.matchQueue.botWaitMs = 30000;
+        assert.deepEqual(state.allPlayers.map(p => p.isBot), [false, true, true]);
+    });
+
+    it('lets only the host change settings, hand over, kick and start early', async () => {
+        const host  = await connect();
+        const guest = await connect();
+        const third = await connect();
+        host.emit('createLobby', { lobbyName: 'Hosted', playerName: 'Alice', settings: { ...SETTINGS } });
+        const { roomId, hostId } = await once(host, 'lobbyCreated');
+        assert.equal(hostId, host.id);
+        for (const [socket, name] of [[guest, 'Bob'], [third, 'Cara']]) {
+            socket.emit('joinLobby', { lobbyId: roomId, playerName: name });
+            await once(socket, 'lobbyJoined');
+        }
+
+        const refused = once(guest, 'error');
+        guest.emit('kickPlayer', { roomId, playerId: third.id });
+        assert.equal(await refused, 'Only the host can remove players');
+
+        guest.emit('playerReady', { roomId, ready: true });
+        await once(guest, 'lobbyUpdate');
+        const changed = once(guest, 'lobbyUpdate');
+        host.emit('updateLobbySettings', { roomId, settings: { startingCards: 5, turnTimer: 15 } });
+        const update = await changed;
+        assert.equal(update.settingsChanged, true);
+        assert.deepEqual([update.settings.startingCards, update.settings.turnTimer, update.settings.maxPlayers], [5, 15, 4]);
+        assert.equal(update.players.some(p => p.ready), false);
+
+        const kicked = once(third, 'kicked');
+        const seated = once(host, 'lobbyUpdate');
+        host.emit('kickPlayer', { roomId, playerId: third.id });
+        assert.equal((await kicked).roomId, roomId);
+        assert.deepEqual((await seated).players.map(p => p.name), ['Alice', 'Bob']);
+
+        // The crown goes to Bob, and comes back to Alice when Bob leaves
+        const handed = once(host, 'lobbyUpdate');
+        host.emit('transferHost', { roomId, playerId: guest.id });
+        assert.equal((await handed).hostId, guest.id);
+        const third2 = await connect();
+        const joined = once(host, 'lobbyUpdate');
+        third2.emit('joinLobby', { lobbyId: roomId, playerName: 'Cara' });
+        await joined;
+        const passed = once(host, 'lobbyUpdate');
+        guest.emit('leaveLobby', { roomId });
+        assert.equal((await passed).hostId, host.id);
+
+        const started = once(third2, 'gameStarted');
+        host.emit('startNow', { roomId });
+        assert.deepEqual((await started).allPlayers.map(p => p.name), ['Alice', 'Cara']);
+    });
+
+    it('seats teams alternately, lets teammates trade once and gives the whole team the win', async () => {
+        const [alice, bob, cara, dan] = await Promise.all([connect(), connect(), connect(), connect()]);
+        alice.emit('createLobby', { lobbyName: 'Teams', playerName: 'Alice', settings: { ...SETTINGS, teamMode: true, teamTrade: true } });
+        const { roomId } = await once(alice, 'lobbyCreated');
+        for (const [socket, playerName] of [[bob, 'Bob'], [cara, 'Cara'], [dan, 'Dan']]) {
+            const joined = once(socket, 'lobbyJoined');
+            socket.emit('joinLobby', { lobbyId: roomId, playerName });
+            await joined;
+        }
+        assert.deepEqual(ono.lobbies[roomId].players.map(p => p.team), [0, 1, 0, 1]);
+
+        // Bob joins Alice; Cara is moved across by the host
+        const refused = once(bob, 'error');
+        bob.emit('chooseTeam', { roomId, playerId: cara.id, team: 1 });
+        assert.equal(await refused, 'Only the host can move other players');
+        const switched = once(alice, 'lobbyUpdate');
+        bob.emit('chooseTeam', { roomId, team: 0 });
+        await switched;
+        const moved = once(alice, 'lobbyUpdate');
+        alice.emit('chooseTeam', { roomId, playerId: cara.id, team: 1 });
+        await moved;
+        assert.deepEqual(ono.lobbies[roomId].players.map(p => p.team), [0, 0, 1, 1]);
+
+        const started = once(alice, 'gameStarted');
+        [alice, bob, cara, dan].forEach(socket => socket.emit('playerReady', { roomId, ready: true }));
+        const state = await started;
+        assert.deepEqual(state.allPlayers.map(p => p.team), [0, 1, 0, 1]);
+        assert.equal(state.canTrade, true);
+
+        const room    = ono.rooms.get(roomId);
+        const offered = room.players.find(p => p.id === alice.id).hand[0];
+        const answer  = room.players.find(p => p.id === bob.id).hand[0];
+        const offer   = once(bob, 'tradeOffered');
+        alice.emit('offerTrade', { roomId, cardIndex: 0, teammateId: bob.id });
+        assert.deepEqual((await offer).card, offered);
+        bob.emit('answerTrade', { roomId, cardIndex: 0 });
+        let note;
+        do { note = await once(alice, 'chatMessage'); } while (!note.system);
+        assert.match(note.text, /Alice and Bob traded a card/);
+        assert.ok(room.players.find(p => p.id === alice.id).hand.includes(answer));
+        assert.ok(room.players.find(p => p.id === bob.id).hand.includes(offered));
+
+        const again = once(bob, 'error');
+        bob.emit('offerTrade', { roomId, cardIndex: 0, teammateId: alice.id });
+        assert.equal(await again, 'Your team has already traded this hand');
+
+        const winner   = rigWinningCard(roomId);
+        const sockets  = { [alice.id]: alice, [bob.id]: bob, [cara.id]: cara, [dan.id]: dan };
+        const over     = once(alice, 'gameOver');
+        sockets[winner.id].emit('playCard', { roomId, cardIndex: 0 });
+        const { teams } = await over;
+        const winners  = teams.find(t => t.won);
+        assert.equal(teams.filter(t => t.won).length, 1);
+        assert.equal(winners.team, winner.team);
+        assert.equal(winners.players.length, 2);
+    });
+
+    it('keeps a trade offer waiting for a teammate who rejoins', async () => {
+        const [alice, bob, cara, dan] = await Promise.all([connect(), connect(), connect(), connect()]);
+        alice.emit('createLobby', { lobbyName: 'Teams', playerName: 'Alice', settings: { ...SETTINGS, teamMode: true, teamTrade: true } });
+        const { roomId } = await once(alice, 'lobbyCreated');
+        for (const [socket, playerName] of [[bob, 'Bob'], [cara, 'Cara'], [dan, 'Dan']]) {
+            const joined = once(socket, 'lobbyJoined');
+            socket.emit('joinLobby', { lobbyId: roomId, playerName, persistentId: `pid_${socket.id}` });
+            await joined;
+        }
+        const started = once(alice, 'gameStarted');
+        [alice, bob, cara, dan].forEach(socket => socket.emit('playerReady', { roomId, ready: true }));
+        await started;
+
+        // Alice and Cara are teammates; Cara drops before answering
+        const room = ono.rooms.get(roomId);
+        const seat = room.players.find(p => p.id === cara.id);
+        const offer = once(cara, 'tradeOffered');
+        alice.emit('offerTrade', { roomId, cardIndex: 0, teammateId: cara.id });
+        await offer;
+        cara.disconnect();
+        const back     = await connect();
+        const rejoined = once(back, 'gameRejoined');
+        back.emit('rejoinGame', { roomId, persistentId: seat.persistentId });
+        await rejoined;
+        assert.equal(room.tradeOffers.get(seat.team).toId, back.id);
+
+        back.emit('answerTrade', { roomId, cardIndex: 0 });
+        let note;
+        do { note = await once(alice, 'chatMessage'); } while (!note.system || !/traded/.test(note.text));
+        assert.match(note.text, /Alice and Cara traded a card/);
+    });
+
+    it('refuses a match target in a team lobby instead of dropping it', async () => {
+        const host = await connect();
+        const refused = once(host, 'error');
+        host.emit('createLobby', { lobbyName: 'Teams', playerName: 'Alice', settings: { ...SETTINGS, teamMode: true, matchTarget: 100 } });
+        assert.match(await refused, /single hand/);
+
+        host.emit('createLobby', { lobbyName: 'Teams', playerName: 'Alice', settings: { ...SETTINGS, teamMode: true } });
+        const { roomId } = await once(host, 'lobbyCreated');
+        const again = once(host, 'error');
+        host.emit('updateLobbySettings', { roomId, settings: { matchTarget: 50 } });
+        assert.match(await again, /single hand/);
+        assert.deepEqual([ono.lobbies[roomId].settings.teamMode, ono.lobbies[roomId].settings.matchTarget], [true, 0]);
+    });
+
+    it('keeps deck presets on the account and refuses a lobby deck too small to deal', async () => {
+        const token   = await signup('deckbuilder');
+        const decks   = (method, body, path = '') => fetch(`${base}/api/decks${path}`, {
+            method,
+            headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+            body:    body && JSON.stringify(body)
+        }).then(res => res.json());
+        const chaos   = { counts: { 'Wild+4': 8, 'Wild+10': 2 }, drawValues: { '+2': 3 } };
+        assert.equal((await decks('POST', { name: 'Chaos', deck: chaos })).success, true);
+        assert.deepEqual((await decks('GET')).presets.map(p => [p.name, p.deck]), [['Chaos', chaos]]);
+        assert.equal((await fetch(`${base}/api/decks`)).status, 401);
+
+        const host    = await connect(token);
+        const refused = once(host, 'error');
+        host.emit('createLobby', { lobbyName: 'Thin', playerName: 'Alice', settings: { ...SETTINGS, deck: { counts: { '1': 0, '2': 0, '3': 0, '4': 0, '5': 0, '6': 0, '7': 0 } } } });
+        assert.match(await refused, /more than 28 number cards/);
+
+        host.emit('createLobby', { lobbyName: 'Chaos', playerName: 'Alice', settings: { ...SETTINGS, deck: chaos } });
+        const { roomId, settings } = await once(host, 'lobbyCreated');
+        assert.deepEqual(settings.deck, chaos);
+        const tooMany = once(host, 'error');
+        host.emit('updateLobbySettings', { roomId, settings: { maxPlayers: 8, startingCards: 10 } });
+        assert.match(await tooMany, /more than 80 number cards/);
+        assert.equal(ono.lobbies[roomId].settings.maxPlayers, 4);
+
+        assert.deepEqual((await decks('DELETE', null, '/chaos')).presets, []);
+    });
+
+    it('creates a lobby with default settings when none are sent', async () => {
+        const host = await connect();
+        host.emit('createLobby', { lobbyName: 'Plain', playerName: 'Alice' });
+        const { roomId } = await once(host, 'lobbyCreated');
+        assert.deepEqual([ono.lobbies[roomId].settings.deck, ono.lobbies[roomId].settings.teamMode], [null, false]);
+    });
+
+    it('refuses a wrong passcode for a private lobby', async () => {
+        const host  = await connect();
+        const guest = await connect();
+        host.emit('createLobby', { lobbyName: 'Secret', playerName: 'Alice', settings: { ...SETTINGS }, isPrivate: true, passcode: '1234' });
+        const { roomId } = await once(host, 'lobbyCreated');
+
+        const error = once(guest, 'error');
+        guest.emit('joinLobby', { lobbyId: roomId, playerName: 'Bob', passcode: '0000' });
+        assert.match(await error, /Wrong passcode/);
+        assert.equal(ono.lobbies[roomId].players.length, 1);
+    });
+
+    it('lets an invite code skip the passcode of an unlisted lobby until the host replaces it', async () => {
+        const host  = await connect();
+        const guest = await connect();
+        const late  = await connect();
+        host.emit('createLobby', { lobbyName: 'Hidden', playerName: 'Alice', settings: { ...SETTINGS }, isPrivate: true, passcode: '1234', unlisted: true });
+        const { roomId, inviteCode } = await once(host, 'lobbyCreated');
+        assert.match(inviteCode, /^[A-HJKMNP-Z2-9]{6}$/);
+
+        const joined = once(guest, 'lobbyJoined');
+        const seated = once(host, 'lobbyUpdate');
+        const listed = once(guest, 'lobbyList');
+        guest.emit('joinByCode', { code: inviteCode.toLowerCase(), playerName: 'Bob' });
+        assert.equal((await joined).roomId, roomId);
+        await seated;
+        assert.equal((await listed).some(l => l.id === roomId), false);
+
+        const replaced = once(host, 'lobbyUpdate');
+        host.emit('regenerateInviteCode', { roomId });
+        assert.notEqual((await replaced).inviteCode, inviteCode);
+        const error = once(late, 'error');
+        late.emit('joinByCode', { code: inviteCode, playerName: 'Cara' });
+        assert.match(await error, /expired/);
+        assert.equal(ono.lobbies[roomId].players.length, 2);
+    });
+
+    it('runs a knockout tournament across two tables to a final and reports the results', async () => {
+        const players = await Promise.all([connect(), connect(), connect(), connect()]);
+        const [host]  = players;
+        host.emit('createTournament', { name: 'Weekly', format: 'elimination', tableSize: 2, gameMode: 'original', playerName: 'P0', persistentId: 'tp0' });
+        const { tournament } = await once(host, 'tournamentJoined');
+        ono.tournaments.get(tournament.id).breakMs = 0;
+        for (let i = 1; i < players.length; i++) {
+            const joined = once(players[i], 'tournamentJoined');
+            players[i].emit('joinTournament', { tournamentId: tournament.id, playerName: `P${i}`, persistentId: `tp${i}` });
+            assert.equal((await joined).entrantId, `e${i + 1}`);
+        }
+        const refused = once(players[1], 'error');
+        players[1].emit('startTournament', { tournamentId: tournament.id });
+        assert.equal(await refused, 'Only the host can start the tournament');
+
+        // Both first-round tables start; whoever holds the turn at each wins it
+        const seated = players.map(socket => once(socket, 'gameStarted'));
+        host.emit('startTournament', { tournamentId: tournament.id });
+        const states  = await Promise.all(seated);
+        const roomIds = [...new Set(states.map(s => s.roomId))];
+        assert.equal(roomIds.length, 2);
+        const bySocket = id => players.find(socket => socket.id === id);
+        const winners  = roomIds.map(roomId => rigWinningCard(roomId));
+        const final    = winners.map(w => once(bySocket(w.id), 'tournamentTable'));
+        winners.forEach((w, i) => bySocket(w.id).emit('playCard', { roomId: roomIds[i], cardIndex: 0 }));
+        const [table] = await Promise.all(final);
+        assert.equal(table.final, true);
+
+        const champion = rigWinningCard(table.roomId);
+        const over     = once(bySocket(champion.id), 'gameOver');
+        const finished = new Promise(resolve => host.on('tournamentUpdate', t => { if (t.status === 'finished') resolve(t); }));
+        bySocket(champion.id).emit('playCard', { roomId: table.roomId, cardIndex: 0 });
+        assert.equal((await over).tournamentId, tournament.id);
+        assert.equal((await finished).winner.name, champion.name);
+        assert.equal(ono.rematchQueues.has(table.roomId), false);
+
+        const res  = await fetch(`${base}/api/tournaments/${tournament.id}`);
+        const body = await res.json();
+        assert.deepEqual(body.tournament.rounds.map(r => [r.final, r.tables.length]), [[false, 2], [true, 1]]);
+        assert.equal(body.tournament.standings[0].name, champion.name);
+        assert.equal((await fetch(`${base}/api/tournaments/nope`)).status, 404);
+    });
+
+    it('rejects a socket with a forged session token', async () => {
+        const socket = ioClient(base, { auth: { token: 'forged.token' }, reconnection: false, transports: ['websocket'] });
+        clients.push(socket);
+        const error = await once(socket, 'connect_error');
+        assert.equal(error.message, 'Invalid session');
+    });
+});
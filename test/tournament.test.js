@@ -0,0 +1,100 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { Tournament, tableSizes } = require('../tournament.js');
+
+/* -- HELPERS ---------------------------------------- */
+// Entrants rated so that P0 is the top seed
+function makeTournament(count, options = {}) {
+    const tournament = new Tournament({ id: 't1', name: 'Weekly', tableSize: 2, ...options });
+    for (let i = 0; i < count; i++) tournament.register({ key: `k${i}`, name: `P${i}`, rating: 2000 - i * 10 });
+    return tournament;
+}
+
+// Every table finishes in seat order; a bye has nothing to play
+function playRound(tournament, tables) {
+    let result;
+    tables.filter(t => !t.bye).forEach(t => { result = tournament.recordTable(t.id, t.players.map((id, i) => ({ id, place: i + 1 }))); });
+    return result;
+}
+
+const names = (tournament, table) => table.players.map(id => tournament.entrant(id).name);
+
+/* -- tableSizes ---------------------------------------- */
+describe('tableSizes', () => {
+    it('spreads players evenly and never over the table size', () => {
+        assert.deepEqual(tableSizes(8, 4), [4, 4]);
+        assert.deepEqual(tableSizes(7, 3), [3, 2, 2]);
+        assert.deepEqual(tableSizes(4, 3), [2, 2]);
+        assert.deepEqual(tableSizes(4, 4), [4]);
+        // Only two-seat tables leave someone alone, for a bye
+        assert.deepEqual(tableSizes(5, 2), [2, 2, 1]);
+        assert.deepEqual(tableSizes(3, 2), [2, 1]);
+    });
+});
+
+/* -- Tournament ---------------------------------------- */
+describe('Tournament', () => {
+    it('closes registration when full and hands the host role on', () => {
+        const tournament = makeTournament(3, { maxEntrants: 3 });
+        assert.match(tournament.register({ key: 'late', name: 'Late' }).error, /full/);
+        assert.equal(tournament.unregister('k0'), true);
+        assert.equal(tournament.hostKey, 'k1');
+        tournament.start();
+        assert.match(tournament.register({ key: 'late', name: 'Late' }).error, /closed/);
+    });
+
+    it('snakes the seeds, knocks out the bottom half of each table and ends at a final table', () => {
+        const tournament = makeTournament(4);
+        const first      = tournament.start();
+        assert.deepEqual(first.map(t => names(tournament, t)), [['P0', 'P3'], ['P1', 'P2']]);
+
+        assert.deepEqual(playRound(tournament, first), { roundOver: true, finished: false });
+        const [final] = tournament.nextRound();
+        assert.equal(tournament.currentRound().final, true);
+        assert.deepEqual(names(tournament, final), ['P0', 'P1']);
+
+        tournament.recordTable(final.id, [{ id: final.players[1], place: 1 }, { id: final.players[0], place: 2 }]);
+        assert.equal(tournament.status, 'finished');
+        assert.equal(tournament.winner().name, 'P1');
+        assert.deepEqual(tournament.standings().map(s => s.name), ['P1', 'P0', 'P2', 'P3']);
+    });
+
+    it('gives the top seed a bye rather than a three-seat final at two-seat tables', () => {
+        const tournament = makeTournament(3);
+        const first      = tournament.start();
+        assert.deepEqual(first.map(t => names(tournament, t)), [['P0'], ['P1', 'P2']]);
+        assert.deepEqual(first[0].results, [{ id: first[0].players[0], place: 1 }]);
+        assert.equal(tournament.summary().rounds[0].tables[0].bye, true);
+
+        assert.deepEqual(tournament.recordTable(first[1].id, [{ id: first[1].players[1], place: 1 }, { id: first[1].players[0], place: 2 }]), { roundOver: true, finished: false });
+        const [final] = tournament.nextRound();
+        assert.equal(tournament.currentRound().final, true);
+        assert.deepEqual(names(tournament, final), ['P0', 'P2']);
+    });
+
+    it('scores a Swiss bye as a win', () => {
+        const tournament = makeTournament(5, { format: 'swiss' });
+        const first      = tournament.start();
+        assert.deepEqual(first.map(t => t.players.length), [2, 2, 1]);
+        assert.equal(tournament.entrant(first[2].players[0]).points, 1);
+        assert.deepEqual(playRound(tournament, first), { roundOver: true, finished: false });
+        assert.ok(tournament.nextRound().every(t => t.players.length <= 2));
+    });
+
+    it('keeps everyone through the Swiss rounds and sends the leaders to the final', () => {
+        const tournament = makeTournament(6, { format: 'swiss', tableSize: 3 });
+        const first      = tournament.start();
+        assert.equal(tournament.qualifying, 2);
+        playRound(tournament, first);
+        assert.deepEqual(tournament.standings().slice(0, 2).map(s => [s.name, s.points]), [['P0', 2], ['P3', 2]]);
+
+        const second = tournament.nextRound();
+        assert.equal(second.reduce((n, t) => n + t.players.length, 0), 6);
+        playRound(tournament, second);
+        const [final] = tournament.nextRound();
+        assert.equal(final.players.length, 3);
+        assert.equal(tournament.remaining().length, 3);
+        assert.equal(tournament.summary().rounds.length, 3);
+        assert.equal(JSON.stringify(tournament.summary()).includes('"k0"'), false);
+    });
+});
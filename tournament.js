@@ -0,0 +1,293 @@
+/**
+ * Tournament
+ * Brackets for events played over several tables. Registrants are seeded by
+ * rating and split into tables; each table plays one normal game, and the
+ * top finishers go through until few enough are left for a final table.
+ *
+ * - elimination: the top half of every table (at least one) advances; the
+ *   rest are out.
+ * - swiss: everyone plays every qualifying round, scoring a point for each
+ *   player they finish ahead of, and is re-seated with players on similar
+ *   points. The leaders after the last qualifying round make the final.
+ *
+ * No table ever seats more than the table size; an odd player out at
+ * two-seat tables gets a bye for the round.
+ *
+ * Entrants are keyed by persistentId, which doubles as a rejoin secret, so
+ * the summary only carries their entrant IDs. Server-only; server.js turns
+ * each table into a GameRoom and reports its finish order back.
+ */
+
+const TOURNAMENT_FORMATS     = ['elimination', 'swiss'];
+const TOURNAMENT_TABLE_SIZES = [2, 3, 4];
+const MIN_ENTRANTS           = 3;
+const MAX_ENTRANTS           = 32;
+const DEFAULT_BREAK_MS       = 15000; // pause between rounds, so everyone sees the bracket
+
+class Tournament {
+    /**
+     * @param {object} options
+     * @param {string} options.id
+     * @param {string} options.name
+     * @param {string} options.format - 'elimination' or 'swiss'
+     * @param {number} options.tableSize - Seats per table, final included
+     * @param {number} options.maxEntrants
+     * @param {object} options.settings - Game settings every table plays with
+     * @param {number} options.breakMs - Pause before each new round
+     * @param {function} options.now - Clock, default Date.now
+     */
+    constructor({ id, name, format, tableSize, maxEntrants = MAX_ENTRANTS, settings = {}, breakMs = DEFAULT_BREAK_MS, now = Date.now }) {
+        this.id          = id;
+        this.name        = name;
+        this.format      = TOURNAMENT_FORMATS.includes(format) ? format : 'elimination';
+        this.tableSize   = TOURNAMENT_TABLE_SIZES.includes(tableSize) ? tableSize : TOURNAMENT_TABLE_SIZES[0];
+        this.maxEntrants = Math.min(MAX_ENTRANTS, Math.max(MIN_ENTRANTS, maxEntrants || MAX_ENTRANTS));
+        this.settings    = settings;
+        this.breakMs     = breakMs;
+        this.now         = now;
+        this.status      = 'registering'; // then 'running', then 'finished'
+        this.entrants    = [];            // { id, key, name, username, rating, seed, points, outIn, socketId }
+        this.hostKey     = null;
+        this.rounds      = [];            // { round, final, tables: [{ id, players, results, roomId }] }
+        this.qualifying  = 0;             // Swiss rounds before the final
+        this.nextId      = 1;
+        this.createdAt   = now();
+        this.finishedAt  = null;
+    }
+
+    /**
+     * Sign a player up; the first one becomes the host
+     * @param {object} player - { key, name, username, rating, socketId }
+     * @returns {object} { success, entrant } or { success: false, error }
+     */
+    register({ key, name, username = null, rating = 0, socketId = null }) {
+        if (this.status !== 'registering')             return { success: false, error: 'Registration has closed' };
+        if (this.entrants.length >= this.maxEntrants)  return { success: false, error: 'This tournament is full' };
+        if (this.entrantByKey(key))                    return { success: false, error: 'You are already registered' };
+        const entrant = { id: `e${this.nextId++}`, key, name, username, rating, seed: null, points: 0, outIn: null, socketId };
+        this.entrants.push(entrant);
+        if (!this.hostKey) this.hostKey = key;
+        return { success: true, entrant };
+    }
+
+    /**
+     * Withdraw before the start; the host's role passes to the next entrant
+     * @param {string} key - persistentId
+     * @returns {boolean} Whether they were registered
+     */
+    unregister(key) {
+        if (this.status !== 'registering' || !this.entrantByKey(key)) return false;
+        this.entrants = this.entrants.filter(e => e.key !== key);
+        if (this.hostKey === key) this.hostKey = this.entrants.length ? this.entrants[0].key : null;
+        return true;
+    }
+
+    entrantByKey(key) {
+        return this.entrants.find(e => e.key === key) || null;
+    }
+
+    entrant(id) {
+        return this.entrants.find(e => e.id === id) || null;
+    }
+
+    /**
+     * Close registration, seed by rating and seat the first round
+     * @returns {Array} The first round's tables
+     */
+    start() {
+        if (this.status !== 'registering') return [];
+        this.entrants
+            .slice()
+            .sort((a, b) => b.rating - a.rating || this.entrants.indexOf(a) - this.entrants.indexOf(b))
+            .forEach((e, i) => { e.seed = i + 1; });
+        this.qualifying = this.format === 'swiss' && this.entrants.length > this.tableSize
+            ? Math.max(1, Math.ceil(Math.log2(this.entrants.length)) - 1)
+            : 0;
+        this.status = 'running';
+        return this.nextRound();
+    }
+
+    get round() {
+        return this.rounds.length;
+    }
+
+    currentRound() {
+        return this.rounds.at(-1) || null;
+    }
+
+    table(tableId) {
+        const round = this.currentRound();
+        return (round && round.tables.find(t => t.id === tableId)) || null;
+    }
+
+    // Entrants still playing, best seed first
+    remaining() {
+        return this.entrants.filter(e => e.outIn === null).sort((a, b) => a.seed - b.seed);
+    }
+
+    /**
+     * Seat the next round: a single final table once everyone left fits at one.
+     * A player seated alone has a bye and goes through as that table's winner.
+     * @returns {Array} The new round's tables
+     */
+    nextRound() {
+        const round = this.round + 1;
+        if (this.format === 'swiss' && this.round >= this.qualifying) {
+            const ranked = this.remaining().sort((a, b) => b.points - a.points || a.seed - b.seed);
+            ranked.slice(this.tableSize).forEach(e => { e.outIn = this.round; });
+        }
+        let players = this.remaining();
+        const sizes = tableSizes(players.length, this.tableSize);
+        const final = sizes.length === 1;
+        let tables;
+        if (final) {
+            tables = [players];
+        } else if (this.format === 'swiss') {
+            // Similar points share a table
+            players = players.sort((a, b) => b.points - a.points || a.seed - b.seed);
+            tables  = sizes.map(size => players.splice(0, size));
+        } else {
+            // Snake the seeds so the favourites start at different tables; the bye goes to the top seed
+            if (sizes.at(-1) === 1) sizes.unshift(sizes.pop());
+            tables = sizes.map(() => []);
+            players.forEach((e, i) => {
+                const lap  = Math.floor(i / sizes.length);
+                const slot = i % sizes.length;
+                let index  = lap % 2 ? sizes.length - 1 - slot : slot;
+                while (tables[index].length >= sizes[index]) index = (index + 1) % sizes.length;
+                tables[index].push(e);
+            });
+        }
+        this.rounds.push({
+            round,
+            final,
+            tables: tables.map((seated, i) => ({ id: `r${round}t${i + 1}`, players: seated.map(e => e.id), results: null, roomId: null }))
+        });
+        this.currentRound().tables.filter(t => t.players.length === 1).forEach(t => {
+            t.bye     = true;
+            t.results = [{ id: t.players[0], place: 1 }];
+            // Swiss scores a bye like winning a full table
+            if (this.format === 'swiss') this.entrant(t.players[0]).points += this.tableSize - 1;
+        });
+        return this.currentRound().tables;
+    }
+
+    /**
+     * Record how a table finished
+     * @param {string} tableId
+     * @param {Array} placings - [{ id: entrant ID, place }]
+     * @returns {object} { roundOver, finished }
+     */
+    recordTable(tableId, placings) {
+        const table = this.table(tableId);
+        if (!table || table.results) return { roundOver: false, finished: this.status === 'finished' };
+        table.results = table.players
+            .map(id => ({ id, place: (placings.find(p => p.id === id) || {}).place || table.players.length }))
+            .sort((a, b) => a.place - b.place);
+        const round = this.currentRound();
+        if (this.format === 'swiss' && !round.final) {
+            table.results.forEach(r => {
+                this.entrant(r.id).points += table.results.filter(o => o.place > r.place).length;
+            });
+        } else if (!round.final) {
+            const advance = Math.max(1, Math.floor(table.players.length / 2));
+            table.results.filter(r => r.place > advance).forEach(r => { this.entrant(r.id).outIn = round.round; });
+        }
+        const roundOver = round.tables.every(t => t.results);
+        if (roundOver && round.final) {
+            this.status     = 'finished';
+            this.finishedAt = this.now();
+        }
+        return { roundOver, finished: this.status === 'finished' };
+    }
+
+    /**
+     * @returns {object|null} The winning entrant once the final is over
+     */
+    winner() {
+        if (this.status !== 'finished') return null;
+        return this.entrant(this.currentRound().tables[0].results[0].id);
+    }
+
+    /**
+     * Everyone, best first: the final table by place, then whoever lasted
+     * longest, then points and the place at their last table
+     * @returns {Array} [{ id, name, seed, points, outIn, place }]
+     */
+    standings() {
+        const final     = this.currentRound() && this.currentRound().final ? this.currentRound().tables[0] : null;
+        const lasted    = e => e.outIn === null ? this.rounds.length + 1 : e.outIn;
+        const placeIn   = (table, id) => ((table && table.results && table.results.find(r => r.id === id)) || {}).place || Infinity;
+        const lastTable = id => {
+            const round = this.rounds.slice().reverse().find(r => r.tables.some(t => t.players.includes(id)));
+            return round ? round.tables.find(t => t.players.includes(id)) : null;
+        };
+        const list = this.entrants
+            .map(e => ({ e, finalPlace: placeIn(final, e.id), lastPlace: placeIn(lastTable(e.id), e.id) }))
+            .sort((a, b) => lasted(b.e) - lasted(a.e)
+                || compare(a.finalPlace, b.finalPlace)
+                || b.e.points - a.e.points
+                || compare(a.lastPlace, b.lastPlace)
+                || (a.e.seed || 0) - (b.e.seed || 0))
+            .map(({ e }) => ({ id: e.id, name: e.name, seed: e.seed, points: e.points, outIn: e.outIn }));
+        list.forEach((s, i) => { s.place = i + 1; });
+        return list;
+    }
+
+    /**
+     * What clients and GET /api/tournaments/:id are sent
+     * @returns {object}
+     */
+    summary() {
+        const nameOf = id => this.entrant(id).name;
+        const host   = this.entrantByKey(this.hostKey);
+        const winner = this.winner();
+        return {
+            id:          this.id,
+            name:        this.name,
+            format:      this.format,
+            tableSize:   this.tableSize,
+            maxEntrants: this.maxEntrants,
+            gameMode:    this.settings.gameMode || 'original',
+            status:      this.status,
+            hostId:      host ? host.id : null,
+            round:       this.round,
+            qualifying:  this.qualifying,
+            standings:   this.standings(),
+            rounds:      this.rounds.map(r => ({
+                round:  r.round,
+                final:  r.final,
+                tables: r.tables.map(t => ({
+                    id:      t.id,
+                    roomId:  t.roomId,
+                    done:    !!t.results,
+                    bye:     !!t.bye,
+                    players: (t.results || t.players.map(id => ({ id, place: null }))).map(({ id, place }) => ({ id, name: nameOf(id), place }))
+                }))
+            })),
+            winner:      winner ? { id: winner.id, name: winner.name } : null,
+            createdAt:   this.createdAt,
+            finishedAt:  this.finishedAt
+        };
+    }
+}
+
+// Ascending order that copes with Infinity on both sides
+function compare(a, b) {
+    return a === b ? 0 : a < b ? -1 : 1;
+}
+
+/**
+ * Split players over as few tables as the size allows, sizes differing by at
+ * most one and never over the size. The odd player out at two-seat tables is
+ * left at a table of one, which is a bye.
+ * @param {number} count
+ * @param {number} tableSize
+ * @returns {Array} Seats per table
+ */
+function tableSizes(count, tableSize) {
+    const tables = Math.max(1, Math.ceil(count / tableSize));
+    return Array.from({ length: tables }, (_, i) => Math.floor(count / tables) + (i < count % tables ? 1 : 0));
+}
+
+module.exports = { TOURNAMENT_FORMATS, TOURNAMENT_TABLE_SIZES, MIN_ENTRANTS, MAX_ENTRANTS, DEFAULT_BREAK_MS, Tournament, tableSizes };